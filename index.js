@@ -1,489 +1,584 @@
 // index.js
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const { authenticator } = require('otplib');
-const { RSI, SMA } = require('technicalindicators');
+const { createUserStore } = require('./services/users');
+const { createSessionRegistry } = require('./services/sessions');
+const { createAuthMiddleware } = require('./routes/auth');
+const { createUserRoutes } = require('./routes/users');
+const { createInstrumentService } = require('./services/instruments');
+const { createInstrumentRoutes } = require('./routes/instruments');
+const { createCandleStore, toRawCandle, validateCandleRequest, MAX_DAYS_PER_REQUEST } = require('./services/candles');
+const { computeIndicators, parseIndicatorSpec } = require('./services/indicators');
+const { createStockAnalyzer, maxLookbackDays, defaultLookbackDays, LEGACY_INDICATORS } = require('./services/analysis');
+const { createQuoteService } = require('./services/quotes');
+const { createWatchlistStore, DEFAULT_WATCHLIST } = require('./services/watchlists');
+const { createWatchlistRoutes } = require('./routes/watchlists');
+const { createSmartStream } = require('./services/smartStream');
+const { createStreamHub } = require('./services/streamHub');
+const { createStreamRoutes } = require('./routes/stream');
+const { createOrderService } = require('./services/orders');
+const { createIdempotencyStore } = require('./services/idempotency');
+const { createOrderRoutes } = require('./routes/orders');
+const { createPriceService } = require('./services/pricing');
+const { createRiskEngine } = require('./services/risk');
+const { createRiskRoutes } = require('./routes/risk');
+const { createPortfolioService, loadSectorFile } = require('./services/portfolio');
+const { createPortfolioRoutes } = require('./routes/portfolio');
+const { createBacktester } = require('./services/backtest');
+const { createBacktestRoutes } = require('./routes/backtest');
+const { createScreener } = require('./services/screener');
+const { createScreenerRoutes } = require('./routes/screener');
+const { createAlertService } = require('./services/alerts');
+const { createAlertRoutes } = require('./routes/alerts');
+const { createMarketCalendar, loadHolidayFile } = require('./services/marketCalendar');
+const { createMarketRoutes } = require('./routes/market');
+const { createOptionChainService } = require('./services/optionChain');
+const { createOptionChainRoutes } = require('./routes/optionChain');
+const { createAngelClient } = require('./services/angelClient');
+const { createLlmProvider } = require('./services/llm');
+const { createNewsSummaryService } = require('./services/newsSummary');
+const { createNewsRoutes } = require('./routes/news');
+const { parseExportOptions, describeInstrument, valueFields, flattenValues, columnsFor, INSTRUMENT_COLUMNS } = require('./services/exports');
+const { streamExport } = require('./routes/exports');
+const { sendError } = require('./routes/handle');
+const { logger } = require('./services/logger');
+const { createMetrics } = require('./services/metrics');
+const { createRequestLogger } = require('./routes/requestLog');
+const { createHealthRoutes } = require('./routes/health');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
 // --- Securely access your credentials from environment variables ---
+// The SmartAPI keys belong to the app; each user's own Angel One login is stored (encrypted) on their account
 const ANGEL_API_KEY = process.env.ANGEL_API_KEY;
-const ANGEL_CLIENT_ID = process.env.ANGEL_CLIENT_ID;
-const ANGEL_PASSWORD = process.env.ANGEL_PASSWORD;
-const ANGEL_TOTP_SECRET = process.env.ANGEL_TOTP_SECRET;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY; 
 const ANGEL_HISTORICAL_API_KEY = process.env.ANGEL_HISTORICAL_API_KEY; 
 
 
-// --- In-memory storage for session tokens ---
-let session = {
-    jwtToken: null,
-    feedToken: null,
-    refreshToken: null,
-    profile: null
-};
+// --- Prometheus metrics served at /metrics ---
+const metrics = createMetrics();
+const angelRequests = metrics.counter('angel_upstream_requests_total', 'Angel One HTTP requests by endpoint and outcome; code is the errorcode, HTTP status or network error.');
+const angelLatency = metrics.histogram('angel_upstream_request_duration_seconds', 'Angel One HTTP request latency by endpoint.');
+
+// --- Angel One REST client: shared headers, per-endpoint rate limits, retries and error mapping ---
+const angel = createAngelClient({
+    apiKey: ANGEL_API_KEY,
+    historicalApiKey: ANGEL_HISTORICAL_API_KEY,
+    getSession: () => sessions.current(),
+    onRequest: ({ endpoint, durationMs, code }) => {
+        angelRequests.inc({ endpoint, outcome: code ? 'error' : 'success', code: code || 'ok' });
+        angelLatency.observe({ endpoint }, durationMs / 1000);
+    }
+});
 
-// Global variable to store instrument master data
-let instrumentMaster = [];
+// --- App users, their API tokens and encrypted Angel One credentials (CREDENTIALS_KEY) ---
+const users = createUserStore({ filePath: process.env.USERS_FILE_PATH, encryptionKey: process.env.CREDENTIALS_KEY });
+
+// --- One broker session per user (tokens, expiry tracking and background refresh) ---
+const sessions = createSessionRegistry({ angel, users, defaultApiKey: ANGEL_API_KEY });
+
+// --- Instrument master (indexed, cached to disk and reloaded daily) ---
+const instruments = createInstrumentService({
+    cachePath: process.env.INSTRUMENT_CACHE_PATH,
+    reloadTime: process.env.INSTRUMENT_RELOAD_TIME
+});
 
+// Request IDs, one JSON log line and a latency sample per request
+app.use(createRequestLogger({ metrics }));
 app.use(cors());
 app.use(express.json());
 
-// --- Middleware to check for login status ---
-const requireLogin = (req, res, next) => {
-    if (!session.jwtToken) {
-        return res.status(401).json({ message: "Not logged in. Please login first." });
-    }
-    next();
-};
+// --- Middleware resolving the caller's API token to their user and, where needed, their own broker session ---
+const { requireUser, requireAdmin, requireSession, issueStreamTicket, requireStreamSession } = createAuthMiddleware({ users, sessions });
 
 // --- Helper function to get historical data (getCandleData) ---
 const getHistoricalData = async (params) => {
     const { symboltoken, exchange, timeframe, fromdate, todate } = params;
-    
-    // Prepare headers for the historical data call
-    const headers = {
-        'Authorization': `Bearer ${session.jwtToken}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'X-UserType': 'USER',
-        'X-SourceID': 'WEB',
-        // As per documentation, X-PrivateKey is also needed for some endpoints
-        'X-PrivateKey': ANGEL_HISTORICAL_API_KEY || ANGEL_API_KEY 
-    };
 
-    try {
-        const response = await axios.post('https://apiconnect.angelbroking.com/rest/secure/angelbroking/historical/v1/getCandleData', {
-            exchange,
-            symboltoken,
-            interval: timeframe,
-            fromdate,
-            todate
-        }, { headers }); 
-        
-        // Robustly check if response.data is an object and has a 'data' property
-        const historicalData = (typeof response.data === 'object' && response.data !== null) ? response.data.data : null;
-
-        if (!Array.isArray(historicalData)) {
-            console.warn(`Historical data for ${symboltoken} is not an array, received:`, historicalData);
-            return []; // Return empty array if data is not as expected
-        }
-        return historicalData;
-    } catch (error) {
-        console.error(`Error fetching historical data for ${symboltoken} from Angel One:`, error.response ? error.response.data : error.message);
-        throw new Error(`Failed to fetch historical data for ${symboltoken} from Angel One.`);
+    // A rejected call throws (mapped by the client) rather than looking like an empty range the candle cache would remember
+    const historicalData = await angel.call('getCandleData', {
+        data: { exchange, symboltoken, interval: timeframe, fromdate, todate }
+    });
+
+    if (!Array.isArray(historicalData)) {
+        logger.warn("Historical data is not an array.", { exchange, symboltoken, received: typeof historicalData });
+        return []; // Return empty array if data is not as expected
     }
+    return historicalData;
 };
 
-// --- Function to fetch and store instrument master data ---
-const fetchInstrumentMaster = async () => {
-    try {
-        const instrumentListUrl = 'https://margincalculator.angelbroking.com/OpenAPI_File/files/OpenAPIScripMaster.json';
-        const response = await axios.get(instrumentListUrl);
-        instrumentMaster = response.data; // Store the full instrument list
-        console.log("Instrument master data loaded successfully.");
-    } catch (error) {
-        console.error("Error fetching instrument master data:", error.message);
-        // This is a critical error, as other parts depend on it.
-        // Consider exiting or retrying based on application requirements.
+// --- Candle cache in front of getCandleData (rate limited by the Angel One client) ---
+const candleStore = createCandleStore({ fetchCandles: getHistoricalData });
+
+// --- Batched getQuote calls ---
+const quoteService = createQuoteService({ angel });
+
+// --- Exchange sessions, weekends and holidays (MARKET_HOLIDAYS_FILE), all in IST ---
+const calendar = createMarketCalendar({ holidays: loadHolidayFile(process.env.MARKET_HOLIDAYS_FILE) });
+
+// --- Current price and day change, shared by stock-analysis and the order risk checks ---
+const priceService = createPriceService({ quoteService, candleStore, calendar });
+
+// --- RSI and moving averages behind /api/stock-analysis and the news summaries ---
+const stockAnalyzer = createStockAnalyzer({ candleStore, priceService });
+
+// --- News summaries from an LLM (NEWS_LLM_PROVIDER: gemini or a local stub), cached per symbol ---
+const news = createNewsSummaryService({
+    llm: createLlmProvider({
+        provider: process.env.NEWS_LLM_PROVIDER || 'gemini',
+        apiKey: GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL,
+        searchGrounding: process.env.NEWS_SEARCH_GROUNDING === 'true'
+    }),
+    instruments,
+    stockAnalyzer,
+    ttlMs: Number(process.env.NEWS_SUMMARY_TTL_MS) || undefined
+});
+
+// --- Persisted watchlists, resolved through the instrument master ---
+const watchlists = createWatchlistStore({ instruments, filePath: process.env.WATCHLIST_FILE_PATH });
+
+// --- SmartStream WebSocket feeds, one per user on their own tokens, fanned out to their browsers over SSE ---
+const streamHubs = new Map();
+const streamHubFor = (userId) => {
+    if (!streamHubs.has(userId)) {
+        const session = sessions.forUser(userId);
+        const smartStream = createSmartStream({
+            url: process.env.SMARTSTREAM_URL,
+            getCredentials: () => ({
+                jwtToken: session.getJwtToken(),
+                feedToken: session.getFeedToken(),
+                apiKey: session.getApiKey() || ANGEL_API_KEY,
+                clientCode: session.getClientId()
+            })
+        });
+        streamHubs.set(userId, createStreamHub({ stream: smartStream }));
     }
+    return streamHubs.get(userId);
+};
+const resetStreamHub = (userId) => {
+    if (streamHubs.has(userId)) streamHubs.get(userId).reset();
 };
 
-// Call this function once when the server starts
-fetchInstrumentMaster();
+// --- Order placement, validated against the instrument master ---
+const orders = createOrderService({ angel, instruments });
+const idempotency = createIdempotencyStore({ filePath: process.env.IDEMPOTENCY_FILE_PATH });
+
+// --- Pre-trade risk controls in front of every order route ---
+const risk = createRiskEngine({ priceService, orders, instruments, filePath: process.env.RISK_FILE_PATH });
+
+// --- Holdings, positions and funds, enriched with live prices; sectors for the allocation from PORTFOLIO_SECTORS_FILE ---
+const portfolio = createPortfolioService({ angel, orders, priceService, instruments, sectors: loadSectorFile(process.env.PORTFOLIO_SECTORS_FILE) });
+
+// --- Strategy backtests over cached historical candles ---
+const backtester = createBacktester({ candleStore });
+
+// --- Multi-symbol screener, run as jobs over the instrument master ---
+const screener = createScreener({ instruments, candleStore, watchlists });
+
+// --- Price and indicator alerts, checked on a schedule during market hours ---
+const alerts = createAlertService({
+    instruments,
+    priceService,
+    candleStore,
+    calendar,
+    filePath: process.env.ALERTS_FILE_PATH,
+    intervalMs: Number(process.env.ALERT_INTERVAL_MS) || undefined,
+    // Used for alerts that don't name their own webhooks; they pass the same checks, so an internal one has to be in
+    // ALERT_WEBHOOK_ALLOWED_HOSTS
+    defaultWebhooks: (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    // Without an allowlist, alerts may name any webhook that resolves to a public address
+    allowedWebhookHosts: (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    shouldRun: (userId) => sessions.isLoggedIn(userId),
+    runAs: (userId, fn) => sessions.run(userId, fn)
+});
+
+// --- Option chains with IV, Greeks, PCR and max pain, assembled from the instrument master ---
+const optionChain = createOptionChainService({
+    instruments,
+    quoteService,
+    priceService,
+    calendar,
+    filePath: process.env.OPTION_OI_FILE_PATH,
+    quoteTtlMs: Number(process.env.OPTION_CHAIN_QUOTE_TTL_MS) || undefined
+});
+
+// Load the instrument master once when the server starts and schedule the daily reload
+instruments.start();
+// Start the alert evaluator; an alert stays idle until its owner logs in and its exchange is in session
+alerts.start();
 
 
 // --- API Endpoints ---
 
+// --- Everything else /metrics reports, read from the services' own counters at scrape time ---
+metrics.addCollector(() => {
+    const angelStats = Object.entries(angel.getStats());
+    const perEndpoint = (field) => angelStats.map(([endpoint, stats]) => ({ labels: { endpoint }, value: stats[field] }));
+    const candleStats = candleStore.getStats();
+    const newsStats = news.getStats();
+    const instrumentMaster = instruments.getStatus();
+    const memory = process.memoryUsage();
+    return [
+        { name: 'angel_upstream_retries_total', type: 'counter', help: 'Angel One calls retried after a transient failure.', samples: perEndpoint('retries') },
+        { name: 'angel_upstream_failures_total', type: 'counter', help: 'Angel One calls that still failed after any retries.', samples: perEndpoint('failures') },
+        { name: 'angel_upstream_queue_depth', type: 'gauge', help: 'Angel One calls waiting on their endpoint rate limit.', samples: perEndpoint('queued') },
+        {
+            name: 'cache_lookups_total',
+            type: 'counter',
+            help: 'Cache lookups by cache and result.',
+            samples: [
+                { labels: { cache: 'candles', result: 'hit' }, value: candleStats.hits },
+                { labels: { cache: 'candles', result: 'miss' }, value: candleStats.misses },
+                { labels: { cache: 'news_summaries', result: 'hit' }, value: newsStats.hits },
+                { labels: { cache: 'news_summaries', result: 'miss' }, value: newsStats.misses }
+            ]
+        },
+        {
+            name: 'cache_entries',
+            type: 'gauge',
+            help: 'Entries held per cache (candle series, news summaries).',
+            samples: [
+                { labels: { cache: 'candles' }, value: candleStats.series },
+                { labels: { cache: 'news_summaries' }, value: newsStats.entries }
+            ]
+        },
+        { name: 'candle_cache_upstream_calls_total', type: 'counter', help: 'getCandleData requests made to fill candle cache misses.', samples: [{ value: candleStats.upstreamCalls }] },
+        { name: 'instrument_master_loaded', type: 'gauge', help: '1 when the instrument master is loaded.', samples: [{ value: instrumentMaster.loaded ? 1 : 0 }] },
+        { name: 'instrument_master_instruments', type: 'gauge', help: 'Instruments in the loaded instrument master.', samples: [{ value: instrumentMaster.count }] },
+        { name: 'broker_sessions_logged_in', type: 'gauge', help: 'Users with a logged-in Angel One session.', samples: [{ value: sessions.loggedInUserIds().length }] },
+        { name: 'process_resident_memory_bytes', type: 'gauge', help: 'Resident memory size in bytes.', samples: [{ value: memory.rss }] },
+        { name: 'nodejs_heap_used_bytes', type: 'gauge', help: 'V8 heap in use in bytes.', samples: [{ value: memory.heapUsed }] },
+        { name: 'process_uptime_seconds', type: 'gauge', help: 'Seconds since the process started.', samples: [{ value: process.uptime() }] }
+    ];
+});
+
+// --- Liveness, readiness and metrics for the orchestrator ---
+app.use(createHealthRoutes({
+    instruments,
+    sessions,
+    metrics,
+    requireSessionForReady: process.env.READYZ_REQUIRE_SESSION === 'true'
+}));
+
 app.get('/', (req, res) => {
     res.send('Angel One Authenticated Backend is running!');
 });
 
-app.post('/api/login', async (req, res) => {
-    console.log("Login attempt started...");
-    if (!ANGEL_API_KEY || !ANGEL_CLIENT_ID || !ANGEL_PASSWORD || !ANGEL_TOTP_SECRET) {
-        console.error("Server credentials not configured.");
-        return res.status(500).json({ message: "API credentials are not configured on the server." });
-    }
+// Logs the caller in to Angel One with the credentials saved on their account
+app.post('/api/login', requireUser, async (req, res) => {
+    logger.info("Login attempt started.", { username: req.user.username });
     try {
-        const totp = authenticator.generate(ANGEL_TOTP_SECRET);
-        const loginResponse = await axios.post('https://apiconnect.angelbroking.com/rest/auth/angelbroking/user/v1/loginByPassword', {
-            clientcode: ANGEL_CLIENT_ID,
-            password: ANGEL_PASSWORD,
-            totp: totp
-        }, {
-            headers: {
-                'Content-Type': 'application/json', 'Accept': 'application/json', 'X-UserType': 'USER',
-                'X-SourceID': 'WEB', 'X-ClientLocalIP': '192.168.1.1', 'X-ClientPublicIP': '103.1.1.1',
-                'X-MACAddress': '00:00:00:00:00:00', 'X-PrivateKey': ANGEL_API_KEY 
-            }
-        });
-
-        if (loginResponse.data.status === true) {
-            const responseData = loginResponse.data.data;
-            session.jwtToken = responseData.jwtToken;
-            session.feedToken = responseData.feedToken;
-            session.refreshToken = responseData.refreshToken;
-            
-            const profileResponse = await axios.get('https://apiconnect.angelbroking.com/rest/secure/angelbroking/user/v1/getProfile', {
-                headers: { 'Authorization': `Bearer ${session.jwtToken}` }
-            });
-            session.profile = (profileResponse.data && profileResponse.data.data) ? profileResponse.data.data : {};
-            console.log("Login successful for user:", session.profile.name || 'N/A');
-            res.json({ status: true, message: "Login successful!", data: { name: session.profile.name || 'N/A' } });
-        } else {
-            console.error("Angel One Login Failed. Reason:", loginResponse.data.message);
-            res.status(401).json({ status: false, message: loginResponse.data.message || "Login failed." });
-        }
+        const profile = await sessions.forUser(req.user.id).login();
+        logger.info("Login successful.", { username: req.user.username, profileName: profile.name || null });
+        res.json({ status: true, message: "Login successful!", data: { name: profile.name || 'N/A' } });
     } catch (error) {
-        const errorMsg = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error("Critical error during login process:", errorMsg);
-        res.status(500).json({ status: false, message: "An unexpected error occurred during the login process.", error: error.response ? error.response.data.message : error.message });
+        if (error.status) {
+            logger.warn("Angel One login failed.", { username: req.user.username, status: error.status, errorcode: error.errorcode, error: error.message });
+            return res.status(error.status).json({ status: false, message: error.message, ...error.details });
+        }
+        logger.error("Critical error during login process.", { username: req.user.username, error: error.message });
+        res.status(500).json({ status: false, message: "An unexpected error occurred during the login process.", error: error.message });
     }
 });
 
-app.get('/api/instruments', requireLogin, async (req, res) => {
+app.post('/api/logout', requireSession, async (req, res) => {
+    resetStreamHub(req.user.id);
+    await sessions.forUser(req.user.id).logout();
+    logger.info("Logged out of the Angel One session.", { username: req.user.username });
+    res.json({ status: true, message: "Logged out." });
+});
+
+app.get('/api/session', requireUser, (req, res) => {
+    res.json(sessions.forUser(req.user.id).getStatus());
+});
+
+app.use(createUserRoutes({
+    users,
+    sessions,
+    requireUser,
+    requireAdmin,
+    bootstrapToken: process.env.APP_BOOTSTRAP_TOKEN,
+    onUserRemoved: (userId) => {
+        resetStreamHub(userId);
+        streamHubs.delete(userId);
+    }
+}));
+app.use(createMarketRoutes({ calendar }));
+app.use(createInstrumentRoutes({ instruments, requireUser }));
+app.use(createWatchlistRoutes({ watchlists, requireUser }));
+app.use(createStreamRoutes({ streamHubFor, requireSession, requireStreamSession, issueStreamTicket }));
+app.use(createOrderRoutes({ orders, risk, idempotency, requireSession }));
+app.use(createRiskRoutes({ risk, requireUser, requireAdmin }));
+app.use(createPortfolioRoutes({ portfolio, requireSession }));
+app.use(createBacktestRoutes({ backtester, requireSession }));
+app.use(createScreenerRoutes({ screener, requireUser, requireSession }));
+app.use(createAlertRoutes({ alerts, requireUser, requireSession }));
+app.use(createOptionChainRoutes({ optionChain, requireSession }));
+app.use(createNewsRoutes({ news, requireUser, requireSession }));
+
+// Columns of every candle export: the bar's time, the instrument it belongs to, then OHLCV
+const CANDLE_COLUMNS = [
+    { name: 'time', type: 'time' },
+    ...INSTRUMENT_COLUMNS,
+    ...['open', 'high', 'low', 'close', 'volume'].map(name => ({ name, type: 'number' }))
+];
+
+// Rows per batch when an export is built from candles already in memory
+const EXPORT_BATCH_ROWS = 1000;
+
+const candleRow = (instrument, candle) => ({
+    time: candle.time,
+    ...instrument,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+});
+
+app.post('/api/historical-data', requireSession, async (req, res) => {
     try {
-        // Return the already loaded instrument master data
-        if (instrumentMaster.length === 0) {
-            await fetchInstrumentMaster(); // Re-fetch if somehow empty (shouldn't happen often)
+        // ?format=csv|jsonl|columnar (or the same fields in the body) streams the range out one chunk at a time
+        const options = parseExportOptions({ ...req.body, ...req.query });
+        validateCandleRequest(req.body);
+        if (!options) {
+            // Served from the candle cache, in Angel One's [time, o, h, l, c, v] shape
+            const candles = await candleStore.getCandles(req.body);
+            return res.json(candles.map(toRawCandle));
         }
-        const nseStocks = instrumentMaster.filter(instrument => 
-            instrument.exch_seg === 'NSE' && 
-            instrument.symbol.endsWith('-EQ')
-        );
-        res.json(nseStocks);
+
+        const { exchange, symboltoken, timeframe, fromdate, todate } = req.body;
+        const instrument = describeInstrument(instruments, exchange, symboltoken);
+        const batches = (async function* () {
+            for await (const candles of candleStore.iterateCandles(req.body)) {
+                yield candles.map(candle => candleRow(instrument, candle));
+            }
+        })();
+        await streamExport(res, 'export historical data', {
+            options,
+            columns: CANDLE_COLUMNS,
+            batches,
+            filename: [instrument.symbol || symboltoken, timeframe, fromdate, todate],
+            meta: { source: 'historical-data', ...instrument, timeframe, fromdate, todate }
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch instruments.' });
+        sendError(res, 'fetch historical data', error);
     }
 });
 
-app.post('/api/historical-data', requireLogin, async (req, res) => {
+app.post('/api/stock-analysis', requireSession, async (req, res) => {
+    const { symboltoken, exchange, indicators, timeframe = 'ONE_DAY', lookback, series = false } = req.body;
+
+    if (!MAX_DAYS_PER_REQUEST[timeframe]) {
+        return res.status(400).json({ message: `Unsupported timeframe "${timeframe}".` });
+    }
+    // The longest lookback shrinks with the bar size; see maxLookbackDays
+    const maxLookback = maxLookbackDays(timeframe);
+    const lookbackDays = lookback === undefined ? defaultLookbackDays(timeframe) : Number(lookback);
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > maxLookback) {
+        return res.status(400).json({ message: `lookback must be a whole number of days between 1 and ${maxLookback} for ${timeframe} candles.` });
+    }
+    if (indicators !== undefined && !Array.isArray(indicators)) {
+        return res.status(400).json({ message: "indicators must be an array." });
+    }
+    let options;
     try {
-        const data = await getHistoricalData(req.body);
-        res.json(data);
+        (indicators || []).forEach(parseIndicatorSpec);
+        options = parseExportOptions({ ...req.body, ...req.query });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        return res.status(400).json({ message: error.message });
     }
-});
 
-app.post('/api/stock-analysis', requireLogin, async (req, res) => {
-    const { symboltoken, exchange } = req.body;
     try {
-        // Fetch a year's worth of daily historical data for indicator calculation
-        const todate = new Date().toISOString().slice(0, 10);
-        let fromdate = new Date();
-        fromdate.setFullYear(fromdate.getFullYear() - 1);
-        fromdate = fromdate.toISOString().slice(0, 10);
-
-        const candles = await getHistoricalData({
-            exchange, symboltoken, timeframe: 'ONE_DAY', fromdate, todate
-        });
-
-        if (!candles || candles.length === 0) {
-            return res.status(404).json({ message: "No historical data available for this stock." });
-        }
-        const closingPrices = candles.map(c => c[4]);
-
-        // Calculate indicators only if there's enough data
-        const rsi = closingPrices.length >= 14 ? RSI.calculate({ values: closingPrices, period: 14 }) : [];
-        const sma20 = closingPrices.length >= 20 ? SMA.calculate({ values: closingPrices, period: 20 }) : [];
-        const sma50 = closingPrices.length >= 50 ? SMA.calculate({ values: closingPrices, period: 50 }) : [];
-        const sma200 = closingPrices.length >= 200 ? SMA.calculate({ values: closingPrices, period: 200 }) : [];
-
-        let currentPrice = null;
-        let netChange = null;
-        let percentChange = null;
-
-        // Try to get live data (LTP) first
-        try {
-            const quotePayload = { "mode": "LTP", "exchangeTokens": { [exchange]: [symboltoken] } };
-            const quoteResponse = await axios.post('https://apiconnect.angelbroking.com/rest/secure/angelbroking/market/v1/getQuote', quotePayload, {
-                headers: { 'Authorization': `Bearer ${session.jwtToken}` }
+        const candles = await stockAnalyzer.loadCandles({ exchange, symboltoken, timeframe, lookbackDays });
+
+        // An export is the series itself: every candle with the requested indicators (or the legacy ones) alongside
+        if (options) {
+            const intraday = timeframe !== 'ONE_DAY';
+            const computed = computeIndicators(candles, indicators && indicators.length > 0 ? indicators : LEGACY_INDICATORS, { series: true, intraday });
+            const instrument = describeInstrument(instruments, exchange, symboltoken);
+            const readings = candles.map((candle, i) => {
+                const values = {};
+                for (const [id, result] of Object.entries(computed)) values[id] = result.series[i].value;
+                return values;
             });
-            
-            // Robustly check if response.data is an object and has a 'data' property
-            const liveData = (typeof quoteResponse.data === 'object' && quoteResponse.data !== null) ? quoteResponse.data.data : null;
-
-            if (liveData && liveData.ltp !== undefined && liveData.ltp !== null) { 
-                currentPrice = liveData.ltp;
-                // Fetch previous day's close for accurate change calculation for live data
-                const today = new Date();
-                let previousTradingDay = new Date(today);
-                previousTradingDay.setDate(today.getDate() - 1); 
-
-                let previousTradingDayClose = null;
-
-                // Loop backwards to find the last trading day's close (max 5 days to avoid excessive calls)
-                for (let i = 0; i < 5; i++) {
-                    const prevDayCandles = await getHistoricalData({
-                        exchange, symboltoken, timeframe: 'ONE_DAY',
-                        fromdate: previousTradingDay.toISOString().slice(0, 10),
-                        todate: previousTradingDay.toISOString().slice(0, 10)
-                    });
-                    if (prevDayCandles && prevDayCandles.length > 0) {
-                        previousTradingDayClose = prevDayCandles[0][4]; 
-                        break;
-                    }
-                    previousTradingDay.setDate(previousTradingDay.getDate() - 1); 
+            const fields = valueFields(readings);
+            // Rows are built a batch at a time as the export streams, not all up front
+            const valueRows = function* () {
+                for (const values of readings) yield flattenValues(values, fields);
+            };
+            const batches = function* () {
+                for (let start = 0; start < candles.length; start += EXPORT_BATCH_ROWS) {
+                    yield candles.slice(start, start + EXPORT_BATCH_ROWS)
+                        .map((candle, i) => ({ ...candleRow(instrument, candle), ...flattenValues(readings[start + i], fields) }));
                 }
-
-                if (previousTradingDayClose !== null && previousTradingDayClose !== 0) {
-                    netChange = currentPrice - previousTradingDayClose;
-                    percentChange = (netChange / previousTradingDayClose) * 100;
-                } else {
-                    netChange = 0;
-                    percentChange = 0;
-                }
-            } else {
-                throw new Error("Live LTP data not available.");
-            }
-        } catch (quoteError) {
-            console.log(`Live LTP fetch failed for ${symboltoken}, falling back to last available close price from historical data. Error: ${quoteError.message}`);
-            if (closingPrices.length > 0) {
-                currentPrice = closingPrices[closingPrices.length - 1]; 
-                if (closingPrices.length > 1) {
-                    const previousClose = closingPrices[closingPrices.length - 2];
-                    if (previousClose !== 0) { 
-                        netChange = currentPrice - previousClose;
-                        percentChange = (netChange / previousClose) * 100;
-                    } else {
-                        netChange = 0;
-                        percentChange = 0;
-                    }
-                } else {
-                    netChange = 0;
-                    percentChange = 0;
-                }
-            }
+            };
+            return await streamExport(res, 'export stock analysis', {
+                options,
+                columns: columnsFor(valueRows(), CANDLE_COLUMNS),
+                batches: batches(),
+                filename: [instrument.symbol || symboltoken, 'analysis', timeframe],
+                meta: { source: 'stock-analysis', ...instrument, timeframe, lookback: lookbackDays, indicators: Object.keys(computed) }
+            });
         }
 
-        res.json({
-            currentPrice: currentPrice,
-            netChange: netChange,
-            percentChange: percentChange,
-            rsi: rsi.length > 0 ? rsi[rsi.length - 1] : null,
-            dma20: sma20.length > 0 ? sma20[sma20.length - 1] : null,
-            dma50: sma50.length > 0 ? sma50[sma50.length - 1] : null,
-            dma200: sma200.length > 0 ? sma200[sma200.length - 1] : null
-        });
+        res.json(await stockAnalyzer.analyze({ exchange, symboltoken, timeframe, lookbackDays, indicators, series, candles }));
     } catch (error) {
-        console.error("Error in stock-analysis:", error.message);
-        res.status(500).json({ message: 'Failed to calculate stock analysis.', error: error.message });
+        sendError(res, 'calculate stock analysis', error);
     }
 });
 
-app.get('/api/market-data', requireLogin, async (req, res) => {
+const DEFAULT_MOVERS_LIMIT = 10;
+
+const MARKET_DATA_COLUMNS = [
+    { name: 'asOf', type: 'time' },
+    { name: 'section', type: 'string' },
+    ...INSTRUMENT_COLUMNS,
+    ...['price', 'change', 'percentChange', 'volume'].map(name => ({ name, type: 'number' })),
+    { name: 'isLive', type: 'boolean' },
+    { name: 'marketPhase', type: 'string' }
+];
+
+app.get('/api/market-data', requireSession, async (req, res) => {
     try {
+        // ?format=csv|jsonl|columnar exports the snapshot as one row per index and watchlist instrument
+        const options = parseExportOptions(req.query);
         const indexTokensNSE = ["26000", "26009"]; 
         const indexTokensBSE = ["26037"]; 
-        const nifty50Tokens = ["2885", "11536", "1594", "3456", "1333", "5258", "10940", "3045", "1660", "1394"];
+
+        // The ranked universe comes from a watchlist (?watchlist=<id>), the seeded default if none is given
+        const watchlist = await watchlists.get(req.query.watchlist || DEFAULT_WATCHLIST.id, req.user);
+        const limit = Math.max(parseInt(req.query.limit, 10) || DEFAULT_MOVERS_LIMIT, 1);
+        const watchlistKeys = new Set(watchlist.items.map(item => `${item.exchange}:${item.symboltoken}`));
 
         const tokensToFetch = {
-            "NSE": [...indexTokensNSE, ...nifty50Tokens],
+            "NSE": [...indexTokensNSE],
             "BSE": [...indexTokensBSE]
         };
-
-        console.log("Market Data Request: tokensToFetch", tokensToFetch);
+        for (const item of watchlist.items) {
+            if (!tokensToFetch[item.exchange]) tokensToFetch[item.exchange] = [];
+            if (!tokensToFetch[item.exchange].includes(item.symboltoken)) tokensToFetch[item.exchange].push(item.symboltoken);
+        }
 
         let quoteData = [];
-        let isLiveMarketData = true; 
-
-        try {
-            // Attempt to get FULL mode (live) data first
-            const quotePayload = { "mode": "FULL", "exchangeTokens": tokensToFetch };
-            const quoteResponse = await axios.post('https://apiconnect.angelbroking.com/rest/secure/angelbroking/market/v1/getQuote', quotePayload, {
-                headers: { 'Authorization': `Bearer ${session.jwtToken}` }
-            });
-            
-            console.log("FULL Mode API Raw Response:", JSON.stringify(quoteResponse.data, null, 2));
+        // The calendar decides live vs historical up front; a failed live quote still falls back to daily candles
+        const marketPhase = calendar.getPhase(Date.now(), 'NSE');
+        let isLiveMarketData = marketPhase === 'open';
 
-            const fullModeData = (typeof quoteResponse.data === 'object' && quoteResponse.data !== null) ? quoteResponse.data.data : null;
+        if (isLiveMarketData) {
+            try {
+                // FULL mode (live) data, batched to getQuote's per-call token limit
+                const fullModeData = await quoteService.getQuotes('FULL', tokensToFetch);
 
-            if (fullModeData && Array.isArray(fullModeData) && fullModeData.length > 0 && fullModeData[0].ltp !== undefined) {
-                quoteData = fullModeData;
-                console.log("Fetched LIVE market data.");
-            } else {
-                throw new Error("No live data received from FULL mode, attempting historical data fallback.");
+                if (fullModeData && Array.isArray(fullModeData) && fullModeData.length > 0 && fullModeData[0].ltp !== undefined) {
+                    quoteData = fullModeData;
+                } else {
+                    throw new Error("No live data received from FULL mode, attempting historical data fallback.");
+                }
+            } catch (liveError) {
+                logger.warn("Live market data fetch failed, falling back to historical data.", { error: liveError.message });
+                isLiveMarketData = false;
             }
-        } catch (liveError) {
-            console.log("Live data fetch failed (market likely closed or no data), fetching historical data instead.", liveError.message);
-            isLiveMarketData = false;
+        }
 
+        if (!isLiveMarketData) {
             const allSymbolTokens = [
                 ...indexTokensNSE.map(token => ({ exchange: 'NSE', symboltoken: token })),
                 ...indexTokensBSE.map(token => ({ exchange: 'BSE', symboltoken: token })),
-                ...nifty50Tokens.map(token => ({ exchange: 'NSE', symboltoken: token }))
+                ...watchlist.items.map(item => ({ exchange: item.exchange, symboltoken: item.symboltoken }))
             ];
-            
-            const today = new Date();
-            let lastTradingDay = new Date(today);
-            // Find the actual last trading day by checking for historical data
-            let actualLastTradingDate = null;
-            for (let i = 0; i < 7; i++) { // Check up to last 7 days to find a trading day
-                const testDate = new Date(today);
-                testDate.setDate(today.getDate() - i);
-                const testDateString = testDate.toISOString().slice(0, 10);
-
-                try {
-                    const testCandles = await getHistoricalData({
-                        exchange: 'NSE',
-                        symboltoken: '26000', // Nifty 50 token for testing
-                        timeframe: 'ONE_DAY',
-                        fromdate: testDateString,
-                        todate: testDateString
-                    });
-                    if (testCandles && testCandles.length > 0) {
-                        actualLastTradingDate = testDateString;
-                        break;
-                    }
-                } catch (histError) {
-                    // Ignore error, just means no data for that day
-                }
-            }
 
-            if (!actualLastTradingDate) {
-                console.warn("Could not determine a recent actual last trading date for historical data fallback.");
-                res.json({ indices: [], topPerformers: [] }); 
-                return;
-            }
-            console.log("Determined last actual trading date:", actualLastTradingDate);
-
-            // Fetch last trading day's close and previous trading day's close for all tokens
+            // Last session's close against the one before it: one candle request per instrument
+            const snapshots = await priceService.getPriceSnapshots(allSymbolTokens, { live: false });
             for (const tokenInfo of allSymbolTokens) {
-                try {
-                    const lastDayCandles = await getHistoricalData({
-                        exchange: tokenInfo.exchange,
-                        symboltoken: tokenInfo.symboltoken,
-                        timeframe: 'ONE_DAY',
-                        fromdate: actualLastTradingDate,
-                        todate: actualLastTradingDate
-                    });
-
-                    if (lastDayCandles && lastDayCandles.length > 0) {
-                        const currentClose = lastDayCandles[0][4]; 
-
-                        let prevDayForChange = new Date(actualLastTradingDate);
-                        prevDayForChange.setDate(prevDayForChange.getDate() - 1);
-                        let previousClose = null;
-
-                        for (let i = 0; i < 5; i++) { 
-                            const prevCandles = await getHistoricalData({
-                                exchange: tokenInfo.exchange,
-                                symboltoken: tokenInfo.symboltoken,
-                                timeframe: 'ONE_DAY',
-                                fromdate: prevDayForChange.toISOString().slice(0, 10),
-                                todate: prevDayForChange.toISOString().slice(0, 10)
-                            });
-                            if (prevCandles && prevCandles.length > 0) {
-                                previousClose = prevCandles[0][4];
-                                break;
-                            }
-                            prevDayForChange.setDate(prevDayForChange.getDate() - 1);
-                        }
-
-                        const netChange = previousClose !== null ? currentClose - previousClose : 0;
-                        const percentChange = (previousClose !== null && previousClose !== 0) ? (netChange / previousClose) * 100 : 0;
-
-                        // Find actual instrument details from instrumentMaster
-                        const instrumentDetail = instrumentMaster.find(inst => 
-                            inst.exchange === tokenInfo.exchange && inst.symboltoken === tokenInfo.symboltoken
-                        );
-
-                        quoteData.push({
-                            exchange: tokenInfo.exchange,
-                            symbolToken: tokenInfo.symboltoken,
-                            name: instrumentDetail ? instrumentDetail.name : `Unknown Name (${tokenInfo.symboltoken})`,
-                            tradingSymbol: instrumentDetail ? instrumentDetail.tradingsymbol : `UNKNOWN${tokenInfo.symboltoken}`,
-                            ltp: currentClose,
-                            netChange: netChange,
-                            percentChange: percentChange,
-                            close: currentClose
-                        });
-                    }
-                } catch (itemError) {
-                    console.error(`Error fetching historical data for token ${tokenInfo.symboltoken}:`, itemError.message);
-                }
+                const snapshot = snapshots.get(`${tokenInfo.exchange}:${tokenInfo.symboltoken}`);
+                if (!snapshot || snapshot.currentPrice === null) continue;
+
+                // Find actual instrument details from the instrument master
+                const instrumentDetail = instruments.getByToken(tokenInfo.exchange, tokenInfo.symboltoken);
+
+                quoteData.push({
+                    exchange: tokenInfo.exchange,
+                    symbolToken: tokenInfo.symboltoken,
+                    name: instrumentDetail ? instrumentDetail.name : `Unknown Name (${tokenInfo.symboltoken})`,
+                    tradingSymbol: instrumentDetail ? instrumentDetail.symbol : `UNKNOWN${tokenInfo.symboltoken}`,
+                    ltp: snapshot.currentPrice,
+                    netChange: snapshot.netChange,
+                    percentChange: snapshot.percentChange,
+                    close: snapshot.currentPrice,
+                    tradeVolume: snapshot.volume
+                });
             }
-            console.log("Fetched Historical data for market data fallback.");
         }
-        
-        console.log("Final quoteData before filtering:", JSON.stringify(quoteData, null, 2));
 
         const indices = quoteData.filter(d => indexTokensNSE.includes(d.symbolToken) || indexTokensBSE.includes(d.symbolToken));
-        const topStocksData = quoteData.filter(d => nifty50Tokens.includes(d.symbolToken));
+        const topStocksData = quoteData.filter(d => watchlistKeys.has(`${d.exchange}:${d.symbolToken}`));
 
-        console.log("Filtered Indices:", JSON.stringify(indices, null, 2));
-        console.log("Filtered Top Stocks Data:", JSON.stringify(topStocksData, null, 2));
+        logger.debug("Market data assembled.", { watchlist: watchlist.id, isLive: isLiveMarketData, quotes: quoteData.length, indices: indices.length, stocks: topStocksData.length });
 
-
-        const topPerformers = topStocksData.map(stock => {
+        const stocks = topStocksData.map(stock => {
             const price = stock.ltp; 
             const change = stock.netChange; 
             const percentChange = stock.percentChange; 
-            
-            return { name: stock.name, symbol: stock.tradingSymbol, price: price, change, percentChange };
-        }).sort((a, b) => b.percentChange - a.percentChange).slice(0, 10);
-
-        console.log("Final Top Performers sent to frontend:", JSON.stringify(topPerformers, null, 2));
-
-        res.json({ indices, topPerformers });
-
-    } catch (error) {
-        console.error("Error in market-data endpoint:", error.response ? error.response.data : error.message);
-        res.status(500).json({ message: 'Failed to fetch market data.', error: error.response ? error.response.data : error.message });
-    }
-});
-
-// Endpoint to generate news summary using Google AI API
-app.post('/api/generate-news-summary', requireLogin, async (req, res) => {
-    const { companyName } = req.body;
-
-    if (!companyName) {
-        return res.status(400).json({ message: "Company name is required for news summary." });
-    }
-    if (!GEMINI_API_KEY) {
-        console.error("GEMINI_API_KEY is not configured on the server.");
-        return res.status(500).json({ message: "Google AI API key is not configured on the server." });
-    }
+            // FULL mode quotes carry no company name, so take it from the instrument master
+            const instrumentDetail = instruments.getByToken(stock.exchange, stock.symbolToken);
+            const name = stock.name || (instrumentDetail ? instrumentDetail.name : stock.tradingSymbol);
 
-    try {
-        let chatHistory = [];
-        const prompt = `Summarize recent news about ${companyName} from reliable financial sources. Provide 3-5 concise bullet points. If no recent news is found, state that.`;
-        chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-        const payload = { contents: chatHistory };
-        const apiKey = GEMINI_API_KEY; 
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+            return { name, symbol: stock.tradingSymbol, exchange: stock.exchange, price: price, change, percentChange, volume: stock.tradeVolume || 0 };
         });
 
-        const result = await response.json();
-
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-            const newsSummary = result.candidates[0].content.parts[0].text;
-            res.json({ newsSummary });
-        } else {
-            console.warn("Google AI API response structure unexpected or empty:", result);
-            res.status(500).json({ message: "Failed to generate news summary. Unexpected AI response." });
+        const byPercentChange = [...stocks].sort((a, b) => b.percentChange - a.percentChange);
+        const topPerformers = byPercentChange.slice(0, limit);
+        const gainers = byPercentChange.filter(stock => stock.percentChange > 0).slice(0, limit);
+        const losers = byPercentChange.filter(stock => stock.percentChange < 0).reverse().slice(0, limit);
+        const mostActive = [...stocks].sort((a, b) => b.volume - a.volume).slice(0, limit);
+
+        if (options) {
+            const asOf = Date.now();
+            const toRow = (section) => (quote) => {
+                const instrument = describeInstrument(instruments, quote.exchange, quote.symbolToken);
+                return {
+                    asOf,
+                    section,
+                    ...instrument,
+                    symbol: instrument.symbol || quote.tradingSymbol,
+                    name: instrument.name || quote.name || null,
+                    price: quote.ltp,
+                    change: quote.netChange,
+                    percentChange: quote.percentChange,
+                    volume: quote.tradeVolume || 0,
+                    isLive: isLiveMarketData,
+                    marketPhase
+                };
+            };
+            return await streamExport(res, 'export market data', {
+                options,
+                columns: MARKET_DATA_COLUMNS,
+                batches: [[...indices.map(toRow('index')), ...topStocksData.map(toRow('stock'))]],
+                filename: ['market-data', watchlist.id, new Date(asOf).toISOString().slice(0, 10)],
+                meta: { source: 'market-data', watchlist: { id: watchlist.id, name: watchlist.name }, isLive: isLiveMarketData, marketPhase }
+            });
         }
 
+        res.json({
+            watchlist: { id: watchlist.id, name: watchlist.name },
+            isLive: isLiveMarketData,
+            marketPhase,
+            indices,
+            topPerformers,
+            gainers,
+            losers,
+            mostActive
+        });
+
     } catch (error) {
-        console.error("Error calling Google AI API:", error.response ? error.response.data : error.message);
-        res.status(500).json({ message: "Failed to generate news summary due to an AI API error.", error: error.message });
+        sendError(res, 'fetch market data', error);
     }
 });
 
-
 app.listen(port, () => {
-    console.log(`Server listening on port ${port}`);
+    logger.info("Server listening.", { port: Number(port) });
 });
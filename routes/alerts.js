@@ -0,0 +1,50 @@
+// routes/alerts.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const MAX_HISTORY_LIMIT = 1000;
+
+const createAlertRoutes = ({ alerts, requireUser, requireSession }) => {
+    const router = express.Router();
+
+    router.get('/api/alerts', requireUser, handle('list alerts', async (req, res) => {
+        res.json(await alerts.list(req.user.id));
+    }));
+
+    // Body: { exchange, symboltoken | symbol, condition, timeframe, mode, cooldownMinutes, webhooks, name }
+    router.post('/api/alerts', requireUser, handle('create alert', async (req, res) => {
+        res.status(201).json(await alerts.create(req.body, req.user.id));
+    }));
+
+    router.get('/api/alerts/status', requireUser, handle('fetch alert status', async (req, res) => {
+        res.json(await alerts.getStatus(req.user.id));
+    }));
+
+    router.get('/api/alerts/history', requireUser, handle('fetch alert history', async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_HISTORY_LIMIT);
+        res.json(await alerts.getHistory({ alertId: req.query.alertId, limit }, req.user.id));
+    }));
+
+    // Runs the evaluator once right away over the caller's alerts, even outside market hours
+    router.post('/api/alerts/evaluate', requireSession, handle('evaluate alerts', async (req, res) => {
+        res.json(await alerts.evaluate({ ownerId: req.user.id }));
+    }));
+
+    router.get('/api/alerts/:id', requireUser, handle('fetch alert', async (req, res) => {
+        res.json(await alerts.get(req.params.id, req.user.id));
+    }));
+
+    router.patch('/api/alerts/:id', requireUser, handle('update alert', async (req, res) => {
+        res.json(await alerts.update(req.params.id, req.body, req.user.id));
+    }));
+
+    router.delete('/api/alerts/:id', requireUser, handle('delete alert', async (req, res) => {
+        await alerts.remove(req.params.id, req.user.id);
+        res.status(204).end();
+    }));
+
+    return router;
+};
+
+module.exports = { createAlertRoutes };
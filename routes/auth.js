@@ -0,0 +1,78 @@
+// routes/auth.js
+
+const crypto = require('crypto');
+const { sendError } = require('./handle');
+const { addContext } = require('../services/logger');
+
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+// API tokens only ever come as "Authorization: Bearer ak_..."; in a query string they would end up in proxy logs
+// and browser history
+const tokenFrom = (req) => {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+};
+
+const createAuthMiddleware = ({ users, sessions }) => {
+    // ticket -> { user, expiresAt }
+    const streamTickets = new Map();
+
+    // Resolves the caller to req.user
+    const requireUser = async (req, res, next) => {
+        let user;
+        try {
+            user = await users.authenticate(tokenFrom(req));
+        } catch (error) {
+            return sendError(res, 'authenticate', error);
+        }
+        if (!user) return res.status(401).json({ message: "A valid API token is required." });
+        req.user = user;
+        addContext({ userId: user.id });
+        next();
+    };
+
+    const requireAdmin = (req, res, next) => requireUser(req, res, () => {
+        if (req.user.role !== 'admin') return res.status(403).json({ message: "Only admins can do this." });
+        next();
+    });
+
+    const withSession = (req, res, next) => {
+        if (!sessions.isLoggedIn(req.user.id)) {
+            return res.status(401).json({ message: "Not logged in to Angel One. Please login first." });
+        }
+        sessions.run(req.user.id, next);
+    };
+
+    // The caller's own broker session must be logged in; the rest of the request runs under it
+    const requireSession = (req, res, next) => requireUser(req, res, () => withSession(req, res, next));
+
+    // EventSource can't set headers, so browsers trade their API token for a short-lived, single-use ticket and
+    // open the stream with ?ticket= instead
+    const issueStreamTicket = (user) => {
+        for (const [ticket, entry] of streamTickets) {
+            if (entry.expiresAt <= Date.now()) streamTickets.delete(ticket);
+        }
+        const ticket = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = Date.now() + STREAM_TICKET_TTL_MS;
+        streamTickets.set(ticket, { user, expiresAt });
+        return { ticket, expiresAt: new Date(expiresAt).toISOString() };
+    };
+
+    // requireSession for the stream: a ticket from issueStreamTicket, or the usual Authorization header
+    const requireStreamSession = (req, res, next) => {
+        if (req.get('Authorization') || !req.query.ticket) return requireSession(req, res, next);
+        const entry = streamTickets.get(String(req.query.ticket));
+        streamTickets.delete(String(req.query.ticket));
+        if (!entry || entry.expiresAt <= Date.now()) {
+            return res.status(401).json({ message: "The stream ticket is invalid or has expired; get a new one from POST /api/stream/ticket." });
+        }
+        req.user = entry.user;
+        addContext({ userId: entry.user.id });
+        withSession(req, res, next);
+    };
+
+    return { requireUser, requireAdmin, requireSession, issueStreamTicket, requireStreamSession };
+};
+
+module.exports = { createAuthMiddleware };
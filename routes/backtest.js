@@ -0,0 +1,17 @@
+// routes/backtest.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createBacktestRoutes = ({ backtester, requireSession }) => {
+    const router = express.Router();
+
+    // Body: { exchange, symboltoken, timeframe, fromdate, todate, strategy, initialCapital, slippagePercent, brokeragePerOrder, brokeragePercent, riskFreeRate (annual %) }
+    router.post('/api/backtest', requireSession, handle('run backtest', async (req, res) => {
+        res.json(await backtester.run(req.body));
+    }));
+
+    return router;
+};
+
+module.exports = { createBacktestRoutes };
@@ -0,0 +1,57 @@
+// routes/exports.js
+
+const { createEncoder, exportFilename, FORMATS } = require('../services/exports');
+const { sendError } = require('./handle');
+const { logger } = require('../services/logger');
+
+// Resolves once the socket can take more data (or has gone away)
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// Streams `batches` (an array or async iterable of row arrays) as an attachment in the requested format. Headers
+// go out with the first batch, so a failure before that is still a normal JSON error; a failure after it aborts
+// the response, which clients see as a truncated download.
+const streamExport = async (res, action, { options, columns, batches, filename, meta }) => {
+    const encoder = createEncoder(options, columns, meta);
+    let started = false;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const write = async (chunk) => {
+        if (chunk && !res.write(chunk) && !closed) await waitForDrain(res);
+    };
+    const start = async () => {
+        started = true;
+        res.set({
+            'Content-Type': FORMATS[options.format].contentType,
+            'Content-Disposition': `attachment; filename="${exportFilename(filename, options.format)}"`
+        });
+        await write(encoder.header());
+    };
+
+    try {
+        for await (const rows of batches) {
+            if (closed) return;
+            if (!started) await start();
+            let chunk = '';
+            for (const row of rows) chunk += encoder.row(row);
+            await write(chunk);
+        }
+        if (closed) return;
+        if (!started) await start();
+        res.end(encoder.footer());
+    } catch (error) {
+        if (!started) return sendError(res, action, error);
+        logger.error(`Export aborted part-way while trying to ${action}.`, { error: error.message });
+        res.destroy(error);
+    }
+};
+
+module.exports = { streamExport };
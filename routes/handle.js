@@ -0,0 +1,23 @@
+// routes/handle.js
+
+const { logger } = require('../services/logger');
+
+// Answers with a thrown httpError's status (plus any `details`); anything else is logged and becomes a 500
+const sendError = (res, action, error) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    logger.error(`Error trying to ${action}.`, { error: error.message });
+    res.status(500).json({ message: `Failed to ${action}.`, error: error.message });
+};
+
+// Wraps an async handler so that whatever it throws goes through sendError
+const handle = (action, fn) => async (req, res) => {
+    try {
+        await fn(req, res);
+    } catch (error) {
+        sendError(res, action, error);
+    }
+};
+
+module.exports = { handle, sendError };
@@ -0,0 +1,35 @@
+// routes/health.js
+
+const express = require('express');
+
+// Unauthenticated on purpose: the orchestrator and Prometheus call these without an API token
+const createHealthRoutes = ({ instruments, sessions, metrics, requireSessionForReady = false }) => {
+    const router = express.Router();
+
+    // Liveness: the process is up and its event loop answers
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // Readiness: nothing useful can be served without the instrument master, so until it is loaded this is a 503.
+    // Broker sessions are reported but only gate readiness with READYZ_REQUIRE_SESSION, since users log in through
+    // this very backend and a fresh replica has none until traffic reaches it.
+    router.get('/readyz', (req, res) => {
+        const instrumentMaster = instruments.getStatus();
+        const loggedInUsers = sessions.loggedInUserIds().length;
+        const checks = {
+            instrumentMaster: { ok: instrumentMaster.loaded, ...instrumentMaster },
+            brokerSession: { ok: loggedInUsers > 0, loggedInUsers }
+        };
+        const ready = checks.instrumentMaster.ok && (!requireSessionForReady || checks.brokerSession.ok);
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    return router;
+};
+
+module.exports = { createHealthRoutes };
@@ -0,0 +1,50 @@
+// routes/instruments.js
+
+const express = require('express');
+const { logger } = require('../services/logger');
+
+const createInstrumentRoutes = ({ instruments, requireUser }) => {
+    const router = express.Router();
+
+    // Reload on demand if the startup download and the disk cache both came up empty
+    const ensureLoaded = async (req, res, next) => {
+        if (!instruments.isLoaded()) {
+            await instruments.reload();
+        }
+        if (!instruments.isLoaded()) {
+            return res.status(503).json({ message: 'Instrument master is not loaded yet.' });
+        }
+        next();
+    };
+
+    router.get('/api/instruments', requireUser, ensureLoaded, (req, res) => {
+        try {
+            const nseStocks = instruments.filter({ exchange: 'NSE' }, instrument => instrument.symbol.endsWith('-EQ'));
+            res.json(nseStocks);
+        } catch (error) {
+            res.status(500).json({ message: 'Failed to fetch instruments.' });
+        }
+    });
+
+    router.get('/api/instruments/search', requireUser, ensureLoaded, (req, res) => {
+        const { q, exchange, instrumenttype, expiry, page, limit } = req.query;
+        try {
+            res.json(instruments.search({ q, exchange, instrumenttype, expiry, page, limit }));
+        } catch (error) {
+            logger.error("Error in instrument search.", { error: error.message });
+            res.status(500).json({ message: 'Failed to search instruments.', error: error.message });
+        }
+    });
+
+    router.get('/api/instruments/:exchange/:token', requireUser, ensureLoaded, (req, res) => {
+        const instrument = instruments.getByToken(req.params.exchange, req.params.token);
+        if (!instrument) {
+            return res.status(404).json({ message: `Instrument ${req.params.exchange}:${req.params.token} not found.` });
+        }
+        res.json(instrument);
+    });
+
+    return router;
+};
+
+module.exports = { createInstrumentRoutes };
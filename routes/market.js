@@ -0,0 +1,26 @@
+// routes/market.js
+
+const express = require('express');
+const { EXCHANGE_SESSIONS, SEGMENT_CALENDARS } = require('../services/marketCalendar');
+
+const KNOWN_EXCHANGES = [...Object.keys(EXCHANGE_SESSIONS), ...Object.keys(SEGMENT_CALENDARS)];
+
+const createMarketRoutes = ({ calendar }) => {
+    const router = express.Router();
+
+    // Session phase, holidays and the surrounding trading days, in IST. ?exchange=NSE,MCX narrows the list.
+    router.get('/api/market/status', (req, res) => {
+        const exchanges = req.query.exchange
+            ? String(req.query.exchange).toUpperCase().split(',').map(exchange => exchange.trim()).filter(Boolean)
+            : Object.keys(EXCHANGE_SESSIONS);
+        const unknown = exchanges.filter(exchange => !KNOWN_EXCHANGES.includes(exchange));
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown exchange ${unknown.join(', ')}. Supported: ${KNOWN_EXCHANGES.join(', ')}.` });
+        }
+        res.json(calendar.getStatus(Date.now(), exchanges));
+    });
+
+    return router;
+};
+
+module.exports = { createMarketRoutes };
@@ -0,0 +1,23 @@
+// routes/news.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createNewsRoutes = ({ news, requireUser, requireSession }) => {
+    const router = express.Router();
+
+    // Body: { exchange = 'NSE', symboltoken, refresh } or the older { companyName }; answers with bullets, a
+    // sentiment score in [-1, 1] and key risks
+    router.post('/api/generate-news-summary', requireSession, handle('generate news summary', async (req, res) => {
+        res.json(await news.summarize(req.body));
+    }));
+
+    // The cached summaries, sortable by sentiment: ?sort=sentiment|symbol|generatedAt&order=asc|desc
+    router.get('/api/news-summaries', requireUser, handle('list news summaries', async (req, res) => {
+        res.json(news.list(req.query));
+    }));
+
+    return router;
+};
+
+module.exports = { createNewsRoutes };
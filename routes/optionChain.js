@@ -0,0 +1,18 @@
+// routes/optionChain.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createOptionChainRoutes = ({ optionChain, requireSession }) => {
+    const router = express.Router();
+
+    // ?underlying=NIFTY&expiry=25JUL2024&strikes=10&exchange=NFO&riskFreeRate=6.5; expiry defaults to the nearest one
+    router.get('/api/option-chain', requireSession, handle('build option chain', async (req, res) => {
+        const { underlying, expiry, exchange, strikes, riskFreeRate } = req.query;
+        res.json(await optionChain.getChain({ underlying, expiry, exchange, strikes, riskFreeRate }));
+    }));
+
+    return router;
+};
+
+module.exports = { createOptionChainRoutes };
@@ -0,0 +1,68 @@
+// routes/orders.js
+
+const express = require('express');
+const { handle } = require('./handle');
+const { logger } = require('../services/logger');
+
+const createOrderRoutes = ({ orders, risk, idempotency, requireSession }) => {
+    const router = express.Router();
+
+    // Validation happens before the key is claimed, so a rejected body can be fixed and resent with the same key.
+    // Keys are per user: two users sending the same key never see each other's result.
+    const sendKeyed = async (req, res, request, fn) => {
+        const result = await idempotency.execute(req.get('Idempotency-Key'), request, fn, req.user.id);
+        if (result.replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+    };
+
+    // A risk rejection is a 403, so it isn't stored: the same key can be retried once the limits allow the order
+    const riskRejection = (reasons) => ({
+        status: 403,
+        body: { status: false, message: "Order rejected by risk controls.", reasons }
+    });
+
+    router.post('/api/orders', requireSession, handle('place order', async (req, res) => {
+        const payload = orders.validatePlaceOrder(req.body);
+        await sendKeyed(req, res, { action: 'place', payload }, async () => {
+            const verdict = await risk.evaluate(payload, { action: 'place', userId: req.user.id });
+            if (!verdict.allowed) return riskRejection(verdict.reasons);
+            const data = await orders.placeOrder(payload);
+            logger.info("Order placed.", { transactiontype: payload.transactiontype, quantity: payload.quantity, tradingsymbol: payload.tradingsymbol, orderid: data && data.orderid });
+            return { status: 201, body: { status: true, message: "Order placed.", data } };
+        });
+    }));
+
+    router.put('/api/orders/:orderid', requireSession, handle('modify order', async (req, res) => {
+        const payload = orders.validateModifyOrder(req.params.orderid, req.body);
+        await sendKeyed(req, res, { action: 'modify', payload }, async () => {
+            const verdict = await risk.evaluate(payload, { action: 'modify', userId: req.user.id });
+            if (!verdict.allowed) return riskRejection(verdict.reasons);
+            const data = await orders.modifyOrder(payload);
+            return { status: 200, body: { status: true, message: "Order modified.", data } };
+        });
+    }));
+
+    router.delete('/api/orders/:orderid', requireSession, handle('cancel order', async (req, res) => {
+        const payload = orders.validateCancelOrder(req.params.orderid, req.query.variety);
+        await sendKeyed(req, res, { action: 'cancel', payload }, async () => {
+            const data = await orders.cancelOrder(payload);
+            return { status: 200, body: { status: true, message: "Order cancelled.", data } };
+        });
+    }));
+
+    router.get('/api/orders', requireSession, handle('fetch order book', async (req, res) => {
+        res.json(await orders.getOrderBook());
+    }));
+
+    router.get('/api/orders/trades', requireSession, handle('fetch trade book', async (req, res) => {
+        res.json(await orders.getTradeBook());
+    }));
+
+    router.get('/api/orders/:uniqueorderid', requireSession, handle('fetch order status', async (req, res) => {
+        res.json(await orders.getOrderStatus(req.params.uniqueorderid));
+    }));
+
+    return router;
+};
+
+module.exports = { createOrderRoutes };
@@ -0,0 +1,29 @@
+// routes/portfolio.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createPortfolioRoutes = ({ portfolio, requireSession }) => {
+    const router = express.Router();
+
+    router.get('/api/portfolio/holdings', requireSession, handle('fetch holdings', async (req, res) => {
+        res.json(await portfolio.getHoldings());
+    }));
+
+    router.get('/api/portfolio/positions', requireSession, handle('fetch positions', async (req, res) => {
+        res.json(await portfolio.getPositions());
+    }));
+
+    // Angel One's RMS limits: available cash, margin used, collateral
+    router.get('/api/portfolio/funds', requireSession, handle('fetch funds', async (req, res) => {
+        res.json(await portfolio.getFunds());
+    }));
+
+    router.get('/api/portfolio/summary', requireSession, handle('build portfolio summary', async (req, res) => {
+        res.json(await portfolio.getSummary());
+    }));
+
+    return router;
+};
+
+module.exports = { createPortfolioRoutes };
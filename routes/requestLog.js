@@ -0,0 +1,46 @@
+// routes/requestLog.js
+
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../services/logger');
+
+// A caller's (or proxy's) X-Request-Id is kept when it looks sane, otherwise one is minted
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Polled by the orchestrator and Prometheus; logged at debug so they don't drown everything else
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Tags everything logged while handling a request with its ID, then logs one line per request and records its
+// latency under the matched route pattern (not the raw URL, which would give a series per symbol or order)
+const createRequestLogger = ({ metrics }) => {
+    const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by method, route and status.');
+
+    return (req, res, next) => {
+        const presented = req.get('X-Request-Id');
+        const requestId = presented && REQUEST_ID.test(presented) ? presented : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        res.set('X-Request-Id', requestId);
+
+        // 'close' also fires for clients that hang up mid-response, such as an abandoned export
+        res.on('close', () => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            duration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+            const level = QUIET_PATHS.includes(req.path) ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+            logger[level]('Request handled.', {
+                requestId,
+                userId: req.user ? req.user.id : null,
+                method: req.method,
+                path: req.path,
+                route,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                ...(res.writableFinished ? {} : { aborted: true })
+            });
+        });
+
+        runWithContext({ requestId }, next);
+    };
+};
+
+module.exports = { createRequestLogger };
@@ -0,0 +1,35 @@
+// routes/risk.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createRiskRoutes = ({ risk, requireUser, requireAdmin }) => {
+    const router = express.Router();
+
+    router.get('/api/risk', requireUser, handle('fetch risk status', async (req, res) => {
+        res.json(await risk.getStatus());
+    }));
+
+    // Limits and the kill switch cover every user, so only admins change them.
+    // Body: any subset of the limits; null disables a numeric check
+    router.put('/api/risk/limits', requireAdmin, handle('update risk limits', async (req, res) => {
+        res.json(await risk.updateLimits(req.body));
+    }));
+
+    // Body: { enabled: true | false, reason }
+    router.post('/api/risk/kill-switch', requireAdmin, handle('toggle kill switch', async (req, res) => {
+        if (typeof req.body.enabled !== 'boolean') {
+            return res.status(400).json({ message: "enabled must be true or false." });
+        }
+        res.json(await risk.setKillSwitch(req.body.enabled, req.body.reason));
+    }));
+
+    router.get('/api/risk/rejections', requireUser, handle('fetch risk rejections', async (req, res) => {
+        const limit = Math.max(parseInt(req.query.limit, 10) || 100, 1);
+        res.json(await risk.getRejections(limit, req.user.role === 'admin' ? undefined : req.user.id));
+    }));
+
+    return router;
+};
+
+module.exports = { createRiskRoutes };
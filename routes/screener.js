@@ -0,0 +1,52 @@
+// routes/screener.js
+
+const express = require('express');
+const { handle } = require('./handle');
+const { streamExport } = require('./exports');
+const { parseExportOptions, valueFields, flattenValues, columnsFor, INSTRUMENT_COLUMNS } = require('../services/exports');
+
+const RESULT_COLUMNS = [...INSTRUMENT_COLUMNS, { name: 'time', type: 'time' }, { name: 'close', type: 'number' }];
+
+const createScreenerRoutes = ({ screener, requireUser, requireSession }) => {
+    const router = express.Router();
+
+    // Body: { universe, conditions, columns, timeframe, sort, order, page, limit }
+    router.post('/api/screener', requireSession, handle('run screener', async (req, res) => {
+        const { inline, job } = await screener.start(req.body, req.user);
+        if (inline) return res.json(job);
+        res.status(202).location(`/api/screener/jobs/${job.id}`).json(job);
+    }));
+
+    router.get('/api/screener/jobs', requireUser, (req, res) => {
+        res.json(screener.listJobs(req.user.id));
+    });
+
+    // Progress plus the matches so far: ?page=&limit=&sort=RSI(14)&order=asc. With ?format=csv|jsonl|columnar it
+    // exports every match instead, one row per instrument with its indicator values as columns.
+    router.get('/api/screener/jobs/:id', requireUser, handle('fetch screener job', async (req, res) => {
+        const { page, limit, sort, order } = req.query;
+        const options = parseExportOptions(req.query);
+        if (!options) return res.json(screener.getJob(req.params.id, req.user.id, { page, limit, sort, order }));
+
+        const { job, rows } = screener.getResults(req.params.id, req.user.id, { sort, order });
+        const fields = valueFields(rows.map(row => row.values));
+        const flatRows = rows.map(({ exchange, symboltoken, symbol, name, time, close, values }) => (
+            { exchange, symboltoken, symbol, name, time, close, ...flattenValues(values, fields) }
+        ));
+        await streamExport(res, 'export screener results', {
+            options,
+            columns: columnsFor(flatRows, RESULT_COLUMNS),
+            batches: [flatRows],
+            filename: ['screener', job.id.slice(0, 8), job.timeframe],
+            meta: { source: 'screener', jobId: job.id, status: job.status, timeframe: job.timeframe }
+        });
+    }));
+
+    router.delete('/api/screener/jobs/:id', requireUser, handle('cancel screener job', async (req, res) => {
+        res.json(screener.cancel(req.params.id, req.user.id));
+    }));
+
+    return router;
+};
+
+module.exports = { createScreenerRoutes };
@@ -0,0 +1,64 @@
+// routes/stream.js
+
+const express = require('express');
+
+// Comment lines keep proxies from closing an idle event stream
+const SSE_KEEPALIVE_MS = 25 * 1000;
+
+const createStreamRoutes = ({ streamHubFor, requireSession, requireStreamSession, issueStreamTicket }) => {
+    const router = express.Router();
+
+    // A single-use ticket, valid for a minute, to open the stream with: new EventSource('/api/stream?ticket=...')
+    router.post('/api/stream/ticket', requireSession, (req, res) => {
+        res.json(issueStreamTicket(req.user));
+    });
+
+    // Server-Sent Events over the caller's own SmartStream feed: the first `ready` event carries the clientId used
+    // to (un)subscribe
+    router.get('/api/stream', requireStreamSession, (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const streamHub = streamHubFor(req.user.id);
+        const clientId = streamHub.addClient(send);
+        send('ready', { clientId, status: streamHub.getStatus() });
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            streamHub.removeClient(clientId);
+        });
+    });
+
+    // Body: { mode: 'LTP' | 'QUOTE' | 'SNAP_QUOTE', tokens: [{ exchange, token }] }
+    router.post('/api/stream/:clientId/subscribe', requireSession, (req, res) => {
+        try {
+            const subscriptions = streamHubFor(req.user.id).subscribe(req.params.clientId, req.body);
+            res.json({ status: true, subscriptions });
+        } catch (error) {
+            res.status(error.status || 500).json({ message: error.message });
+        }
+    });
+
+    router.post('/api/stream/:clientId/unsubscribe', requireSession, (req, res) => {
+        try {
+            const subscriptions = streamHubFor(req.user.id).unsubscribe(req.params.clientId, req.body);
+            res.json({ status: true, subscriptions });
+        } catch (error) {
+            res.status(error.status || 500).json({ message: error.message });
+        }
+    });
+
+    router.get('/api/stream/status', requireSession, (req, res) => {
+        res.json(streamHubFor(req.user.id).getStatus());
+    });
+
+    return router;
+};
+
+module.exports = { createStreamRoutes };
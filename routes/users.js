@@ -0,0 +1,75 @@
+// routes/users.js
+
+const crypto = require('crypto');
+const express = require('express');
+const { handle } = require('./handle');
+
+const tokensMatch = (presented, expected) => {
+    const a = Buffer.from(String(presented || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const createUserRoutes = ({ users, sessions, requireUser, requireAdmin, bootstrapToken, onUserRemoved = () => {} }) => {
+    const router = express.Router();
+
+    // The very first account is created with the server's APP_BOOTSTRAP_TOKEN and is always an admin
+    const requireAdminOrBootstrap = async (req, res, next) => {
+        try {
+            if (await users.hasUsers()) return requireAdmin(req, res, next);
+        } catch (error) {
+            return res.status(500).json({ message: "Failed to load users.", error: error.message });
+        }
+        if (!bootstrapToken) {
+            return res.status(503).json({ message: "No users exist yet and APP_BOOTSTRAP_TOKEN is not configured on the server." });
+        }
+        if (!tokensMatch(req.get('X-Bootstrap-Token'), bootstrapToken)) {
+            return res.status(401).json({ message: "Creating the first user needs the X-Bootstrap-Token header." });
+        }
+        req.bootstrap = true;
+        next();
+    };
+
+    // Body: { username, role: 'admin' | 'analyst' }; the response carries the user's first API token, shown once
+    router.post('/api/users', requireAdminOrBootstrap, handle('create user', async (req, res) => {
+        const body = req.bootstrap ? { ...req.body, role: 'admin' } : req.body;
+        res.status(201).json(await users.create(body));
+    }));
+
+    router.get('/api/users', requireAdmin, handle('list users', async (req, res) => {
+        res.json(await users.list());
+    }));
+
+    router.delete('/api/users/:id', requireAdmin, handle('delete user', async (req, res) => {
+        await users.remove(req.params.id);
+        await sessions.remove(req.params.id);
+        onUserRemoved(req.params.id);
+        res.status(204).end();
+    }));
+
+    router.get('/api/me', requireUser, handle('fetch current user', async (req, res) => {
+        res.json({ ...(await users.get(req.user.id)), session: sessions.forUser(req.user.id).getStatus() });
+    }));
+
+    // Body: { clientId, password, totpSecret, apiKey? }; stored encrypted, used by POST /api/login
+    router.put('/api/me/credentials', requireUser, handle('save broker credentials', async (req, res) => {
+        res.json(await users.setCredentials(req.user.id, req.body));
+    }));
+
+    router.delete('/api/me/credentials', requireUser, handle('remove broker credentials', async (req, res) => {
+        res.json(await users.clearCredentials(req.user.id));
+    }));
+
+    router.post('/api/me/tokens', requireUser, handle('create API token', async (req, res) => {
+        res.status(201).json(await users.createToken(req.user.id, req.body.name));
+    }));
+
+    router.delete('/api/me/tokens/:id', requireUser, handle('revoke API token', async (req, res) => {
+        await users.revokeToken(req.user.id, req.params.id);
+        res.status(204).end();
+    }));
+
+    return router;
+};
+
+module.exports = { createUserRoutes };
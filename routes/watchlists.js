@@ -0,0 +1,42 @@
+// routes/watchlists.js
+
+const express = require('express');
+const { handle } = require('./handle');
+
+const createWatchlistRoutes = ({ watchlists, requireUser }) => {
+    const router = express.Router();
+
+    router.get('/api/watchlists', requireUser, handle('list watchlists', async (req, res) => {
+        res.json(await watchlists.list(req.user));
+    }));
+
+    router.post('/api/watchlists', requireUser, handle('create watchlist', async (req, res) => {
+        res.status(201).json(await watchlists.create(req.body, req.user));
+    }));
+
+    router.get('/api/watchlists/:id', requireUser, handle('fetch watchlist', async (req, res) => {
+        res.json(await watchlists.get(req.params.id, req.user));
+    }));
+
+    router.patch('/api/watchlists/:id', requireUser, handle('rename watchlist', async (req, res) => {
+        res.json(await watchlists.rename(req.params.id, req.body.name, req.user));
+    }));
+
+    router.delete('/api/watchlists/:id', requireUser, handle('delete watchlist', async (req, res) => {
+        await watchlists.remove(req.params.id, req.user);
+        res.status(204).end();
+    }));
+
+    // Body is a single { exchange, symboltoken | symbol } or an array of them
+    router.post('/api/watchlists/:id/items', requireUser, handle('add watchlist items', async (req, res) => {
+        res.json(await watchlists.addItems(req.params.id, req.body.items || req.body, req.user));
+    }));
+
+    router.delete('/api/watchlists/:id/items/:exchange/:token', requireUser, handle('remove watchlist item', async (req, res) => {
+        res.json(await watchlists.removeItem(req.params.id, req.params.exchange, req.params.token, req.user));
+    }));
+
+    return router;
+};
+
+module.exports = { createWatchlistRoutes };
@@ -0,0 +1,432 @@
+// services/alerts.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { computeIndicators } = require('./indicators');
+const { parseRule, createRuleEvaluator, evaluateRule, ruleOperands, warmupBars } = require('./conditions');
+const { formatIstDate, calendarDaysForBars, MAX_DAYS_PER_REQUEST } = require('./candles');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+const { createWebhookGuard } = require('./webhooks');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'alerts.json');
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const MODES = ['once', 'recurring'];
+// Only the most recent firings are kept on disk
+const MAX_HISTORY = 1000;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_BACKOFF_MS = 2000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How an operand is shown in firings and remembered between checks: "ltp", "close", "RSI(14)", "BB(20,2).upper"
+const operandLabel = (operand) => {
+    if (operand.type === 'number') return String(operand.value);
+    if (operand.type === 'indicator') return operand.field ? `${operand.id}.${operand.field}` : operand.id;
+    return operand.field;
+};
+
+// Parses a stored or submitted condition; quote fields (ltp, netChange, percentChange) are allowed alongside candles
+const compile = (condition) => {
+    const specs = new Map();
+    const rule = parseRule(condition, specs, 'condition', { quoteFields: true });
+    const operands = ruleOperands(rule);
+    return {
+        rule,
+        specs: [...specs.values()],
+        needsQuote: operands.some(operand => operand.type === 'quote'),
+        needsCandles: operands.some(operand => operand.type === 'price' || operand.type === 'indicator')
+    };
+};
+
+const createAlertService = ({
+    instruments,
+    priceService,
+    candleStore,
+    calendar,
+    filePath = DEFAULT_FILE_PATH,
+    intervalMs = DEFAULT_INTERVAL_MS,
+    defaultWebhooks = [],
+    // When set, alerts may only name webhooks on these hosts
+    allowedWebhookHosts = [],
+    // Alerts are checked under their owner's broker session, and only while that session is logged in
+    shouldRun = () => true,
+    runAs = (ownerId, fn) => fn()
+}) => {
+    let state = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+    let timer = null;
+    // Runs in progress: 'all' for the scheduled one, an owner id for a user's manual run
+    const evaluating = new Map();
+    let lastRun = null;
+    const compiled = new Map();
+    const webhookGuard = createWebhookGuard({ allowedHosts: allowedWebhookHosts });
+
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, {}).then(stored => {
+                state = { alerts: stored.alerts || [], history: stored.history || [] };
+                return state;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, state));
+        return writeQueue;
+    };
+
+    // Compiled rules are cached per alert revision
+    const compiledFor = (alert) => {
+        const cached = compiled.get(alert.id);
+        if (cached && cached.updatedAt === alert.updatedAt) return cached.value;
+        const value = compile(alert.condition);
+        compiled.set(alert.id, { updatedAt: alert.updatedAt, value });
+        return value;
+    };
+
+    const resolveInstrument = ({ exchange, symboltoken, symbol }) => {
+        if (!exchange || (!symboltoken && !symbol)) throw httpError(400, "exchange and a symboltoken or symbol are required.");
+        const normalizedExchange = String(exchange).toUpperCase();
+        if (!instruments.isLoaded()) {
+            if (!symboltoken) throw httpError(503, "Instrument master is not loaded yet; create alerts by symboltoken.");
+            return { exchange: normalizedExchange, symboltoken: String(symboltoken), symbol: null };
+        }
+        const instrument = symboltoken
+            ? instruments.getByToken(normalizedExchange, symboltoken)
+            : instruments.getBySymbol(symbol, normalizedExchange)[0];
+        if (!instrument) throw httpError(400, `Instrument ${normalizedExchange}:${symboltoken || symbol} not found in the instrument master.`);
+        return { exchange: normalizedExchange, symboltoken: instrument.token, symbol: instrument.symbol };
+    };
+
+    // Validates the editable fields present in `body`; shared by create and update
+    const validateFields = async (body) => {
+        const fields = {};
+        if (body.name !== undefined) {
+            if (typeof body.name !== 'string' || !body.name.trim()) throw httpError(400, "name must be a non-empty string.");
+            fields.name = body.name.trim();
+        }
+        if (body.condition !== undefined) {
+            compile(body.condition);
+            fields.condition = body.condition;
+        }
+        if (body.timeframe !== undefined) {
+            if (!MAX_DAYS_PER_REQUEST[body.timeframe]) throw httpError(400, `Unsupported timeframe "${body.timeframe}".`);
+            fields.timeframe = body.timeframe;
+        }
+        if (body.mode !== undefined) {
+            if (!MODES.includes(body.mode)) throw httpError(400, `mode must be one of ${MODES.join(', ')}.`);
+            fields.mode = body.mode;
+        }
+        if (body.cooldownMinutes !== undefined) {
+            const cooldown = Number(body.cooldownMinutes);
+            if (!Number.isFinite(cooldown) || cooldown < 0) throw httpError(400, "cooldownMinutes must be a non-negative number.");
+            fields.cooldownMinutes = cooldown;
+        }
+        if (body.webhooks !== undefined) {
+            if (!Array.isArray(body.webhooks)) throw httpError(400, "webhooks must be an array of URLs.");
+            fields.webhooks = await Promise.all(body.webhooks.map(webhookGuard.validate));
+        }
+        if (body.enabled !== undefined) {
+            if (typeof body.enabled !== 'boolean') throw httpError(400, "enabled must be true or false.");
+            fields.enabled = body.enabled;
+        }
+        return fields;
+    };
+
+    const find = async (id, ownerId) => {
+        const alert = (await load()).alerts.find(a => a.id === id && a.ownerId === ownerId);
+        if (!alert) throw httpError(404, `Alert ${id} not found.`);
+        return alert;
+    };
+
+    const list = async (ownerId) => (await load()).alerts.filter(alert => alert.ownerId === ownerId);
+
+    const get = (id, ownerId) => find(id, ownerId);
+
+    const create = async (body = {}, ownerId) => {
+        if (body.condition === undefined) throw httpError(400, "condition is required.");
+        const instrument = resolveInstrument(body);
+        const fields = await validateFields(body);
+        const now = new Date().toISOString();
+        const alert = {
+            id: crypto.randomUUID(),
+            ownerId,
+            name: fields.name || `${instrument.symbol || `${instrument.exchange}:${instrument.symboltoken}`} alert`,
+            ...instrument,
+            condition: fields.condition,
+            timeframe: fields.timeframe || 'ONE_DAY',
+            mode: fields.mode || 'once',
+            cooldownMinutes: fields.cooldownMinutes !== undefined ? fields.cooldownMinutes : DEFAULT_COOLDOWN_MINUTES,
+            webhooks: fields.webhooks || [],
+            enabled: fields.enabled !== undefined ? fields.enabled : true,
+            status: 'active',
+            triggerCount: 0,
+            lastTriggeredAt: null,
+            lastCheckedAt: null,
+            lastError: null,
+            lastValues: {},
+            createdAt: now,
+            updatedAt: now
+        };
+        (await load()).alerts.push(alert);
+        await save();
+        return alert;
+    };
+
+    const update = async (id, body = {}, ownerId) => {
+        const alert = await find(id, ownerId);
+        const fields = await validateFields(body);
+        Object.assign(alert, fields);
+        // A new condition or a re-enabled one-shot alert starts watching afresh
+        if (fields.condition !== undefined || fields.timeframe !== undefined || fields.enabled === true) {
+            alert.status = 'active';
+            alert.lastValues = {};
+        }
+        alert.updatedAt = new Date().toISOString();
+        await save();
+        return alert;
+    };
+
+    const remove = async (id, ownerId) => {
+        const current = await load();
+        await find(id, ownerId);
+        current.alerts = current.alerts.filter(a => a.id !== id);
+        compiled.delete(id);
+        await save();
+    };
+
+    const getHistory = async ({ alertId, limit = 100 } = {}, ownerId) => {
+        const { history } = await load();
+        const matching = history.filter(firing => firing.ownerId === ownerId && (!alertId || firing.alertId === alertId));
+        return matching.slice(-limit).reverse();
+    };
+
+    // Posts one firing to each webhook, retrying with backoff; the outcome is stored on the firing
+    const deliver = async (firing, alert) => {
+        // The operator's default webhooks go through the guard too: an internal one has to be on the allowlist
+        const urls = alert.webhooks.length > 0 ? alert.webhooks : defaultWebhooks;
+        const payload = {
+            event: 'alert.triggered',
+            alert: {
+                id: alert.id,
+                name: alert.name,
+                exchange: alert.exchange,
+                symboltoken: alert.symboltoken,
+                symbol: alert.symbol,
+                condition: alert.condition,
+                timeframe: alert.timeframe,
+                mode: alert.mode
+            },
+            firedAt: firing.firedAt,
+            values: firing.values
+        };
+        for (const url of urls) {
+            const delivery = { url, status: 'pending', attempts: 0, responseStatus: null, error: null };
+            firing.deliveries.push(delivery);
+            while (delivery.attempts < WEBHOOK_ATTEMPTS) {
+                delivery.attempts += 1;
+                try {
+                    const response = await webhookGuard.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS });
+                    delivery.status = 'delivered';
+                    delivery.responseStatus = response.status;
+                    delivery.error = null;
+                    break;
+                } catch (error) {
+                    delivery.status = 'failed';
+                    delivery.responseStatus = error.response ? error.response.status : null;
+                    delivery.error = error.message;
+                    if (delivery.attempts < WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_BACKOFF_MS * 2 ** (delivery.attempts - 1));
+                }
+            }
+            if (delivery.status === 'failed') logger.error("Alert webhook failed.", { url, attempts: delivery.attempts, error: delivery.error });
+        }
+        await save();
+    };
+
+    const fire = (alert, values, now) => {
+        const firing = {
+            id: crypto.randomUUID(),
+            alertId: alert.id,
+            ownerId: alert.ownerId,
+            alertName: alert.name,
+            exchange: alert.exchange,
+            symboltoken: alert.symboltoken,
+            symbol: alert.symbol,
+            firedAt: new Date(now).toISOString(),
+            values,
+            deliveries: []
+        };
+        state.history.push(firing);
+        state.history = state.history.slice(-MAX_HISTORY);
+        alert.triggerCount += 1;
+        alert.lastTriggeredAt = firing.firedAt;
+        if (alert.mode === 'once') alert.status = 'triggered';
+        logger.info("Alert triggered.", { alertId: alert.id, alert: alert.name, values });
+        deliver(firing, alert).catch(error => logger.error("Could not deliver alert.", { alertId: alert.id, error: error.message }));
+        return firing;
+    };
+
+    // Loads each instrument/timeframe once per run, with enough history for the slowest indicator watching it
+    const loadCandleSets = async (alerts) => {
+        const needs = new Map();
+        for (const alert of alerts) {
+            const { needsCandles, specs } = compiledFor(alert);
+            if (!needsCandles) continue;
+            const key = `${alert.exchange}:${alert.symboltoken}:${alert.timeframe}`;
+            const days = Math.max(calendarDaysForBars(warmupBars(specs) + 1, alert.timeframe), 7);
+            const need = needs.get(key);
+            needs.set(key, { alert, days: need ? Math.max(need.days, days) : days });
+        }
+
+        const sets = new Map();
+        const now = Date.now();
+        for (const [key, { alert, days }] of needs) {
+            try {
+                sets.set(key, await candleStore.getCandles({
+                    exchange: alert.exchange,
+                    symboltoken: alert.symboltoken,
+                    timeframe: alert.timeframe,
+                    fromdate: formatIstDate(now - days * DAY_MS),
+                    todate: formatIstDate(now)
+                }));
+            } catch (error) {
+                sets.set(key, error);
+            }
+        }
+        return sets;
+    };
+
+    const checkAlert = (alert, snapshot, candles, now) => {
+        const { rule, specs, needsQuote, needsCandles } = compiledFor(alert);
+        if (needsQuote && (!snapshot || snapshot.currentPrice === null)) throw new Error("No current price available.");
+        if (candles instanceof Error) throw candles;
+        if (needsCandles && (!candles || candles.length === 0)) throw new Error("No candles available.");
+
+        const evaluator = needsCandles
+            ? createRuleEvaluator(candles, computeIndicators(candles, specs, { series: true, intraday: alert.timeframe !== 'ONE_DAY' }))
+            : null;
+        const quote = snapshot ? { ltp: snapshot.currentPrice, netChange: snapshot.netChange, percentChange: snapshot.percentChange } : {};
+
+        const values = {};
+        const current = (operand) => {
+            let value;
+            if (operand.type === 'number') value = operand.value;
+            else if (operand.type === 'quote') value = quote[operand.field];
+            else value = evaluator.valueAt(operand, candles.length - 1);
+            if (operand.type !== 'number') values[operandLabel(operand)] = value === undefined ? null : value;
+            return value;
+        };
+        // crossesAbove/crossesBelow compare against what the previous check saw
+        const previous = (operand) => {
+            if (operand.type === 'number') return operand.value;
+            const value = alert.lastValues[operandLabel(operand)];
+            return value === undefined ? null : value;
+        };
+
+        const holds = evaluateRule(rule, current, previous);
+        alert.lastValues = values;
+        alert.lastCheckedAt = new Date(now).toISOString();
+        alert.lastError = null;
+
+        const cooledDown = !alert.lastTriggeredAt || now - Date.parse(alert.lastTriggeredAt) >= alert.cooldownMinutes * 60 * 1000;
+        return holds && cooledDown ? fire(alert, values, now) : null;
+    };
+
+    // Checks one owner's alerts with a single batched quote call and one candle load per instrument
+    const checkOwnerAlerts = async (alerts, firings) => {
+        const quoted = alerts.filter(alert => compiledFor(alert).needsQuote);
+        const snapshots = quoted.length > 0 ? await priceService.getPriceSnapshots(quoted) : new Map();
+        const candleSets = await loadCandleSets(alerts);
+
+        for (const alert of alerts) {
+            try {
+                const firing = checkAlert(
+                    alert,
+                    snapshots.get(`${alert.exchange}:${alert.symboltoken}`),
+                    candleSets.get(`${alert.exchange}:${alert.symboltoken}:${alert.timeframe}`),
+                    Date.now()
+                );
+                if (firing) firings.push(firing);
+            } catch (error) {
+                alert.lastError = error.message;
+                logger.error("Alert could not be evaluated.", { alertId: alert.id, alert: alert.name, error: error.message });
+            }
+        }
+    };
+
+    // Checks every enabled, untriggered alert once (only `ownerId`'s when given); scheduled runs skip alerts whose
+    // exchange is out of session and owners who aren't logged in. Overlapping calls share the run in progress.
+    const evaluate = ({ onlyOpenExchanges = false, ownerId } = {}) => {
+        const runKey = ownerId || 'all';
+        if (evaluating.has(runKey)) return evaluating.get(runKey);
+        const run = (async () => {
+            const startedAt = Date.now();
+            const byOwner = new Map();
+            for (const alert of (await load()).alerts) {
+                if (!alert.enabled || alert.status !== 'active') continue;
+                if (ownerId && alert.ownerId !== ownerId) continue;
+                if (onlyOpenExchanges && !calendar.isOpen(startedAt, alert.exchange)) continue;
+                if (!alert.ownerId || !shouldRun(alert.ownerId)) continue;
+                if (!byOwner.has(alert.ownerId)) byOwner.set(alert.ownerId, []);
+                byOwner.get(alert.ownerId).push(alert);
+            }
+
+            const firings = [];
+            let checked = 0;
+            for (const [owner, alerts] of byOwner) {
+                checked += alerts.length;
+                await runAs(owner, () => checkOwnerAlerts(alerts, firings));
+            }
+            if (checked > 0) await save();
+
+            const summary = { at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, checked, triggered: firings.length };
+            if (!ownerId) lastRun = summary;
+            return { ...summary, firings };
+        })().finally(() => { evaluating.delete(runKey); });
+        evaluating.set(runKey, run);
+        return run;
+    };
+
+    const tick = () => {
+        evaluate({ onlyOpenExchanges: true }).catch(error => logger.error("Alert evaluation failed.", { error: error.message }));
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(tick, intervalMs);
+        // The evaluator must not keep the process alive on its own
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    const getStatus = async (ownerId) => {
+        const alerts = await list(ownerId);
+        return {
+            scheduled: timer !== null,
+            intervalMs,
+            openExchanges: [...new Set(alerts.map(alert => alert.exchange))].filter(exchange => calendar.isOpen(Date.now(), exchange)),
+            alerts: alerts.length,
+            active: alerts.filter(alert => alert.enabled && alert.status === 'active').length,
+            lastRun
+        };
+    };
+
+    return { list, get, create, update, remove, getHistory, evaluate, start, stop, getStatus };
+};
+
+module.exports = { createAlertService };
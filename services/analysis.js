@@ -0,0 +1,75 @@
+// services/analysis.js
+
+const { formatIstDate, maxRangeDays, MAX_DAYS_PER_REQUEST } = require('./candles');
+const { computeIndicators } = require('./indicators');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The fields /api/stock-analysis has always returned, computed on every request
+const LEGACY_INDICATORS = [
+    { id: 'rsi', name: 'RSI', period: 14 },
+    { id: 'dma20', name: 'SMA', period: 20 },
+    { id: 'dma50', name: 'SMA', period: 50 },
+    { id: 'dma200', name: 'SMA', period: 200 }
+];
+const DEFAULT_LOOKBACK_DAYS = 365;
+
+// The same per-timeframe cap as every other candle range; see maxRangeDays
+const maxLookbackDays = maxRangeDays;
+
+// A year, or as much as the timeframe allows when that is less
+const defaultLookbackDays = (timeframe) => Math.min(DEFAULT_LOOKBACK_DAYS, maxLookbackDays(timeframe));
+
+// Shared by /api/stock-analysis and the news summaries' price context
+const createStockAnalyzer = ({ candleStore, priceService }) => {
+    // `lookbackDays` of candles up to today (a year of daily candles by default)
+    const loadCandles = async ({ exchange, symboltoken, timeframe = 'ONE_DAY', lookbackDays = defaultLookbackDays(timeframe) }) => {
+        if (!MAX_DAYS_PER_REQUEST[timeframe]) throw httpError(400, `Unsupported timeframe "${timeframe}".`);
+        if (lookbackDays > maxLookbackDays(timeframe)) {
+            throw httpError(400, `lookback can be at most ${maxLookbackDays(timeframe)} days for ${timeframe} candles.`);
+        }
+        const now = Date.now();
+        const candles = await candleStore.getCandles({
+            exchange,
+            symboltoken,
+            timeframe,
+            fromdate: formatIstDate(now - lookbackDays * DAY_MS).slice(0, 10),
+            todate: formatIstDate(now).slice(0, 10)
+        });
+        if (!candles || candles.length === 0) throw httpError(404, "No historical data available for this stock.");
+        return candles;
+    };
+
+    // The legacy fields plus any requested indicators; pass `candles` when the caller already loaded them
+    const analyze = async ({ exchange, symboltoken, timeframe = 'ONE_DAY', lookbackDays = defaultLookbackDays(timeframe), indicators, series = false, candles }) => {
+        const bars = candles || await loadCandles({ exchange, symboltoken, timeframe, lookbackDays });
+        const intraday = timeframe !== 'ONE_DAY';
+        const legacy = computeIndicators(bars, LEGACY_INDICATORS, { intraday });
+        const requested = indicators && indicators.length > 0
+            ? computeIndicators(bars, indicators, { series: Boolean(series), intraday })
+            : null;
+
+        // Live LTP against the previous close, or the last daily closes when the market is shut
+        const { currentPrice, netChange, percentChange } = await priceService.getPriceSnapshot({ exchange, symboltoken });
+
+        const analysis = {
+            currentPrice: currentPrice,
+            netChange: netChange,
+            percentChange: percentChange,
+            rsi: legacy.rsi.value,
+            dma20: legacy.dma20.value,
+            dma50: legacy.dma50.value,
+            dma200: legacy.dma200.value,
+            timeframe,
+            lookback: lookbackDays
+        };
+        if (requested) analysis.indicators = requested;
+        if (requested && series) analysis.candles = bars;
+        return analysis;
+    };
+
+    return { loadCandles, analyze };
+};
+
+module.exports = { createStockAnalyzer, maxLookbackDays, defaultLookbackDays, LEGACY_INDICATORS, DEFAULT_LOOKBACK_DAYS };
@@ -0,0 +1,248 @@
+// services/angelClient.js
+
+const axios = require('axios');
+const { createRateLimiter, isRateLimited } = require('./rateLimiter');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+const ANGEL_BASE_URL = 'https://apiconnect.angelbroking.com';
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_JITTER_MS = 250;
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Every Angel One API we call, with its documented per-second quota. Calls that would place, change or cancel
+// an order are not idempotent: they are only retried when Angel One turned them away before processing.
+const ENDPOINTS = {
+    login: { method: 'post', path: '/rest/auth/angelbroking/user/v1/loginByPassword', perSecond: 1, auth: false },
+    generateTokens: { method: 'post', path: '/rest/auth/angelbroking/jwt/v1/generateTokens', perSecond: 1 },
+    getProfile: { method: 'get', path: '/rest/secure/angelbroking/user/v1/getProfile', perSecond: 3 },
+    logout: { method: 'post', path: '/rest/secure/angelbroking/user/v1/logout', perSecond: 1 },
+    getRMS: { method: 'get', path: '/rest/secure/angelbroking/user/v1/getRMS', perSecond: 2 },
+    getCandleData: { method: 'post', path: '/rest/secure/angelbroking/historical/v1/getCandleData', perSecond: 3, historical: true },
+    getQuote: { method: 'post', path: '/rest/secure/angelbroking/market/v1/getQuote', perSecond: 10 },
+    placeOrder: { method: 'post', path: '/rest/secure/angelbroking/order/v1/placeOrder', perSecond: 20, idempotent: false },
+    modifyOrder: { method: 'post', path: '/rest/secure/angelbroking/order/v1/modifyOrder', perSecond: 20, idempotent: false },
+    cancelOrder: { method: 'post', path: '/rest/secure/angelbroking/order/v1/cancelOrder', perSecond: 20, idempotent: false },
+    getOrderBook: { method: 'get', path: '/rest/secure/angelbroking/order/v1/getOrderBook', perSecond: 1 },
+    getTradeBook: { method: 'get', path: '/rest/secure/angelbroking/order/v1/getTradeBook', perSecond: 1 },
+    getPosition: { method: 'get', path: '/rest/secure/angelbroking/order/v1/getPosition', perSecond: 1 },
+    orderDetails: { method: 'get', path: '/rest/secure/angelbroking/order/v1/details', perSecond: 10 },
+    getHolding: { method: 'get', path: '/rest/secure/angelbroking/portfolio/v1/getHolding', perSecond: 1 }
+};
+
+// Angel One error codes -> the status we answer with and what to tell the caller
+const ERROR_CODES = {
+    AG8001: [401, "Angel One session token is invalid; log in again."],
+    AG8002: [401, "Angel One session has expired; log in again."],
+    AG8003: [401, "Angel One session token is missing; log in first."],
+    AB8050: [401, "Angel One refresh token is invalid; log in again."],
+    AB8051: [401, "Angel One refresh token has expired; log in again."],
+    AB1010: [401, "Angel One session has expired; log in again."],
+    AB1011: [401, "Not logged in to Angel One."],
+    AB1000: [401, "Angel One rejected the client code or password."],
+    AB1001: [401, "Angel One rejected the client code or password."],
+    AB1002: [401, "Angel One rejected the client code or password."],
+    AB1005: [403, "Angel One only accepts USER logins for this API."],
+    AB1006: [403, "The client is blocked from trading by Angel One."],
+    AB2002: [403, "Angel One has blocked ROBO (bracket) orders."],
+    AB1009: [404, "Angel One does not know this symbol."],
+    AB1013: [404, "Order not found at Angel One."],
+    AB1014: [404, "Trade not found at Angel One."],
+    AB1015: [404, "No holdings found at Angel One."],
+    AB1016: [404, "No positions found at Angel One."],
+    AB1008: [422, "Angel One rejected the order variety."],
+    AB1012: [422, "Angel One rejected the product type."],
+    AB1017: [422, "Angel One could not convert the position."],
+    AB1004: [503, "Angel One is temporarily unable to serve the request."],
+    AB2001: [503, "Angel One had an internal error."],
+    AB1007: [502, "Angel One's order system (AMX) returned an error."],
+    AB2000: [502, "Angel One returned an unspecified error."]
+};
+// Codes worth retrying: the request was fine, Angel One just couldn't serve it right now
+const TRANSIENT_CODES = ['AB1004', 'AB2001'];
+const AUTH_CODES = ['AG8001', 'AG8002', 'AG8003', 'AB8050', 'AB8051', 'AB1010', 'AB1011'];
+const NETWORK_TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+// Network failures worth another attempt; anything else without a response (a bad URL, a TLS certificate error)
+// would only fail the same way again
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const errorCodeOf = (body) => (body && typeof body === 'object' ? body.errorcode || body.errorCode || null : null);
+
+// Works for both thrown axios errors and resolved bodies carrying `status: false`
+const isAuthFailure = (error) => {
+    if (!error) return false;
+    if (AUTH_CODES.includes(error.errorcode)) return true;
+    const response = error.response;
+    if (!response) return false;
+    if (response.status === 401) return true;
+    return AUTH_CODES.includes(errorCodeOf(response.data));
+};
+
+const isTransient = (error) => {
+    if (isRateLimited(error) || TRANSIENT_CODES.includes(error.errorcode)) return true;
+    if (!error.response) return RETRYABLE_NETWORK_CODES.includes(error.code);
+    return error.response.status >= 500;
+};
+
+// Turns an axios error or a `status: false` body into an httpError the route layer can answer with directly
+const toHttpError = (endpoint, error) => {
+    if (error.status && error.upstream) return error;
+    const response = error.response;
+    const errorcode = error.errorcode || errorCodeOf(response && response.data);
+    const upstreamMessage = (response && response.data && response.data.message) || error.message;
+
+    let status;
+    let message;
+    if (ERROR_CODES[errorcode]) {
+        [status, message] = ERROR_CODES[errorcode];
+    } else if (isRateLimited(error)) {
+        [status, message] = [429, "Angel One rate limit exceeded; try again shortly."];
+    } else if (response && response.status === 401) {
+        [status, message] = [401, "Angel One rejected the session; log in again."];
+    } else if (response && response.status >= 500) {
+        [status, message] = [502, `Angel One returned HTTP ${response.status}.`];
+    } else if (!response) {
+        status = NETWORK_TIMEOUT_CODES.includes(error.code) ? 504 : 502;
+        message = status === 504 ? "Angel One did not respond in time." : "Could not reach Angel One.";
+    } else {
+        // Angel One answers most rejections (bad orders included) with HTTP 200 and status false
+        [status, message] = [422, `Angel One rejected the ${endpoint} request.`];
+    }
+
+    const mapped = httpError(status, `${message} (${[errorcode, upstreamMessage].filter(Boolean).join(': ')})`);
+    mapped.errorcode = errorcode;
+    mapped.upstream = endpoint;
+    mapped.details = { errorcode, upstream: endpoint };
+    mapped.cause = error;
+    return mapped;
+};
+
+const createAngelClient = ({
+    apiKey,
+    historicalApiKey,
+    // The caller's session manager, looked up per call; a call may also pass its own `session`
+    getSession,
+    baseUrl = ANGEL_BASE_URL,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    // Told about every HTTP attempt: { endpoint, durationMs, code } where code is null on success, otherwise the
+    // Angel One errorcode, HTTP status or network error code
+    onRequest = () => {}
+}) => {
+    // Angel One counts the quotas per SmartAPI key, so each key gets its own set of limiters: api key -> endpoint -> limiter
+    const limiters = new Map();
+    const limiterFor = (name, key) => {
+        if (!limiters.has(key)) {
+            limiters.set(key, Object.fromEntries(Object.entries(ENDPOINTS).map(([endpoint, { perSecond }]) => [endpoint, createRateLimiter({ perSecond })])));
+        }
+        return limiters.get(key)[name];
+    };
+    const stats = Object.fromEntries(Object.keys(ENDPOINTS).map(name => [name, { calls: 0, retries: 0, failures: 0, lastError: null }]));
+
+    // A user's own SmartAPI key wins over the server's, and the historical API may use its own key
+    const apiKeyFor = (endpoint, userApiKey) => userApiKey || (endpoint.historical && historicalApiKey) || apiKey;
+
+    // One set of headers for every call
+    const headersFor = (endpoint, jwtToken, privateKey) => {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-UserType': 'USER',
+            'X-SourceID': 'WEB',
+            'X-ClientLocalIP': '192.168.1.1',
+            'X-ClientPublicIP': '103.1.1.1',
+            'X-MACAddress': '00:00:00:00:00:00',
+            'X-PrivateKey': privateKey
+        };
+        if (jwtToken) headers['Authorization'] = `Bearer ${jwtToken}`;
+        return headers;
+    };
+
+    const send = async (name, endpoint, { data, pathSuffix, jwtToken, userApiKey }) => {
+        const url = `${baseUrl}${endpoint.path}${pathSuffix ? `/${pathSuffix}` : ''}`;
+        const privateKey = apiKeyFor(endpoint, userApiKey);
+        const config = { headers: headersFor(endpoint, jwtToken, privateKey), timeout: REQUEST_TIMEOUT_MS };
+        // Timed from when the rate limiter lets the request go, so queueing doesn't count as upstream latency
+        let startedAt;
+        try {
+            const response = await limiterFor(name, privateKey).schedule(() => {
+                startedAt = Date.now();
+                return endpoint.method === 'get' ? axios.get(url, config) : axios.post(url, data, config);
+            });
+
+            const body = response.data;
+            if (body && typeof body === 'object' && body.status === false) {
+                const rejected = new Error(body.message || `${name} returned status false.`);
+                rejected.errorcode = errorCodeOf(body);
+                rejected.response = response;
+                throw rejected;
+            }
+            onRequest({ endpoint: name, durationMs: Date.now() - startedAt, code: null });
+            return body;
+        } catch (error) {
+            if (startedAt) {
+                const code = error.errorcode || (error.response && error.response.status) || error.code || 'unknown';
+                onRequest({ endpoint: name, durationMs: Date.now() - startedAt, code: String(code) });
+            }
+            throw error;
+        }
+    };
+
+    const backoffFor = (error, attempt) => {
+        const retryAfter = error.response && error.response.headers && Number(error.response.headers['retry-after']);
+        if (retryAfter > 0) return retryAfter * 1000;
+        return RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_JITTER_MS;
+    };
+
+    // Calls a named endpoint and returns the `data` of Angel One's { status, message, errorcode, data } envelope.
+    // Queued behind the endpoint's rate limit; transient failures are retried with backoff, and an expired session
+    // is renewed once before giving up. Anything else is thrown as an httpError carrying `errorcode`.
+    const call = async (name, { data, pathSuffix, session = getSession(), retryAuth = true } = {}) => {
+        const endpoint = ENDPOINTS[name];
+        if (!endpoint) throw new Error(`Unknown Angel One endpoint "${name}".`);
+        const useAuth = endpoint.auth !== false;
+        let renewedSession = false;
+
+        for (let attempt = 0; ; attempt++) {
+            stats[name].calls += 1;
+            const jwtToken = useAuth ? session.getJwtToken() : null;
+            try {
+                const body = await send(name, endpoint, { data, pathSuffix, jwtToken, userApiKey: session.getApiKey() });
+                return body && typeof body === 'object' && 'data' in body ? body.data : body;
+            } catch (error) {
+                if (useAuth && retryAuth && jwtToken && !renewedSession && isAuthFailure(error)) {
+                    logger.warn("Angel One rejected the session token, re-authenticating before retry.", { endpoint: name, code: error.errorcode || (error.response && error.response.status) });
+                    renewedSession = true;
+                    await session.refresh();
+                    continue;
+                }
+
+                const retryable = endpoint.idempotent === false ? isRateLimited(error) : isTransient(error);
+                const mapped = toHttpError(name, error);
+                if (retryable && attempt < maxRetries) {
+                    const delay = backoffFor(error, attempt);
+                    stats[name].retries += 1;
+                    logger.warn("Angel One call failed, retrying.", { endpoint: name, attempt: attempt + 1, maxAttempts: maxRetries + 1, delayMs: Math.round(delay), status: mapped.status, errorcode: mapped.errorcode, error: mapped.message });
+                    await sleep(delay);
+                    continue;
+                }
+
+                stats[name].failures += 1;
+                stats[name].lastError = { at: new Date().toISOString(), status: mapped.status, errorcode: mapped.errorcode, message: mapped.message };
+                logger.error("Angel One call failed.", { endpoint: name, status: mapped.status, errorcode: mapped.errorcode, error: mapped.message });
+                throw mapped;
+            }
+        }
+    };
+
+    // `queued` counts calls waiting behind the limits of every API key
+    const getStats = () => Object.fromEntries(Object.entries(stats).map(([name, endpointStats]) => [
+        name, { ...endpointStats, queued: [...limiters.values()].reduce((sum, byEndpoint) => sum + byEndpoint[name].pending(), 0) }
+    ]));
+
+    return { call, getStats };
+};
+
+module.exports = { createAngelClient, isAuthFailure, isTransient, toHttpError, ENDPOINTS, ERROR_CODES };
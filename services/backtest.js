@@ -0,0 +1,225 @@
+// services/backtest.js
+
+const { computeIndicators } = require('./indicators');
+const { parseRule, createRuleEvaluator, warmupBars } = require('./conditions');
+const { parseIstDate, formatIstDate, barsPerDay, calendarDaysForBars, maxRangeDays, MAX_DAYS_PER_REQUEST } = require('./candles');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+const DEFAULT_OPTIONS = {
+    initialCapital: 100000,
+    slippagePercent: 0.05,
+    brokeragePerOrder: 20,
+    brokeragePercent: 0,
+    riskFreeRate: 0
+};
+
+const optionalPercent = (strategy, field) => {
+    const value = strategy[field];
+    if (value === undefined || value === null) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number >= 100) throw httpError(400, `strategy.${field} must be between 0 and 100.`);
+    return number;
+};
+
+// Validates a declarative strategy and collects the indicators it needs. Throws 400 errors.
+const parseStrategy = (strategy) => {
+    if (!strategy || typeof strategy !== 'object') throw httpError(400, "strategy is required.");
+    if (!strategy.entry) throw httpError(400, "strategy.entry is required.");
+    const specs = new Map();
+    return {
+        entry: parseRule(strategy.entry, specs, 'strategy.entry'),
+        exit: strategy.exit ? parseRule(strategy.exit, specs, 'strategy.exit') : null,
+        stopLossPercent: optionalPercent(strategy, 'stopLossPercent'),
+        takeProfitPercent: optionalPercent(strategy, 'takeProfitPercent'),
+        specs: [...specs.values()]
+    };
+};
+
+const parseOptions = (body) => {
+    const options = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+        if (body[key] === undefined) continue;
+        const value = Number(body[key]);
+        if (!Number.isFinite(value) || value < 0) throw httpError(400, `${key} must be a non-negative number.`);
+        options[key] = value;
+    }
+    if (options.initialCapital <= 0) throw httpError(400, "initialCapital must be greater than zero.");
+    return options;
+};
+
+const metrics = (equityCurve, trades, initialCapital, timeframe, riskFreeRate) => {
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialCapital;
+
+    const years = equityCurve.length > 1
+        ? (Date.parse(equityCurve[equityCurve.length - 1].time) - Date.parse(equityCurve[0].time)) / (365.25 * DAY_MS)
+        : 0;
+    let cagrPercent = null;
+    if (years > 0) cagrPercent = finalEquity > 0 ? (Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100 : -100;
+
+    let peak = initialCapital;
+    let maxDrawdownPercent = 0;
+    for (const { equity } of equityCurve) {
+        peak = Math.max(peak, equity);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - equity) / peak * 100);
+    }
+
+    // Annualized from per-bar returns; intraday bars scale by the number of bars in a session
+    const periodsPerYear = TRADING_DAYS_PER_YEAR * barsPerDay(timeframe);
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+    let sharpeRatio = null;
+    if (returns.length > 1) {
+        const excess = returns.map(r => r - riskFreeRate / 100 / periodsPerYear);
+        const mean = excess.reduce((sum, r) => sum + r, 0) / excess.length;
+        const variance = excess.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (excess.length - 1);
+        if (variance > 0) sharpeRatio = mean / Math.sqrt(variance) * Math.sqrt(periodsPerYear);
+    }
+
+    const winningTrades = trades.filter(trade => trade.pnl > 0).length;
+    return {
+        initialCapital,
+        finalEquity,
+        totalReturnPercent: (finalEquity / initialCapital - 1) * 100,
+        cagrPercent,
+        maxDrawdownPercent,
+        sharpeRatio,
+        totalTrades: trades.length,
+        winningTrades,
+        losingTrades: trades.length - winningTrades,
+        winRatePercent: trades.length > 0 ? winningTrades / trades.length * 100 : null
+    };
+};
+
+// Simulates a long-only strategy over normalized candles. Signals are read at a bar's close and filled at the
+// next bar's open; stops and targets fill intrabar, the stop first when both are touched. Only bars at or after
+// `startMs` are traded, earlier ones just warm up the indicators.
+const runBacktest = (candles, strategy, { timeframe = 'ONE_DAY', startMs = 0, ...overrides } = {}) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const { initialCapital, slippagePercent, brokeragePerOrder, brokeragePercent } = options;
+    const slippage = slippagePercent / 100;
+    const brokerage = (turnover) => brokeragePerOrder + turnover * brokeragePercent / 100;
+
+    const computed = computeIndicators(candles, strategy.specs, { series: true, intraday: timeframe !== 'ONE_DAY' });
+    const { holds } = createRuleEvaluator(candles, computed);
+
+    let cash = initialCapital;
+    let position = null;
+    let pending = null;
+    const trades = [];
+    const equityCurve = [];
+
+    const exitPosition = (candle, price, reason) => {
+        const fill = price * (1 - slippage);
+        const turnover = fill * position.quantity;
+        const charges = brokerage(turnover);
+        cash += turnover - charges;
+        const totalCharges = position.charges + charges;
+        const pnl = turnover - position.quantity * position.entryPrice - totalCharges;
+        trades.push({
+            entryTime: position.entryTime,
+            entryPrice: position.entryPrice,
+            exitTime: candle.time,
+            exitPrice: fill,
+            quantity: position.quantity,
+            charges: totalCharges,
+            pnl,
+            returnPercent: pnl / (position.quantity * position.entryPrice) * 100,
+            bars: position.bars,
+            exitReason: reason
+        });
+        position = null;
+    };
+
+    const firstIndex = candles.findIndex(candle => Date.parse(candle.time) >= startMs);
+    for (let i = Math.max(firstIndex, 0); firstIndex !== -1 && i < candles.length; i++) {
+        const candle = candles[i];
+
+        if (pending === 'enter' && !position) {
+            const fill = candle.open * (1 + slippage);
+            const quantity = Math.floor((cash - brokeragePerOrder) / (fill * (1 + brokeragePercent / 100)));
+            if (quantity > 0) {
+                const charges = brokerage(fill * quantity);
+                cash -= fill * quantity + charges;
+                position = { entryTime: candle.time, entryPrice: fill, quantity, charges, bars: 0 };
+            }
+        } else if (pending === 'exit' && position) {
+            exitPosition(candle, candle.open, 'SIGNAL');
+        }
+        pending = null;
+
+        if (position) {
+            position.bars += 1;
+            const stopPrice = strategy.stopLossPercent !== null ? position.entryPrice * (1 - strategy.stopLossPercent / 100) : null;
+            const targetPrice = strategy.takeProfitPercent !== null ? position.entryPrice * (1 + strategy.takeProfitPercent / 100) : null;
+            if (stopPrice !== null && candle.low <= stopPrice) {
+                exitPosition(candle, Math.min(candle.open, stopPrice), 'STOP_LOSS');
+            } else if (targetPrice !== null && candle.high >= targetPrice) {
+                exitPosition(candle, Math.max(candle.open, targetPrice), 'TAKE_PROFIT');
+            }
+        }
+
+        const isLastBar = i === candles.length - 1;
+        if (isLastBar && position) {
+            exitPosition(candle, candle.close, 'END_OF_DATA');
+        } else if (!position && !isLastBar && holds(strategy.entry, i)) {
+            pending = 'enter';
+        } else if (position && strategy.exit && holds(strategy.exit, i)) {
+            pending = 'exit';
+        }
+
+        equityCurve.push({ time: candle.time, equity: cash + (position ? position.quantity * candle.close : 0) });
+    }
+
+    return {
+        metrics: metrics(equityCurve, trades, initialCapital, timeframe, options.riskFreeRate),
+        trades,
+        equityCurve
+    };
+};
+
+const createBacktester = ({ candleStore }) => {
+    // Validates the request body, loads candles (plus indicator warm-up) and runs the simulation
+    const run = async (body) => {
+        const { exchange, symboltoken, timeframe = 'ONE_DAY', fromdate, todate } = body || {};
+        if (!exchange || !symboltoken) throw httpError(400, "exchange and symboltoken are required.");
+        if (!MAX_DAYS_PER_REQUEST[timeframe]) throw httpError(400, `Unsupported timeframe "${timeframe}".`);
+        if (!fromdate || !todate) throw httpError(400, "fromdate and todate are required.");
+
+        let fromMs;
+        let toMs;
+        try {
+            fromMs = parseIstDate(fromdate);
+            toMs = parseIstDate(todate, true);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+        if (toMs <= fromMs) throw httpError(400, "todate must be after fromdate.");
+        // Shorter for smaller bars: every candle of the range is fetched and held in the candle cache
+        if (toMs - fromMs > maxRangeDays(timeframe) * DAY_MS) {
+            throw httpError(400, `A backtest can span at most ${maxRangeDays(timeframe)} days of ${timeframe} candles.`);
+        }
+
+        const strategy = parseStrategy(body.strategy);
+        const options = parseOptions(body);
+
+        const candles = await candleStore.getCandles({
+            exchange, symboltoken, timeframe,
+            // Extra history before fromdate so the slowest indicator is warmed up on the first traded bar
+            fromdate: formatIstDate(fromMs - calendarDaysForBars(warmupBars(strategy.specs), timeframe) * DAY_MS),
+            todate: formatIstDate(toMs)
+        });
+        if (!candles.some(candle => Date.parse(candle.time) >= fromMs)) {
+            throw httpError(404, "No historical data available for this range.");
+        }
+
+        const result = runBacktest(candles, strategy, { ...options, timeframe, startMs: fromMs });
+        return { exchange, symboltoken, timeframe, fromdate, todate, options, ...result };
+    };
+
+    return { run };
+};
+
+module.exports = { createBacktester, runBacktest, parseStrategy };
@@ -0,0 +1,267 @@
+// services/candles.js
+
+const { httpError } = require('./errors');
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest span (in days) getCandleData accepts per request for each interval
+const MAX_DAYS_PER_REQUEST = {
+    ONE_MINUTE: 30,
+    THREE_MINUTE: 60,
+    FIVE_MINUTE: 100,
+    TEN_MINUTE: 100,
+    FIFTEEN_MINUTE: 200,
+    THIRTY_MINUTE: 200,
+    ONE_HOUR: 400,
+    ONE_DAY: 2000
+};
+
+// Bar length of each intraday interval, and the NSE cash session (09:15 to 15:30) they divide
+const INTERVAL_MINUTES = {
+    ONE_MINUTE: 1,
+    THREE_MINUTE: 3,
+    FIVE_MINUTE: 5,
+    TEN_MINUTE: 10,
+    FIFTEEN_MINUTE: 15,
+    THIRTY_MINUTE: 30,
+    ONE_HOUR: 60
+};
+const SESSION_MINUTES = 375;
+
+// Ranges are capped at this many getCandleData requests' worth of candles, so minute bars can't be pulled (and held)
+// for years: 120 days of ONE_MINUTE, 1600 of ONE_HOUR, the full 3650 of ONE_DAY
+const MAX_RANGE_REQUESTS = 4;
+const MAX_RANGE_DAYS = 3650;
+
+const DEFAULT_MAX_SERIES = 500;
+
+const maxRangeDays = (interval) => Math.min(MAX_DAYS_PER_REQUEST[interval] * MAX_RANGE_REQUESTS, MAX_RANGE_DAYS);
+
+const barsPerDay = (interval) => (INTERVAL_MINUTES[interval] ? Math.ceil(SESSION_MINUTES / INTERVAL_MINUTES[interval]) : 1);
+
+// Calendar days that comfortably hold `bars` candles of an interval, allowing for weekends and holidays
+const calendarDaysForBars = (bars, interval) => (bars > 0 ? Math.ceil(bars / barsPerDay(interval) * 7 / 5) + 10 : 0);
+
+// Accepts "YYYY-MM-DD" or "YYYY-MM-DD HH:mm" (IST). Date-only values snap to the start or end of the day.
+const parseIstDate = (value, endOfDay = false) => {
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (!match) throw new Error(`Invalid date "${value}", expected YYYY-MM-DD or YYYY-MM-DD HH:mm.`);
+    const [, year, month, day, hours, minutes] = match;
+    // Date.UTC would quietly roll "2024-02-30" over into March
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)
+        || (hours !== undefined && (Number(hours) > 23 || Number(minutes) > 59))) {
+        throw new Error(`Invalid date "${value}", expected YYYY-MM-DD or YYYY-MM-DD HH:mm.`);
+    }
+    if (hours !== undefined) {
+        return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)) - IST_OFFSET_MS;
+    }
+    const dayStart = Date.UTC(Number(year), Number(month) - 1, Number(day)) - IST_OFFSET_MS;
+    return endOfDay ? dayStart + DAY_MS - 1 : dayStart;
+};
+
+// Formats epoch ms as "YYYY-MM-DD HH:mm" in IST, the format getCandleData expects
+const formatIstDate = (ms) => new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ');
+
+const startOfIstDay = (ms) => ms - ((ms + IST_OFFSET_MS) % DAY_MS + DAY_MS) % DAY_MS;
+
+// Angel One returns [timestamp, open, high, low, close, volume]
+const normalizeCandle = (raw) => ({
+    time: raw[0],
+    open: raw[1],
+    high: raw[2],
+    low: raw[3],
+    close: raw[4],
+    volume: raw[5]
+});
+
+const toRawCandle = (candle) => [candle.time, candle.open, candle.high, candle.low, candle.close, candle.volume];
+
+// Returns the parts of [from, to] not already in the sorted, non-overlapping `covered` ranges
+const subtractRanges = (from, to, covered) => {
+    const missing = [];
+    let cursor = from;
+    for (const [start, end] of covered) {
+        if (end < cursor) continue;
+        if (start > to) break;
+        if (start > cursor) missing.push([cursor, start - 1]);
+        cursor = Math.max(cursor, end + 1);
+        if (cursor > to) break;
+    }
+    if (cursor <= to) missing.push([cursor, to]);
+    return missing;
+};
+
+const mergeRange = (covered, range) => {
+    const ranges = [...covered, range].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+};
+
+// Splits [from, to] into pieces no longer than the interval's maximum span
+const splitRange = (from, to, interval) => {
+    const maxDays = MAX_DAYS_PER_REQUEST[interval];
+    if (!maxDays) throw new Error(`Unsupported interval "${interval}".`);
+    const chunkMs = maxDays * DAY_MS;
+    const chunks = [];
+    for (let start = from; start <= to; start += chunkMs) {
+        chunks.push([start, Math.min(start + chunkMs - 1, to)]);
+    }
+    return chunks;
+};
+
+// Checks a getCandleData-style request before anything is fetched; throws 400 errors
+const validateCandleRequest = ({ exchange, symboltoken, timeframe, fromdate, todate } = {}) => {
+    if (!exchange || !symboltoken) throw httpError(400, "exchange and symboltoken are required.");
+    if (!MAX_DAYS_PER_REQUEST[timeframe]) throw httpError(400, `Unsupported timeframe "${timeframe}".`);
+    if (!fromdate || !todate) throw httpError(400, "fromdate and todate are required.");
+    let from;
+    let to;
+    try {
+        from = parseIstDate(fromdate);
+        to = parseIstDate(todate, true);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+    if (from > to) throw httpError(400, "fromdate must not be after todate.");
+    // Every candle of the range is fetched and kept in the candle cache, so long spans of small bars are refused
+    if (to - from > maxRangeDays(timeframe) * DAY_MS) {
+        throw httpError(400, `A request can span at most ${maxRangeDays(timeframe)} days of ${timeframe} candles.`);
+    }
+};
+
+const createCandleStore = ({ fetchCandles, maxSeries = DEFAULT_MAX_SERIES }) => {
+    // key -> { candles: Map<epochMs, candle>, covered: [[from, to], ...] }; Map order doubles as LRU order
+    const series = new Map();
+    // Per-key promise chain so overlapping requests don't download the same gap twice
+    const locks = new Map();
+    const stats = { hits: 0, misses: 0, upstreamCalls: 0 };
+
+    const seriesKey = (exchange, symboltoken, interval) => `${exchange}:${symboltoken}:${interval}`;
+
+    const touch = (key) => {
+        let entry = series.get(key);
+        if (entry) {
+            series.delete(key);
+        } else {
+            entry = { candles: new Map(), covered: [] };
+        }
+        series.set(key, entry);
+        if (series.size > maxSeries) {
+            series.delete(series.keys().next().value);
+        }
+        return entry;
+    };
+
+    const withLock = (key, task) => {
+        const previous = locks.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const settled = run.catch(() => {}).then(() => {
+            if (locks.get(key) === settled) locks.delete(key);
+        });
+        locks.set(key, settled);
+        return run;
+    };
+
+    const fillMissing = async (entry, { exchange, symboltoken, interval }, from, to) => {
+        const missing = subtractRanges(from, to, entry.covered);
+        if (missing.length === 0) {
+            stats.hits++;
+            return;
+        }
+        stats.misses++;
+
+        // Candles for the current day are still forming, so that part is never marked as covered
+        const coverableUntil = startOfIstDay(Date.now()) - 1;
+
+        for (const [gapFrom, gapTo] of missing) {
+            for (const [chunkFrom, chunkTo] of splitRange(gapFrom, gapTo, interval)) {
+                stats.upstreamCalls++;
+                const rawCandles = await fetchCandles({
+                    exchange,
+                    symboltoken,
+                    timeframe: interval,
+                    fromdate: formatIstDate(chunkFrom),
+                    todate: formatIstDate(chunkTo)
+                });
+                for (const raw of rawCandles) {
+                    const candle = normalizeCandle(raw);
+                    const time = Date.parse(candle.time);
+                    if (!Number.isNaN(time)) entry.candles.set(time, candle);
+                }
+                if (chunkFrom <= coverableUntil) {
+                    entry.covered = mergeRange(entry.covered, [chunkFrom, Math.min(chunkTo, coverableUntil)]);
+                }
+            }
+        }
+    };
+
+    // Returns normalized candles for the range, downloading only what isn't cached yet.
+    // Takes the same params as getCandleData: { exchange, symboltoken, timeframe, fromdate, todate }
+    const getCandles = async ({ exchange, symboltoken, timeframe: interval, fromdate, todate }) => {
+        const from = parseIstDate(fromdate);
+        const to = parseIstDate(todate, true);
+        if (from > to) throw new Error("fromdate must not be after todate.");
+
+        const params = { exchange, symboltoken, interval };
+        const key = seriesKey(exchange, symboltoken, interval);
+        return withLock(key, async () => {
+            const entry = touch(key);
+            await fillMissing(entry, params, from, to);
+            return [...entry.candles.entries()]
+                .filter(([time]) => time >= from && time <= to)
+                .sort((a, b) => a[0] - b[0])
+                .map(([, candle]) => candle);
+        });
+    };
+
+    // The range one request-sized span at a time, oldest first, so an export of a long range can be written out as it
+    // arrives. Chunks go straight from getCandleData to the caller: an export is read once, so it is not worth holding
+    // in (or sorting into) the cache.
+    const iterateCandles = async function* ({ exchange, symboltoken, timeframe: interval, fromdate, todate }) {
+        const from = parseIstDate(fromdate);
+        const to = parseIstDate(todate, true);
+        if (from > to) throw new Error("fromdate must not be after todate.");
+
+        for (const [chunkFrom, chunkTo] of splitRange(from, to, interval)) {
+            stats.upstreamCalls++;
+            const rawCandles = await fetchCandles({
+                exchange,
+                symboltoken,
+                timeframe: interval,
+                fromdate: formatIstDate(chunkFrom),
+                todate: formatIstDate(chunkTo)
+            });
+            yield rawCandles
+                .map(raw => [Date.parse(raw[0]), normalizeCandle(raw)])
+                .filter(([time]) => time >= chunkFrom && time <= chunkTo)
+                .sort((a, b) => a[0] - b[0])
+                .map(([, candle]) => candle);
+        }
+    };
+
+    const clear = () => series.clear();
+
+    const getStats = () => ({ ...stats, series: series.size });
+
+    return { getCandles, iterateCandles, clear, getStats };
+};
+
+module.exports = {
+    createCandleStore,
+    normalizeCandle,
+    toRawCandle,
+    parseIstDate,
+    formatIstDate,
+    validateCandleRequest,
+    barsPerDay,
+    calendarDaysForBars,
+    maxRangeDays,
+    MAX_DAYS_PER_REQUEST
+};
@@ -0,0 +1,129 @@
+// services/conditions.js
+
+const { parseIndicatorSpec, INDICATORS } = require('./indicators');
+const { httpError } = require('./errors');
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+const COMPARISONS = ['<', '<=', '>', '>=', 'crossesAbove', 'crossesBelow'];
+// Live fields from the price service, only meaningful where rules are checked against the current market
+const QUOTE_FIELDS = ['ltp', 'netChange', 'percentChange'];
+
+// "RSI(14)", "BB(20,2).lower", "SMA" -> an indicator spec with positional params in the registry's default order
+const parseIndicatorString = (text) => {
+    const match = text.match(/^([A-Za-z]+)(?:\(([^)]*)\))?(?:\.(\w+))?$/);
+    if (!match) return null;
+    const [, name, args, field] = match;
+    const spec = { name };
+    if (args && args.trim()) {
+        const paramNames = Object.keys(INDICATORS[parseIndicatorSpec(name).name].defaults);
+        const values = args.split(',').map(value => value.trim());
+        if (values.length > paramNames.length) {
+            throw httpError(400, `${name} takes at most ${paramNames.length} parameter(s), got "${text}".`);
+        }
+        values.forEach((value, i) => { spec[paramNames[i]] = value; });
+    }
+    return { spec, field };
+};
+
+// An operand is a number, a price field ("close"), an indicator string ("SMA(200)") or { indicator, ...params, field }.
+// With `quoteFields`, "ltp", "netChange" and "percentChange" are accepted too.
+const parseOperand = (operand, specs, { quoteFields = false } = {}) => {
+    if (typeof operand === 'number' && Number.isFinite(operand)) return { type: 'number', value: operand };
+    if (typeof operand === 'string' && PRICE_FIELDS.includes(operand.toLowerCase())) {
+        return { type: 'price', field: operand.toLowerCase() };
+    }
+    if (quoteFields && typeof operand === 'string') {
+        const field = QUOTE_FIELDS.find(name => name.toLowerCase() === operand.toLowerCase());
+        if (field) return { type: 'quote', field };
+    }
+
+    let parsed = null;
+    if (typeof operand === 'string') parsed = parseIndicatorString(operand.trim());
+    else if (operand && typeof operand === 'object' && operand.indicator) {
+        const { indicator, field, ...params } = operand;
+        parsed = { spec: { name: indicator, ...params }, field };
+    }
+    if (!parsed) {
+        throw httpError(400, `Cannot read operand ${JSON.stringify(operand)}; use a number, a price field (${PRICE_FIELDS.join(', ')}) or an indicator like "RSI(14)".`);
+    }
+
+    const spec = parseIndicatorSpec(parsed.spec);
+    specs.set(spec.id, spec);
+    return { type: 'indicator', id: spec.id, field: parsed.field };
+};
+
+// A rule is { left, op, right }, or { all: [rules] } / { any: [rules] } to combine them
+const parseRule = (rule, specs, label, options = {}) => {
+    if (!rule || typeof rule !== 'object') throw httpError(400, `${label} must be a condition or an { all } / { any } group.`);
+    for (const group of ['all', 'any']) {
+        if (rule[group] === undefined) continue;
+        if (!Array.isArray(rule[group]) || rule[group].length === 0) {
+            throw httpError(400, `${label}.${group} must be a non-empty array of conditions.`);
+        }
+        return { [group]: rule[group].map((child, i) => parseRule(child, specs, `${label}.${group}[${i}]`, options)) };
+    }
+    if (!COMPARISONS.includes(rule.op)) throw httpError(400, `${label}.op must be one of ${COMPARISONS.join(', ')}.`);
+    return { op: rule.op, left: parseOperand(rule.left, specs, options), right: parseOperand(rule.right, specs, options) };
+};
+
+const compare = (op, left, right, previousLeft, previousRight) => {
+    switch (op) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case 'crossesAbove': return previousLeft !== null && previousRight !== null && previousLeft <= previousRight && left > right;
+        case 'crossesBelow': return previousLeft !== null && previousRight !== null && previousLeft >= previousRight && left < right;
+        default: return false;
+    }
+};
+
+// Evaluates a parsed rule given the current and previous reading of each operand (null when unknown)
+const evaluateRule = (rule, current, previous) => {
+    if (rule.all) return rule.all.every(child => evaluateRule(child, current, previous));
+    if (rule.any) return rule.any.some(child => evaluateRule(child, current, previous));
+    const left = current(rule.left);
+    const right = current(rule.right);
+    if (left === null || left === undefined || right === null || right === undefined) return false;
+    return compare(rule.op, left, right, previous(rule.left), previous(rule.right));
+};
+
+// Every operand in a rule, depth first
+const ruleOperands = (rule) => {
+    if (rule.all || rule.any) return [].concat(...(rule.all || rule.any).map(ruleOperands));
+    return [rule.left, rule.right];
+};
+
+// Bars of history the slowest indicator needs before its first reading (MACD needs fast + slow + signal, and so on)
+const warmupBars = (specs) => Math.max(0, ...specs.map(spec => Object.values(spec.params).reduce((sum, value) => sum + value, 0)));
+
+// Reads operands and evaluates parsed rules at a candle index, given computeIndicators(..., { series: true }) output
+const createRuleEvaluator = (candles, computed) => {
+    const valueAt = (operand, i) => {
+        if (i < 0) return null;
+        if (operand.type === 'number') return operand.value;
+        if (operand.type === 'price') return candles[i][operand.field];
+        const value = computed[operand.id].series[i].value;
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'object') return value;
+        if (!operand.field || value[operand.field] === undefined) {
+            throw httpError(400, `${operand.id} has several outputs; pick one with a field, e.g. "${operand.id}.${Object.keys(value)[0]}".`);
+        }
+        return value[operand.field];
+    };
+
+    const holds = (rule, i) => evaluateRule(rule, operand => valueAt(operand, i), operand => valueAt(operand, i - 1));
+
+    return { valueAt, holds };
+};
+
+module.exports = {
+    parseRule,
+    createRuleEvaluator,
+    evaluateRule,
+    ruleOperands,
+    warmupBars,
+    PRICE_FIELDS,
+    QUOTE_FIELDS,
+    COMPARISONS
+};
@@ -0,0 +1,10 @@
+// services/errors.js
+
+// An Error carrying the HTTP status the route handler should answer with
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = { httpError };
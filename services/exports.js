@@ -0,0 +1,230 @@
+// services/exports.js
+
+const { httpError } = require('./errors');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    // Parquet-style: a schema, then the rows in groups with one array per column
+    columnar: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// iso: 2024-07-25T09:15:00+05:30, excel: 2024-07-25 09:15:00 (what spreadsheets parse as a date), date: 2024-07-25,
+// epoch / epochSeconds: numbers. Anything else is a pattern made of YYYY MM DD HH mm ss SSS and separators.
+const DATE_FORMATS = ['iso', 'excel', 'date', 'epoch', 'epochSeconds'];
+const DATE_PATTERN = /^(?:YYYY|MM|DD|HH|mm|ss|SSS|[-/:. T_])+$/;
+const DATE_TOKENS = /YYYY|MM|DD|HH|mm|ss|SSS/g;
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const ROW_GROUP_SIZE = 1000;
+
+// Intl formatters are slow to build, so keep one per time zone
+const zoneFormatters = new Map();
+const formatterFor = (timeZone) => {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return zoneFormatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a time zone, plus that zone's UTC offset at the instant ("+05:30")
+const zonedParts = (ms, timeZone) => {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(ms)) parts[type] = value;
+    const millis = ((ms % 1000) + 1000) % 1000;
+    const wallClock = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second), millis);
+    const offsetMinutes = Math.round((wallClock - ms) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0')}:${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
+    return {
+        YYYY: parts.year,
+        MM: parts.month,
+        DD: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second,
+        SSS: String(millis).padStart(3, '0'),
+        offset
+    };
+};
+
+// Accepts ISO strings (Angel One's candle times) or epoch ms; unparseable values pass through untouched
+const formatTime = (value, { timeZone, dateFormat }) => {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    if (Number.isNaN(ms)) return value;
+    if (dateFormat === 'epoch') return ms;
+    if (dateFormat === 'epochSeconds') return Math.floor(ms / 1000);
+    const parts = zonedParts(ms, timeZone);
+    if (dateFormat === 'iso') return `${parts.YYYY}-${parts.MM}-${parts.DD}T${parts.HH}:${parts.mm}:${parts.ss}${parts.offset}`;
+    if (dateFormat === 'excel') return `${parts.YYYY}-${parts.MM}-${parts.DD} ${parts.HH}:${parts.mm}:${parts.ss}`;
+    if (dateFormat === 'date') return `${parts.YYYY}-${parts.MM}-${parts.DD}`;
+    return dateFormat.replace(DATE_TOKENS, token => parts[token]);
+};
+
+// Reads ?format=csv|jsonl|columnar&tz=&dateFormat=&bom=1; returns null when no export format was asked for
+const parseExportOptions = ({ format, tz, timeZone = tz, dateFormat = 'iso', bom } = {}) => {
+    if (format === undefined || format === null || format === '' || format === 'json') return null;
+    if (!FORMATS[format]) throw httpError(400, `format must be one of json, ${Object.keys(FORMATS).join(', ')}.`);
+
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    try {
+        formatterFor(zone);
+    } catch (error) {
+        throw httpError(400, `Unknown time zone "${zone}"; use an IANA name such as Asia/Kolkata or UTC.`);
+    }
+    if (!DATE_FORMATS.includes(dateFormat) && !(typeof dateFormat === 'string' && DATE_PATTERN.test(dateFormat) && /YYYY|MM|DD|HH|mm|ss/.test(dateFormat))) {
+        throw httpError(400, `dateFormat must be one of ${DATE_FORMATS.join(', ')} or a pattern such as "DD/MM/YYYY HH:mm".`);
+    }
+    return { format, timeZone: zone, dateFormat, bom: bom === true || bom === '1' || bom === 'true' };
+};
+
+// Symbol, name and exchange columns joined from the instrument master
+const INSTRUMENT_COLUMNS = [
+    { name: 'exchange', type: 'string' },
+    { name: 'symboltoken', type: 'string' },
+    { name: 'symbol', type: 'string' },
+    { name: 'name', type: 'string' }
+];
+
+const describeInstrument = (instruments, exchange, symboltoken) => {
+    const instrument = instruments.getByToken(exchange, symboltoken);
+    return {
+        exchange,
+        symboltoken: String(symboltoken),
+        symbol: instrument ? instrument.symbol : null,
+        name: instrument ? instrument.name : null
+    };
+};
+
+// Which indicator readings are objects (MACD, Bollinger bands...) and their fields, from any non-null reading
+const valueFields = (valueSets) => {
+    const fields = {};
+    for (const values of valueSets) {
+        for (const [id, value] of Object.entries(values)) {
+            if (!fields[id] && value !== null && typeof value === 'object') fields[id] = Object.keys(value);
+        }
+    }
+    return fields;
+};
+
+// Spreads indicator readings into flat columns; multi-output indicators become "<id>.<field>", null or not
+const flattenValues = (values, fields = {}) => {
+    const flat = {};
+    for (const [id, value] of Object.entries(values)) {
+        if (!fields[id]) {
+            flat[id] = value;
+            continue;
+        }
+        for (const field of fields[id]) {
+            flat[`${id}.${field}`] = value && value[field] !== undefined ? value[field] : null;
+        }
+    }
+    return flat;
+};
+
+// The fixed columns, then any other keys the rows carry in first-seen order, typed by their first non-null value
+// (a column that is null throughout is an indicator still warming up, so it counts as a number)
+const columnsFor = (rows, fixed) => {
+    const columns = fixed.map(column => ({ ...column }));
+    const byName = new Map(columns.map(column => [column.name, column]));
+    for (const row of rows) {
+        for (const [name, value] of Object.entries(row)) {
+            let column = byName.get(name);
+            if (!column) {
+                column = { name, type: null };
+                byName.set(name, column);
+                columns.push(column);
+            }
+            if (column.type === null && value !== null && value !== undefined) {
+                column.type = typeof value === 'number' ? 'number' : typeof value === 'boolean' ? 'boolean' : 'string';
+            }
+        }
+    }
+    return columns.map(column => (column.type ? column : { ...column, type: 'number' }));
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turns rows into chunks of the chosen format: header() once, row() per row (may return ''), footer() at the end
+const createEncoder = ({ format, timeZone, dateFormat, bom }, columns, meta = {}) => {
+    const cellsOf = (row) => columns.map(column => {
+        const value = row[column.name];
+        if (value === undefined) return null;
+        return column.type === 'time' ? formatTime(value, { timeZone, dateFormat }) : value;
+    });
+
+    if (format === 'csv') {
+        return {
+            header: () => `${bom ? '\ufeff' : ''}${columns.map(column => csvCell(column.name)).join(',')}\r\n`,
+            row: (row) => `${cellsOf(row).map(csvCell).join(',')}\r\n`,
+            footer: () => ''
+        };
+    }
+
+    if (format === 'jsonl') {
+        return {
+            header: () => '',
+            row: (row) => {
+                const cells = cellsOf(row);
+                const record = {};
+                columns.forEach((column, i) => { record[column.name] = cells[i]; });
+                return `${JSON.stringify(record)}\n`;
+            },
+            footer: () => ''
+        };
+    }
+
+    let group = columns.map(() => []);
+    let groupRows = 0;
+    let groups = 0;
+    let total = 0;
+    const flush = () => {
+        if (groupRows === 0) return '';
+        const data = {};
+        columns.forEach((column, i) => { data[column.name] = group[i]; });
+        const chunk = `${groups > 0 ? ',' : ''}${JSON.stringify({ rows: groupRows, columns: data })}`;
+        groups += 1;
+        group = columns.map(() => []);
+        groupRows = 0;
+        return chunk;
+    };
+    return {
+        header: () => `{"format":"columnar","schema":${JSON.stringify(columns)},"meta":${JSON.stringify({ ...meta, timeZone, dateFormat })},"rowGroups":[`,
+        row: (row) => {
+            cellsOf(row).forEach((cell, i) => group[i].push(cell));
+            groupRows += 1;
+            total += 1;
+            return groupRows >= ROW_GROUP_SIZE ? flush() : '';
+        },
+        footer: () => `${flush()}],"rows":${total}}`
+    };
+};
+
+// e.g. RELIANCE-EQ_ONE_DAY_2024-01-01_2024-06-30.csv
+const exportFilename = (parts, format) => `${parts.filter(Boolean).join('_').replace(/[^\w.-]+/g, '-')}.${FORMATS[format].extension}`;
+
+module.exports = {
+    parseExportOptions,
+    createEncoder,
+    formatTime,
+    describeInstrument,
+    valueFields,
+    flattenValues,
+    columnsFor,
+    exportFilename,
+    INSTRUMENT_COLUMNS,
+    FORMATS
+};
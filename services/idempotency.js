@@ -0,0 +1,108 @@
+// services/idempotency.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { httpError } = require('./errors');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'idempotency-keys.json');
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// A pending entry no request in this process is working on was left behind by a crash; after this long its key
+// can be used again (check the order book first: the order may have gone through before the crash)
+const DEFAULT_PENDING_TTL_MS = 2 * 60 * 1000;
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// A 4xx means the request was turned away without anything happening (a risk or validation rejection, Angel One
+// refusing the order, a rate limit), so retrying it is safe. Successes and failures that leave the outcome unknown
+// (timeouts, 5xx) are what the key has to guard.
+const isFinal = (result) => result.status < 400 || result.status >= 500;
+
+// Remembers the outcome of each keyed request (on disk, so a restart can't cause a duplicate order)
+const createIdempotencyStore = ({ filePath = DEFAULT_FILE_PATH, ttlMs = DEFAULT_TTL_MS, pendingTtlMs = DEFAULT_PENDING_TTL_MS } = {}) => {
+    let entries = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+    // Store keys whose request is running in this process right now
+    const inFlight = new Set();
+
+    // Memoized so concurrent first requests share one Map; not after a failed read, which the next call retries
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, {}).then(stored => {
+                entries = new Map(Object.entries(stored));
+                return entries;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (now - entry.createdAt > ttlMs) entries.delete(key);
+        }
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, Object.fromEntries(entries)));
+        return writeQueue;
+    };
+
+    const isAbandoned = (storeKey, entry) => entry.state === 'pending' && !inFlight.has(storeKey)
+        && Date.now() - entry.createdAt > pendingTtlMs;
+
+    // Runs `fn` once per key (per `scope`, e.g. a user id). `fn` resolves to { status, body }; a success or an
+    // ambiguous failure is stored and replayed to retries, a definite rejection frees the key again.
+    const execute = async (key, request, fn, scope) => {
+        if (!key || typeof key !== 'string' || key.length > 128) {
+            throw httpError(400, "An Idempotency-Key header (up to 128 characters) is required.");
+        }
+        const all = await load();
+        const requestHash = fingerprint(request);
+        const storeKey = scope ? `${scope}:${key}` : key;
+        const existing = all.get(storeKey);
+
+        if (existing && Date.now() - existing.createdAt <= ttlMs && !isAbandoned(storeKey, existing)) {
+            if (existing.requestHash !== requestHash) {
+                throw httpError(422, `Idempotency-Key ${key} was already used with a different request.`);
+            }
+            if (existing.state === 'pending') {
+                throw httpError(409, `A request with Idempotency-Key ${key} is still in progress.`);
+            }
+            return { ...existing.result, replayed: true };
+        }
+
+        const createdAt = Date.now();
+        all.set(storeKey, { state: 'pending', requestHash, createdAt });
+        try {
+            await save();
+        } catch (error) {
+            all.delete(storeKey);
+            throw error;
+        }
+
+        inFlight.add(storeKey);
+        try {
+            let result;
+            try {
+                result = await fn();
+            } catch (error) {
+                result = { status: error.status || 502, body: { message: error.message, ...error.details } };
+            }
+            if (isFinal(result)) {
+                all.set(storeKey, { state: 'done', requestHash, createdAt, result });
+            } else {
+                all.delete(storeKey);
+            }
+            await save();
+            return { ...result, replayed: false };
+        } finally {
+            inFlight.delete(storeKey);
+        }
+    };
+
+    return { execute };
+};
+
+module.exports = { createIdempotencyStore };
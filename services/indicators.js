@@ -0,0 +1,151 @@
+// services/indicators.js
+
+const {
+    SMA, EMA, WMA, RSI, MACD, BollingerBands, ATR, VWAP, Stochastic, ADX, CCI, OBV, MFI, WilliamsR
+} = require('technicalindicators');
+const { httpError } = require('./errors');
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const closes = (candles) => candles.map(c => c.close);
+const hlc = (candles) => ({
+    high: candles.map(c => c.high),
+    low: candles.map(c => c.low),
+    close: candles.map(c => c.close)
+});
+
+// IST calendar date of a candle, used to reset intraday VWAP each session
+const istDate = (candle) => new Date(Date.parse(candle.time) + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// technicalindicators has no Supertrend, so it is built on top of its ATR
+const supertrend = (candles, { period, multiplier }) => {
+    const atr = ATR.calculate({ ...hlc(candles), period });
+    const offset = candles.length - atr.length;
+    const output = [];
+    let prevUpper = null;
+    let prevLower = null;
+    let prevTrend = null;
+
+    for (let i = 0; i < atr.length; i++) {
+        const candle = candles[i + offset];
+        const prevClose = i > 0 ? candles[i + offset - 1].close : null;
+        const mid = (candle.high + candle.low) / 2;
+        let upper = mid + multiplier * atr[i];
+        let lower = mid - multiplier * atr[i];
+
+        // Bands only tighten while price stays inside them
+        if (prevUpper !== null && !(upper < prevUpper || prevClose > prevUpper)) upper = prevUpper;
+        if (prevLower !== null && !(lower > prevLower || prevClose < prevLower)) lower = prevLower;
+
+        let trend;
+        if (prevTrend === null) trend = candle.close >= mid ? 'up' : 'down';
+        else if (prevTrend === 'down' && candle.close > upper) trend = 'up';
+        else if (prevTrend === 'up' && candle.close < lower) trend = 'down';
+        else trend = prevTrend;
+
+        output.push({ value: trend === 'up' ? lower : upper, trend, upper, lower });
+        prevUpper = upper;
+        prevLower = lower;
+        prevTrend = trend;
+    }
+    return output;
+};
+
+// Each entry returns its output array right-aligned to the input candles (warm-up rows are dropped)
+const INDICATORS = {
+    SMA: { defaults: { period: 20 }, calculate: (candles, { period }) => SMA.calculate({ values: closes(candles), period }) },
+    EMA: { defaults: { period: 20 }, calculate: (candles, { period }) => EMA.calculate({ values: closes(candles), period }) },
+    WMA: { defaults: { period: 20 }, calculate: (candles, { period }) => WMA.calculate({ values: closes(candles), period }) },
+    RSI: { defaults: { period: 14 }, calculate: (candles, { period }) => RSI.calculate({ values: closes(candles), period }) },
+    MACD: {
+        defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+        calculate: (candles, { fastPeriod, slowPeriod, signalPeriod }) => MACD.calculate({
+            values: closes(candles), fastPeriod, slowPeriod, signalPeriod,
+            SimpleMAOscillator: false, SimpleMASignal: false
+        })
+    },
+    BB: {
+        defaults: { period: 20, stdDev: 2 },
+        calculate: (candles, { period, stdDev }) => BollingerBands.calculate({ values: closes(candles), period, stdDev })
+    },
+    ATR: { defaults: { period: 14 }, calculate: (candles, { period }) => ATR.calculate({ ...hlc(candles), period }) },
+    SUPERTREND: { defaults: { period: 10, multiplier: 3 }, calculate: supertrend },
+    VWAP: {
+        defaults: {},
+        // Intraday candles restart VWAP every session; daily candles accumulate over the whole lookback
+        calculate: (candles, params, { intraday }) => {
+            const sessions = [];
+            for (const candle of candles) {
+                const last = sessions[sessions.length - 1];
+                if (intraday && last && istDate(last[0]) === istDate(candle)) last.push(candle);
+                else if (!intraday && last) last.push(candle);
+                else sessions.push([candle]);
+            }
+            return [].concat(...sessions.map(session => VWAP.calculate({
+                ...hlc(session), volume: session.map(c => c.volume)
+            })));
+        }
+    },
+    STOCHASTIC: {
+        defaults: { period: 14, signalPeriod: 3 },
+        calculate: (candles, { period, signalPeriod }) => Stochastic.calculate({ ...hlc(candles), period, signalPeriod })
+    },
+    ADX: { defaults: { period: 14 }, calculate: (candles, { period }) => ADX.calculate({ ...hlc(candles), period }) },
+    CCI: { defaults: { period: 20 }, calculate: (candles, { period }) => CCI.calculate({ ...hlc(candles), period }) },
+    WILLIAMSR: { defaults: { period: 14 }, calculate: (candles, { period }) => WilliamsR.calculate({ ...hlc(candles), period }) },
+    MFI: {
+        defaults: { period: 14 },
+        calculate: (candles, { period }) => MFI.calculate({ ...hlc(candles), volume: candles.map(c => c.volume), period })
+    },
+    OBV: { defaults: {}, calculate: (candles) => OBV.calculate({ close: closes(candles), volume: candles.map(c => c.volume) }) }
+};
+
+const ALIASES = { BOLLINGER: 'BB', BOLLINGERBANDS: 'BB', STOCH: 'STOCHASTIC', WILLIAMS: 'WILLIAMSR' };
+
+// Accepts "RSI" or { name: 'RSI', period: 14, id: 'fastRsi' }; throws a 400 error on bad input
+const parseIndicatorSpec = (spec) => {
+    const { name, id, ...rest } = typeof spec === 'string' ? { name: spec } : (spec || {});
+    if (!name) throw httpError(400, "Each indicator needs a name.");
+    const upperName = String(name).toUpperCase();
+    const key = ALIASES[upperName] || upperName;
+    const definition = INDICATORS[key];
+    if (!definition) {
+        throw httpError(400, `Unknown indicator "${name}". Supported: ${Object.keys(INDICATORS).join(', ')}.`);
+    }
+
+    const params = { ...definition.defaults };
+    for (const param of Object.keys(definition.defaults)) {
+        if (rest[param] === undefined) continue;
+        const value = Number(rest[param]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw httpError(400, `Indicator ${key}: "${param}" must be a positive number.`);
+        }
+        params[param] = value;
+    }
+    const paramList = Object.values(params).join(',');
+    return { id: id || (paramList ? `${key}(${paramList})` : key), name: key, params };
+};
+
+// Runs each spec over the candles. `value` is the latest reading; `series` (optional) is aligned to candle times.
+const computeIndicators = (candles, specs, { series = false, intraday = false } = {}) => {
+    const results = {};
+    for (const spec of specs) {
+        const { id, name, params } = parseIndicatorSpec(spec);
+        let output = [];
+        try {
+            output = candles.length > 0 ? INDICATORS[name].calculate(candles, params, { intraday }) : [];
+        } catch (error) {
+            // technicalindicators throws on inputs shorter than the period; treat that as "not enough data"
+            output = [];
+        }
+        const result = { name, params, value: output.length > 0 ? output[output.length - 1] : null };
+        if (series) {
+            const offset = candles.length - output.length;
+            result.series = candles.map((candle, i) => ({ time: candle.time, value: i >= offset ? output[i - offset] : null }));
+        }
+        results[id] = result;
+    }
+    return results;
+};
+
+module.exports = { computeIndicators, parseIndicatorSpec, INDICATORS };
@@ -0,0 +1,264 @@
+// services/instruments.js
+
+const path = require('path');
+const axios = require('axios');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { logger } = require('./logger');
+
+const INSTRUMENT_MASTER_URL = 'https://margincalculator.angelbroking.com/OpenAPI_File/files/OpenAPIScripMaster.json';
+const DEFAULT_CACHE_PATH = path.join(__dirname, '..', 'data', 'instrument-master.json');
+// Angel One publishes the day's scrip master early in the morning (IST)
+const DEFAULT_RELOAD_TIME = '08:45';
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// The scrip master writes expiries as "25JUL2024"; also accept ISO dates ("2024-07-25")
+const normalizeExpiry = (expiry) => {
+    if (!expiry) return '';
+    const value = String(expiry).trim().toUpperCase();
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return `${iso[3]}${MONTHS[Number(iso[2]) - 1]}${iso[1]}`;
+    }
+    return value;
+};
+
+// "25JUL2024" -> "2024-07-25"; null for rows without an expiry
+const expiryToIsoDate = (expiry) => {
+    const match = String(expiry || '').toUpperCase().match(/^(\d{2})([A-Z]{3})(\d{4})$/);
+    if (!match || !MONTHS.includes(match[2])) return null;
+    return `${match[3]}-${String(MONTHS.indexOf(match[2]) + 1).padStart(2, '0')}-${match[1]}`;
+};
+
+const instrumentKey = (exchange, token) => `${String(exchange).toUpperCase()}:${token}`;
+
+// True when every character of `query` appears in `text` in order
+const isSubsequence = (query, text) => {
+    let i = 0;
+    for (let j = 0; j < text.length && i < query.length; j++) {
+        if (text[j] === query[i]) i++;
+    }
+    return i === query.length;
+};
+
+// First index in a sorted [key, instrument] array whose key is >= prefix
+const lowerBound = (entries, prefix) => {
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (entries[mid][0] < prefix) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+// Milliseconds until the next HH:MM in IST
+const msUntilIstTime = (hhmm, now = Date.now()) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    const istNow = new Date(now + IST_OFFSET_MS);
+    const target = Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate(), hours, minutes) - IST_OFFSET_MS;
+    return target > now ? target - now : target + 24 * 60 * 60 * 1000 - now;
+};
+
+const createInstrumentService = ({ cachePath = DEFAULT_CACHE_PATH, url = INSTRUMENT_MASTER_URL, reloadTime = DEFAULT_RELOAD_TIME } = {}) => {
+    let instruments = [];
+    let byKey = new Map();
+    let bySymbol = new Map();
+    // Sorted [lowercased key, instrument] pairs for prefix lookups
+    let symbolIndex = [];
+    let nameIndex = [];
+    let loadedAt = null;
+    let source = null;
+    let reloadTimer = null;
+    let pendingLoad = null;
+
+    const buildIndexes = (rows) => {
+        const nextByKey = new Map();
+        const nextBySymbol = new Map();
+        const nextSymbolIndex = [];
+        const nextNameIndex = [];
+
+        for (const instrument of rows) {
+            if (!instrument || !instrument.token) continue;
+            nextByKey.set(instrumentKey(instrument.exch_seg, instrument.token), instrument);
+
+            const symbol = (instrument.symbol || '').toUpperCase();
+            if (symbol) {
+                if (!nextBySymbol.has(symbol)) nextBySymbol.set(symbol, []);
+                nextBySymbol.get(symbol).push(instrument);
+                nextSymbolIndex.push([symbol.toLowerCase(), instrument]);
+            }
+            if (instrument.name) {
+                nextNameIndex.push([instrument.name.toLowerCase(), instrument]);
+            }
+        }
+        const byKeyOrder = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+        nextSymbolIndex.sort(byKeyOrder);
+        nextNameIndex.sort(byKeyOrder);
+
+        instruments = rows;
+        byKey = nextByKey;
+        bySymbol = nextBySymbol;
+        symbolIndex = nextSymbolIndex;
+        nameIndex = nextNameIndex;
+    };
+
+    const readCache = async () => {
+        const cached = await readJsonFile(cachePath);
+        if (!Array.isArray(cached.instruments) || cached.instruments.length === 0) {
+            throw new Error("Instrument cache file is empty.");
+        }
+        return cached;
+    };
+
+    const writeCache = (rows) => writeJsonFile(cachePath, { savedAt: new Date().toISOString(), instruments: rows });
+
+    // Downloads a fresh master; falls back to the disk cache if nothing is loaded yet
+    const load = () => {
+        if (pendingLoad) return pendingLoad;
+        pendingLoad = (async () => {
+            try {
+                const response = await axios.get(url);
+                if (!Array.isArray(response.data) || response.data.length === 0) {
+                    throw new Error("Instrument master response was empty or malformed.");
+                }
+                buildIndexes(response.data);
+                loadedAt = new Date();
+                source = 'download';
+                logger.info("Instrument master data loaded.", { count: instruments.length, source });
+                try {
+                    await writeCache(response.data);
+                } catch (cacheError) {
+                    logger.warn("Could not write instrument master cache.", { error: cacheError.message });
+                }
+            } catch (error) {
+                logger.error("Error fetching instrument master data.", { error: error.message });
+                if (instruments.length > 0) return; // Keep serving the previous copy
+                try {
+                    const cached = await readCache();
+                    buildIndexes(cached.instruments);
+                    loadedAt = cached.savedAt ? new Date(cached.savedAt) : new Date();
+                    source = 'cache';
+                    logger.info("Instrument master loaded from disk cache.", { count: instruments.length, savedAt: cached.savedAt, source });
+                } catch (cacheError) {
+                    logger.error("No usable instrument master cache.", { error: cacheError.message });
+                }
+            }
+        })().finally(() => {
+            pendingLoad = null;
+        });
+        return pendingLoad;
+    };
+
+    const scheduleDailyReload = () => {
+        if (reloadTimer) clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(async () => {
+            logger.info("Running scheduled instrument master reload.");
+            await load();
+            scheduleDailyReload();
+        }, msUntilIstTime(reloadTime));
+        if (reloadTimer.unref) reloadTimer.unref();
+    };
+
+    const start = async () => {
+        await load();
+        scheduleDailyReload();
+    };
+
+    const getByToken = (exchange, token) => byKey.get(instrumentKey(exchange, token)) || null;
+
+    const getBySymbol = (symbol, exchange) => {
+        const matches = bySymbol.get(String(symbol).toUpperCase()) || [];
+        if (!exchange) return matches;
+        return matches.filter(instrument => instrument.exch_seg === String(exchange).toUpperCase());
+    };
+
+    const matchesFilters = (instrument, { exchange, instrumenttype, expiry }) => {
+        if (exchange && instrument.exch_seg !== exchange) return false;
+        if (instrumenttype !== undefined && instrument.instrumenttype !== instrumenttype) return false;
+        if (expiry && instrument.expiry !== expiry) return false;
+        return true;
+    };
+
+    const normalizeFilters = ({ exchange, instrumenttype, expiry } = {}) => ({
+        exchange: exchange ? String(exchange).toUpperCase() : undefined,
+        // An explicit empty instrumenttype selects cash-segment rows, which have ""
+        instrumenttype: instrumenttype !== undefined ? String(instrumenttype).toUpperCase() : undefined,
+        expiry: normalizeExpiry(expiry)
+    });
+
+    const filter = (filters = {}, predicate = () => true) => {
+        const normalized = normalizeFilters(filters);
+        return instruments.filter(instrument => matchesFilters(instrument, normalized) && predicate(instrument));
+    };
+
+    // Ranks exact symbol > symbol prefix > name prefix > substring > fuzzy (subsequence)
+    const search = ({ q, page = 1, limit = DEFAULT_PAGE_SIZE, ...filters } = {}) => {
+        const normalized = normalizeFilters(filters);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const query = (q || '').trim().toLowerCase();
+
+        let ranked;
+        if (!query) {
+            ranked = instruments.filter(instrument => matchesFilters(instrument, normalized));
+        } else {
+            const seen = new Set();
+            const tiers = [[], [], [], [], []];
+            const add = (tier, instrument) => {
+                if (seen.has(instrument) || !matchesFilters(instrument, normalized)) return;
+                seen.add(instrument);
+                tiers[tier].push(instrument);
+            };
+
+            for (const instrument of bySymbol.get(query.toUpperCase()) || []) add(0, instrument);
+            for (let i = lowerBound(symbolIndex, query); i < symbolIndex.length && symbolIndex[i][0].startsWith(query); i++) {
+                add(1, symbolIndex[i][1]);
+            }
+            for (let i = lowerBound(nameIndex, query); i < nameIndex.length && nameIndex[i][0].startsWith(query); i++) {
+                add(2, nameIndex[i][1]);
+            }
+            for (const instrument of instruments) {
+                if (seen.has(instrument)) continue;
+                const symbol = (instrument.symbol || '').toLowerCase();
+                const name = (instrument.name || '').toLowerCase();
+                if (symbol.includes(query) || name.includes(query)) add(3, instrument);
+                else if (query.length >= 3 && isSubsequence(query, symbol)) add(4, instrument);
+            }
+            ranked = [].concat(...tiers);
+        }
+
+        const start = (pageNumber - 1) * pageSize;
+        return {
+            total: ranked.length,
+            page: pageNumber,
+            limit: pageSize,
+            results: ranked.slice(start, start + pageSize)
+        };
+    };
+
+    const getStatus = () => ({
+        loaded: instruments.length > 0,
+        count: instruments.length,
+        loadedAt: loadedAt ? loadedAt.toISOString() : null,
+        source
+    });
+
+    return {
+        start,
+        reload: load,
+        getByToken,
+        getBySymbol,
+        filter,
+        search,
+        getStatus,
+        isLoaded: () => instruments.length > 0
+    };
+};
+
+module.exports = { createInstrumentService, normalizeExpiry, expiryToIsoDate, msUntilIstTime };
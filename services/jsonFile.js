@@ -0,0 +1,24 @@
+// services/jsonFile.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Returns `fallback` when the file doesn't exist yet; other read or parse errors are thrown
+const readJsonFile = async (filePath, fallback) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+        throw error;
+    }
+};
+
+// Writes to a temp file first so a crash never leaves a truncated file behind
+const writeJsonFile = async (filePath, data) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, filePath);
+};
+
+module.exports = { readJsonFile, writeJsonFile };
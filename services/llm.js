@@ -0,0 +1,97 @@
+// services/llm.js
+
+const { httpError } = require('./errors');
+
+// A provider is { name, model, generate({ prompt, schema }) } resolving to { text, sources }, where `schema` is the
+// JSON shape the text should hold and `sources` lists the web pages the answer was grounded on (if any).
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+const providerError = (status, message, provider) => {
+    const error = httpError(status, message);
+    error.details = { provider };
+    return error;
+};
+
+// With searchGrounding the model looks the news up with Google Search first. Gemini can't combine search with a
+// response schema, so the schema is then only described in the prompt and the caller has to validate the JSON.
+const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, searchGrounding = false, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+    const name = 'gemini';
+
+    const generate = async ({ prompt, schema }) => {
+        if (!apiKey) throw providerError(500, "Google AI API key is not configured on the server.", name);
+
+        const payload = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+        if (searchGrounding) {
+            payload.tools = [{ google_search: {} }];
+        } else if (schema) {
+            payload.generationConfig = { responseMimeType: 'application/json', responseSchema: schema };
+        }
+
+        let response;
+        try {
+            response = await fetch(`${GEMINI_BASE_URL}/models/${model}:generateContent?key=${apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw providerError(504, "Google AI did not respond in time.", name);
+            throw providerError(502, `Could not reach Google AI. (${error.message})`, name);
+        }
+
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            const reason = result && result.error ? result.error.message : `HTTP ${response.status}`;
+            throw providerError(response.status === 429 ? 429 : 502, `Google AI rejected the request. (${reason})`, name);
+        }
+        if (result && result.promptFeedback && result.promptFeedback.blockReason) {
+            throw providerError(502, `Google AI blocked the prompt. (${result.promptFeedback.blockReason})`, name);
+        }
+
+        const candidate = result && Array.isArray(result.candidates) ? result.candidates[0] : null;
+        const parts = candidate && candidate.content && Array.isArray(candidate.content.parts) ? candidate.content.parts : [];
+        const text = parts.map(part => part.text || '').join('').trim();
+        if (!text) {
+            const reason = candidate && candidate.finishReason ? candidate.finishReason : 'no candidates';
+            throw providerError(502, `Google AI returned an empty response. (${reason})`, name);
+        }
+
+        const chunks = (candidate.groundingMetadata && candidate.groundingMetadata.groundingChunks) || [];
+        const sources = chunks.filter(chunk => chunk.web).map(chunk => ({ title: chunk.web.title || null, url: chunk.web.uri }));
+        return { text, sources };
+    };
+
+    return { name, model, generate };
+};
+
+// Answers locally without any network call, for development and tests. `respond(prompt)` builds the reply: an object
+// is sent as JSON, a string as is (to play a model that wraps or mangles its JSON)
+const createStubProvider = ({ respond } = {}) => {
+    const defaultRespond = () => ({
+        bullets: ["News summaries are served by the local stub provider; no news was looked up."],
+        sentimentScore: 0,
+        keyRisks: [],
+        newsFound: false
+    });
+    const reply = respond || defaultRespond;
+
+    const generate = async ({ prompt }) => {
+        const answer = await reply(prompt);
+        return { text: typeof answer === 'string' ? answer : JSON.stringify(answer), sources: [] };
+    };
+
+    return { name: 'stub', model: 'stub', generate };
+};
+
+// NEWS_LLM_PROVIDER picks the implementation: gemini (default) or stub
+const createLlmProvider = ({ provider = 'gemini', ...options }) => {
+    if (provider === 'gemini') return createGeminiProvider(options);
+    if (provider === 'stub') return createStubProvider(options);
+    throw new Error(`Unknown LLM provider "${provider}"; use gemini or stub.`);
+};
+
+module.exports = { createLlmProvider, createGeminiProvider, createStubProvider };
@@ -0,0 +1,76 @@
+// services/logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values never reach the log, at any depth (symbol and exchange tokens are just instrument IDs)
+const SECRET_KEY = /password|passphrase|secret|(?<!symbol|exchange)token|authorization|api-?key|private-?key|totp|jwt|cookie|credential/i;
+
+// Secrets that turn up inside free text: bearer tokens, our API tokens, JWTs and keys in query strings
+const SECRET_PATTERNS = [
+    [/(Bearer\s+)[^\s"']+/gi, '$1[REDACTED]'],
+    [/\bak_[A-Za-z0-9_-]{10,}/g, '[REDACTED]'],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED]'],
+    [/([?&](?:key|access_token|token|ticket)=)[^&\s"']+/gi, '$1[REDACTED]']
+];
+
+const MAX_DEPTH = 6;
+
+const redactText = (text) => SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return redactText(value);
+    if (value instanceof Error) return { message: redactText(value.message), ...(value.status ? { status: value.status } : {}) };
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    const out = {};
+    for (const [key, field] of Object.entries(value)) {
+        out[key] = SECRET_KEY.test(key) && field !== null && field !== undefined && typeof field !== 'boolean'
+            ? '[REDACTED]'
+            : redact(field, depth + 1);
+    }
+    return out;
+};
+
+// Per-request fields (the request ID, the user) picked up by every line logged while handling that request
+const context = new AsyncLocalStorage();
+
+// One JSON object per line: { time, level, msg, ...request context, ...fields }. LOG_LEVEL sets the threshold.
+const createLogger = ({ level = 'info', write = (line) => process.stdout.write(`${line}\n`), fields: baseFields = {} } = {}) => {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    const log = (entryLevel, msg, fields) => {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: redactText(String(msg)),
+            ...baseFields,
+            ...context.getStore(),
+            ...redact(fields || {})
+        };
+        write(JSON.stringify(entry));
+    };
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        child: (fields) => createLogger({ level, write, fields: { ...baseFields, ...fields } })
+    };
+};
+
+// Runs fn with `fields` attached to every line it logs; addContext() adds to the current request's fields
+const runWithContext = (fields, fn) => context.run({ ...fields }, fn);
+const addContext = (fields) => {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+};
+
+// The process-wide logger every module writes through
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = { logger, createLogger, runWithContext, addContext, redact };
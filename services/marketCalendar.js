@@ -0,0 +1,194 @@
+// services/marketCalendar.js
+
+const fs = require('fs');
+const { parseIstDate, formatIstDate } = require('./candles');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far to search for the next or previous trading day before giving up
+const MAX_SEARCH_DAYS = 30;
+
+// IST session windows ("HH:mm", end exclusive). MCX has no post-close session and currency derivatives (CDS) have
+// neither a pre-open nor a post-close one. MCX's hours are those while US daylight saving time is in effect; see
+// WINTER_SESSIONS for the rest of the year.
+const EXCHANGE_SESSIONS = {
+    NSE: { preOpen: ['09:00', '09:08'], normal: ['09:15', '15:30'], postClose: ['15:40', '16:00'] },
+    BSE: { preOpen: ['09:00', '09:08'], normal: ['09:15', '15:30'], postClose: ['15:40', '16:00'] },
+    MCX: { preOpen: ['08:45', '09:00'], normal: ['09:00', '23:30'], postClose: null },
+    CDS: { preOpen: null, normal: ['09:00', '17:00'], postClose: null }
+};
+// MCX contracts track US markets, so while US daylight saving time is off (first Sunday of November to the second
+// Sunday of March) its evening session runs until 23:55
+const WINTER_SESSIONS = {
+    MCX: { normal: ['09:00', '23:55'] }
+};
+// Equity derivative segments follow their parent exchange's calendar
+const SEGMENT_CALENDARS = { NFO: 'NSE', BFO: 'BSE', NCDEX: 'MCX' };
+// CDS keeps its own hours but closes on NSE's holidays, unless the holiday file lists CDS separately
+const HOLIDAY_FALLBACKS = { CDS: 'NSE' };
+
+const PHASES = [['preOpen', 'pre-open'], ['normal', 'open'], ['postClose', 'post-close']];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Calendar arithmetic on "YYYY-MM-DD" strings; the UTC date functions are only used as a day counter here
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// "YYYY-MM-DD" of the nth Sunday of a month (1-12)
+const nthSunday = (year, month, n) => {
+    const first = `${year}-${String(month).padStart(2, '0')}-01`;
+    return addDays(first, (7 - weekday(first)) % 7 + (n - 1) * 7);
+};
+
+// US clocks change early on a Sunday, before any Indian session that day, so the whole IST date counts
+const isUsDaylightSaving = (date) => {
+    const year = Number(date.slice(0, 4));
+    return date >= nthSunday(year, 3, 2) && date < nthSunday(year, 11, 1);
+};
+
+// The session windows an exchange calendar keeps on a given date
+const sessionsOn = (key, date) => (WINTER_SESSIONS[key] && !isUsDaylightSaving(date)
+    ? { ...EXCHANGE_SESSIONS[key], ...WINTER_SESSIONS[key] }
+    : EXCHANGE_SESSIONS[key]);
+
+// Accepts ["2026-01-26", ...] for every exchange, or { NSE: [...], MCX: [...] }; entries may be { date, name }
+const normalizeHolidays = (input) => {
+    const byExchange = {};
+    const add = (exchange, entry) => {
+        const date = typeof entry === 'string' ? entry : entry && entry.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) throw new Error(`Invalid holiday date ${JSON.stringify(entry)}.`);
+        if (!byExchange[exchange]) byExchange[exchange] = new Map();
+        byExchange[exchange].set(date, (entry && entry.name) || 'Holiday');
+    };
+    if (Array.isArray(input)) {
+        for (const exchange of Object.keys(EXCHANGE_SESSIONS)) input.forEach(entry => add(exchange, entry));
+    } else {
+        for (const [exchange, entries] of Object.entries(input || {})) {
+            (entries || []).forEach(entry => add(exchange.toUpperCase(), entry));
+        }
+    }
+    return byExchange;
+};
+
+// Reads a holiday file (see normalizeHolidays); a missing file means weekends only
+const loadHolidayFile = (filePath) => {
+    if (!filePath) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.warn("Could not read market holidays; only weekends will be treated as closed.", { filePath, error: error.message });
+        return {};
+    }
+};
+
+const createMarketCalendar = ({ holidays = {} } = {}) => {
+    const holidaysByExchange = normalizeHolidays(holidays);
+
+    const calendarOf = (exchange = 'NSE') => {
+        const upper = String(exchange).toUpperCase();
+        const key = SEGMENT_CALENDARS[upper] || upper;
+        return EXCHANGE_SESSIONS[key] ? key : 'NSE';
+    };
+
+    const holidayName = (date, exchange) => {
+        const key = calendarOf(exchange);
+        const holidaysForExchange = holidaysByExchange[key] || holidaysByExchange[HOLIDAY_FALLBACKS[key]];
+        return (holidaysForExchange && holidaysForExchange.get(date)) || null;
+    };
+
+    const isTradingDay = (date, exchange = 'NSE') => {
+        const day = weekday(date);
+        return day !== 0 && day !== 6 && !holidayName(date, exchange);
+    };
+
+    const stepTradingDay = (date, exchange, direction) => {
+        let candidate = date;
+        for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+            candidate = addDays(candidate, direction);
+            if (isTradingDay(candidate, exchange)) return candidate;
+        }
+        throw new Error(`No trading day within ${MAX_SEARCH_DAYS} days of ${date} on ${exchange}.`);
+    };
+
+    const previousTradingDay = (date, exchange = 'NSE') => stepTradingDay(date, exchange, -1);
+    const nextTradingDay = (date, exchange = 'NSE') => stepTradingDay(date, exchange, 1);
+
+    // IST date and minutes since midnight for an instant
+    const istParts = (ms) => {
+        const [date, time] = formatIstDate(ms).split(' ');
+        return { date, minutes: toMinutes(time) };
+    };
+
+    const getPhase = (ms, exchange = 'NSE') => {
+        const { date, minutes } = istParts(ms);
+        if (!isTradingDay(date, exchange)) return 'closed';
+        const sessions = sessionsOn(calendarOf(exchange), date);
+        for (const [key, phase] of PHASES) {
+            const window = sessions[key];
+            if (window && minutes >= toMinutes(window[0]) && minutes < toMinutes(window[1])) return phase;
+        }
+        return 'closed';
+    };
+
+    const isOpen = (ms, exchange = 'NSE') => getPhase(ms, exchange) === 'open';
+
+    // The most recent trading day whose normal session has started: today once the bell has rung, otherwise the one before
+    const latestSessionDate = (ms, exchange = 'NSE') => {
+        const { date, minutes } = istParts(ms);
+        const open = toMinutes(sessionsOn(calendarOf(exchange), date).normal[0]);
+        return isTradingDay(date, exchange) && minutes >= open ? date : previousTradingDay(date, exchange);
+    };
+
+    const nextOpen = (ms, exchange = 'NSE') => {
+        const { date, minutes } = istParts(ms);
+        const key = calendarOf(exchange);
+        const today = isTradingDay(date, exchange) && minutes < toMinutes(sessionsOn(key, date).normal[0]);
+        const day = today ? date : nextTradingDay(date, exchange);
+        return parseIstDate(`${day} ${sessionsOn(key, day).normal[0]}`);
+    };
+
+    const getExchangeStatus = (ms, exchange) => {
+        const { date } = istParts(ms);
+        const sessions = sessionsOn(calendarOf(exchange), date);
+        const phase = getPhase(ms, exchange);
+        const status = {
+            exchange,
+            date,
+            phase,
+            isOpen: phase === 'open',
+            tradingDay: isTradingDay(date, exchange),
+            holiday: holidayName(date, exchange),
+            sessions: Object.fromEntries(PHASES.map(([key]) => [
+                key, sessions[key] ? { start: sessions[key][0], end: sessions[key][1] } : null
+            ])),
+            lastTradingDay: latestSessionDate(ms, exchange),
+            previousTradingDay: previousTradingDay(date, exchange),
+            nextOpen: new Date(nextOpen(ms, exchange)).toISOString()
+        };
+        if (phase === 'open') status.closesAt = new Date(parseIstDate(`${date} ${sessions.normal[1]}`)).toISOString();
+        return status;
+    };
+
+    const getStatus = (ms = Date.now(), exchanges = Object.keys(EXCHANGE_SESSIONS)) => ({
+        now: new Date(ms).toISOString(),
+        ist: formatIstDate(ms),
+        exchanges: exchanges.map(exchange => getExchangeStatus(ms, exchange))
+    });
+
+    return {
+        isTradingDay,
+        previousTradingDay,
+        nextTradingDay,
+        getPhase,
+        isOpen,
+        latestSessionDate,
+        nextOpen,
+        getStatus
+    };
+};
+
+module.exports = { createMarketCalendar, loadHolidayFile, EXCHANGE_SESSIONS, SEGMENT_CALENDARS };
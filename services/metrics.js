@@ -0,0 +1,99 @@
+// services/metrics.js
+
+// Seconds; spans a cached lookup (a few ms) up to a slow historical download
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// A small Prometheus registry rendering the text exposition format. Counters and histograms are updated as things
+// happen; collectors are read at scrape time for numbers other services already keep (cache stats, queue depth).
+const createMetrics = () => {
+    const families = new Map();
+    const collectors = [];
+
+    const family = (name, type, help) => {
+        if (!families.has(name)) families.set(name, { name, type, help, series: new Map() });
+        return families.get(name);
+    };
+
+    const seriesFor = (metric, labels, create) => {
+        const key = JSON.stringify(labels);
+        if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+        return metric.series.get(key);
+    };
+
+    const counter = (name, help) => {
+        const metric = family(name, 'counter', help);
+        return {
+            inc: (labels = {}, by = 1) => {
+                seriesFor(metric, labels, () => ({ value: 0 })).value += by;
+            }
+        };
+    };
+
+    const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+        const metric = family(name, 'histogram', help);
+        metric.buckets = buckets;
+        return {
+            observe: (labels, value) => {
+                const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) series.counts[i] += 1;
+                });
+                series.sum += value;
+                series.count += 1;
+            }
+        };
+    };
+
+    // fn() returns [{ name, type: 'counter' | 'gauge', help, samples: [{ labels, value }] }]
+    const addCollector = (fn) => collectors.push(fn);
+
+    const renderFamily = ({ name, type, help }, lines, body) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        body();
+    };
+
+    const render = () => {
+        const lines = [];
+        for (const metric of families.values()) {
+            renderFamily(metric, lines, () => {
+                for (const series of metric.series.values()) {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                        continue;
+                    }
+                    // Each bound already counts every value at or under it, the cumulative form Prometheus expects
+                    metric.buckets.forEach((bound, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+            });
+        }
+        for (const collect of collectors) {
+            for (const collected of collect()) {
+                renderFamily(collected, lines, () => {
+                    for (const { labels = {}, value } of collected.samples) {
+                        lines.push(`${collected.name}${formatLabels(labels)} ${formatValue(value)}`);
+                    }
+                });
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    };
+
+    return { counter, histogram, addCollector, render };
+};
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
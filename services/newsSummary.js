@@ -0,0 +1,253 @@
+// services/newsSummary.js
+
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_SUMMARIES = 500;
+// A reply that fails validation is asked for once more before giving up
+const MAX_ATTEMPTS = 2;
+const MAX_BULLETS = 5;
+const MAX_RISKS = 3;
+
+// Bars of daily candles in a week, a month, a quarter and a year of trading
+const WEEK_BARS = 5;
+const MONTH_BARS = 21;
+const QUARTER_BARS = 63;
+const YEAR_BARS = 252;
+
+// Passed to providers that support structured output; the prompt spells out the same shape for those that don't
+const SUMMARY_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        bullets: { type: 'ARRAY', items: { type: 'STRING' }, description: `${MAX_BULLETS} or fewer concise news bullet points` },
+        sentimentScore: { type: 'NUMBER', description: 'Sentiment of the news flow, from -1 (very bearish) to 1 (very bullish)' },
+        keyRisks: { type: 'ARRAY', items: { type: 'STRING' }, description: `Up to ${MAX_RISKS} key risks` },
+        newsFound: { type: 'BOOLEAN', description: 'false when no recent news was found' }
+    },
+    required: ['bullets', 'sentimentScore', 'keyRisks', 'newsFound']
+};
+
+const round = (value, digits = 2) => (value === null || value === undefined || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+const percentChangeOver = (candles, bars) => {
+    if (candles.length <= bars) return null;
+    const from = candles[candles.length - 1 - bars].close;
+    return from ? round((candles[candles.length - 1].close - from) / from * 100) : null;
+};
+
+// Recent price action and the stock-analysis indicators, trimmed to what the prompt needs
+const buildPriceContext = (candles, analysis) => {
+    const lastYear = candles.slice(-YEAR_BARS);
+    return {
+        asOf: candles[candles.length - 1].time,
+        currentPrice: round(analysis.currentPrice),
+        dayChangePercent: round(analysis.percentChange),
+        weekChangePercent: percentChangeOver(candles, WEEK_BARS),
+        monthChangePercent: percentChangeOver(candles, MONTH_BARS),
+        quarterChangePercent: percentChangeOver(candles, QUARTER_BARS),
+        yearHigh: round(Math.max(...lastYear.map(candle => candle.high))),
+        yearLow: round(Math.min(...lastYear.map(candle => candle.low))),
+        rsi: round(analysis.rsi),
+        dma20: round(analysis.dma20),
+        dma50: round(analysis.dma50),
+        dma200: round(analysis.dma200)
+    };
+};
+
+const describeNumber = (value, suffix = '') => (value === null ? 'n/a' : `${value}${suffix}`);
+
+const buildPrompt = ({ name, symbol, exchange }, priceContext) => {
+    const lines = [
+        `Summarize the most recent news about ${name}${symbol ? ` (${symbol} on ${exchange})` : ''} from reliable financial sources.`
+    ];
+    if (priceContext) {
+        lines.push(
+            '',
+            `Price context from our market data as of ${priceContext.asOf.slice(0, 10)}, prices in INR:`,
+            `- Last price ${describeNumber(priceContext.currentPrice)}, ${describeNumber(priceContext.dayChangePercent, '%')} on the day`,
+            `- Change over 1 week ${describeNumber(priceContext.weekChangePercent, '%')}, 1 month ${describeNumber(priceContext.monthChangePercent, '%')}, 3 months ${describeNumber(priceContext.quarterChangePercent, '%')}`,
+            `- 52-week range ${describeNumber(priceContext.yearLow)} to ${describeNumber(priceContext.yearHigh)}`,
+            `- RSI(14) ${describeNumber(priceContext.rsi)}; 20/50/200-day moving averages ${describeNumber(priceContext.dma20)} / ${describeNumber(priceContext.dma50)} / ${describeNumber(priceContext.dma200)}`,
+            'Use the price context only to put the news in perspective; never invent news to explain a price move.'
+        );
+    }
+    lines.push(
+        '',
+        'Reply with a single JSON object and nothing else:',
+        `{"bullets": [up to ${MAX_BULLETS} concise bullet points], "sentimentScore": number from -1 (very bearish) to 1 (very bullish) for the news flow, "keyRisks": [up to ${MAX_RISKS} short key risks], "newsFound": false if you found no recent news}`
+    );
+    return lines.join('\n');
+};
+
+const isTextList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Models sometimes wrap JSON in a ```json fence or a sentence; take the outermost object and check its shape
+const parseSummary = (text) => {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error("the reply contains no JSON object");
+    let parsed;
+    try {
+        parsed = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`the reply is not valid JSON (${error.message})`);
+    }
+
+    const { bullets, sentimentScore, keyRisks, newsFound } = parsed;
+    if (!isTextList(bullets) || bullets.filter(bullet => bullet.trim()).length === 0) throw new Error("bullets must be a non-empty list of strings");
+    if (typeof sentimentScore !== 'number' || !Number.isFinite(sentimentScore) || sentimentScore < -1 || sentimentScore > 1) {
+        throw new Error("sentimentScore must be a number between -1 and 1");
+    }
+    if (!isTextList(keyRisks)) throw new Error("keyRisks must be a list of strings");
+    if (typeof newsFound !== 'boolean') throw new Error("newsFound must be true or false");
+
+    return {
+        bullets: bullets.map(bullet => bullet.trim()).filter(Boolean).slice(0, MAX_BULLETS),
+        sentimentScore: round(sentimentScore),
+        keyRisks: keyRisks.map(risk => risk.trim()).filter(Boolean).slice(0, MAX_RISKS),
+        newsFound
+    };
+};
+
+const sentimentLabel = (score) => (score >= 0.25 ? 'bullish' : score <= -0.25 ? 'bearish' : 'neutral');
+
+const createNewsSummaryService = ({ llm, instruments, stockAnalyzer, ttlMs = DEFAULT_TTL_MS, maxEntries = MAX_CACHED_SUMMARIES }) => {
+    // key -> summary; Map order doubles as age order for eviction
+    const cache = new Map();
+    // Concurrent requests for the same symbol share one model call
+    const pending = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    const remember = (key, summary) => {
+        for (const [cachedKey, cached] of cache) {
+            if (Date.parse(cached.expiresAt) <= Date.now()) cache.delete(cachedKey);
+        }
+        cache.delete(key);
+        cache.set(key, summary);
+        if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    };
+
+    const fresh = (key) => {
+        const cached = cache.get(key);
+        return cached && Date.parse(cached.expiresAt) > Date.now() ? cached : null;
+    };
+
+    // { exchange, symboltoken } names the stock through the instrument master; a bare companyName still works but
+    // gets no price context
+    const resolveSubject = ({ exchange = 'NSE', symboltoken, companyName }) => {
+        if (symboltoken) {
+            if (!instruments.isLoaded()) throw httpError(503, "Instrument master is not loaded yet.");
+            const instrument = instruments.getByToken(String(exchange).toUpperCase(), String(symboltoken));
+            if (!instrument) throw httpError(404, `Instrument ${exchange}:${symboltoken} not found in the instrument master.`);
+            return {
+                key: `${instrument.exch_seg}:${instrument.token}`,
+                exchange: instrument.exch_seg,
+                symboltoken: instrument.token,
+                symbol: instrument.symbol,
+                name: companyName || instrument.name
+            };
+        }
+        if (!companyName || typeof companyName !== 'string') {
+            throw httpError(400, "symboltoken (with exchange) or companyName is required for a news summary.");
+        }
+        return { key: `name:${companyName.trim().toLowerCase()}`, exchange: null, symboltoken: null, symbol: null, name: companyName.trim() };
+    };
+
+    // Price data is context, not the point: a stock without candles (or a failed fetch) is summarized without it
+    const loadPriceContext = async (subject) => {
+        if (!subject.symboltoken) return null;
+        try {
+            const candles = await stockAnalyzer.loadCandles({ exchange: subject.exchange, symboltoken: subject.symboltoken });
+            const analysis = await stockAnalyzer.analyze({ exchange: subject.exchange, symboltoken: subject.symboltoken, candles });
+            return buildPriceContext(candles, analysis);
+        } catch (error) {
+            logger.warn("News summary goes without price context.", { symbol: subject.symbol, error: error.message });
+            return null;
+        }
+    };
+
+    const generate = async (subject) => {
+        const priceContext = await loadPriceContext(subject);
+        const prompt = buildPrompt(subject, priceContext);
+
+        let reply;
+        let parsed;
+        let problem;
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS && !parsed; attempt++) {
+            reply = await llm.generate({ prompt, schema: SUMMARY_SCHEMA });
+            try {
+                parsed = parseSummary(reply.text);
+            } catch (error) {
+                problem = error.message;
+                logger.warn("News summary reply was unusable.", { subject: subject.name, attempt, maxAttempts: MAX_ATTEMPTS, problem });
+            }
+        }
+        if (!parsed) {
+            const error = httpError(502, `The news model returned an unusable summary: ${problem}.`);
+            error.details = { provider: llm.name };
+            throw error;
+        }
+
+        const generatedAt = Date.now();
+        const { key, ...subjectFields } = subject;
+        return {
+            ...subjectFields,
+            bullets: parsed.bullets,
+            // The plain-text form the endpoint used to return
+            newsSummary: parsed.bullets.map(bullet => `* ${bullet}`).join('\n'),
+            sentiment: { score: parsed.sentimentScore, label: sentimentLabel(parsed.sentimentScore) },
+            keyRisks: parsed.keyRisks,
+            newsFound: parsed.newsFound,
+            sources: reply.sources || [],
+            priceContext,
+            provider: llm.name,
+            model: llm.model,
+            generatedAt: new Date(generatedAt).toISOString(),
+            expiresAt: new Date(generatedAt + ttlMs).toISOString()
+        };
+    };
+
+    // Served from the cache until it expires unless `refresh` is set
+    const summarize = async (body = {}) => {
+        const subject = resolveSubject(body);
+        const cached = body.refresh ? null : fresh(subject.key);
+        if (cached) {
+            stats.hits++;
+            return { ...cached, cached: true };
+        }
+        stats.misses++;
+
+        if (!pending.has(subject.key)) {
+            const running = generate(subject)
+                .then(summary => {
+                    remember(subject.key, summary);
+                    return summary;
+                })
+                .finally(() => pending.delete(subject.key));
+            pending.set(subject.key, running);
+        }
+        return { ...(await pending.get(subject.key)), cached: false };
+    };
+
+    // Cached summaries that are still fresh, most bullish first by default: ?sort=sentiment|symbol|generatedAt&order=
+    const list = ({ sort = 'sentiment', order } = {}) => {
+        const keys = { sentiment: summary => summary.sentiment.score, symbol: summary => summary.symbol || summary.name, generatedAt: summary => summary.generatedAt };
+        if (!keys[sort]) throw httpError(400, `sort must be one of ${Object.keys(keys).join(', ')}.`);
+        const direction = (order || (sort === 'symbol' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+        const valueOf = keys[sort];
+        return [...cache.values()]
+            .filter(summary => Date.parse(summary.expiresAt) > Date.now())
+            .sort((a, b) => {
+                const left = valueOf(a);
+                const right = valueOf(b);
+                return (typeof left === 'string' ? left.localeCompare(right) : left - right) * direction;
+            });
+    };
+
+    const getStats = () => ({ ...stats, entries: cache.size });
+
+    return { summarize, list, getStats };
+};
+
+module.exports = { createNewsSummaryService, parseSummary, SUMMARY_SCHEMA };
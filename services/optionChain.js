@@ -0,0 +1,288 @@
+// services/optionChain.js
+
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { normalizeExpiry, expiryToIsoDate } = require('./instruments');
+const { parseIstDate, formatIstDate } = require('./candles');
+const { SEGMENT_CALENDARS } = require('./marketCalendar');
+const { greeks, impliedVolatility } = require('./optionMath');
+const { httpError } = require('./errors');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'option-oi.json');
+const OPTION_EXCHANGES = ['NFO', 'BFO'];
+const OPTION_TYPES = ['OPTIDX', 'OPTSTK'];
+// Strikes on each side of the ATM strike
+const DEFAULT_STRIKES = 10;
+const MAX_STRIKES = 50;
+const DEFAULT_RISK_FREE_RATE = 6.5;
+// Index and stock options expire at the close of the cash session
+const EXPIRY_TIME = '15:30';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// Open interest readings older than this are dropped from the baseline file
+const OI_BASELINE_DAYS = 7;
+// A chain quotes every strike of its expiry (several getQuote calls for an index), so those quotes are shared by
+// every request for the same expiry for this long
+const DEFAULT_QUOTE_TTL_MS = 15 * 1000;
+
+const num = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// The scrip master stores strikes in paise ("2400000.000000" is 24000)
+const strikeOf = (instrument) => parseFloat(instrument.strike) / 100;
+
+// PCR and max pain over rows of { strike, CE: { oi, volume }, PE: { oi, volume } }, which should cover every strike
+// of the expiry. Max pain is the expiry price at which option writers pay out least.
+const summarize = (rows) => {
+    const total = (type, field) => rows.reduce((sum, row) => sum + ((row[type] && row[type][field]) || 0), 0);
+    const callOi = total('CE', 'oi');
+    const putOi = total('PE', 'oi');
+    const callVolume = total('CE', 'volume');
+    const putVolume = total('PE', 'volume');
+
+    let maxPain = null;
+    for (const { strike: settle } of rows) {
+        const payout = rows.reduce((sum, row) => sum
+            + ((row.CE && row.CE.oi) || 0) * Math.max(settle - row.strike, 0)
+            + ((row.PE && row.PE.oi) || 0) * Math.max(row.strike - settle, 0), 0);
+        if (!maxPain || payout < maxPain.payout) maxPain = { strike: settle, payout };
+    }
+
+    return {
+        callOi,
+        putOi,
+        callVolume,
+        putVolume,
+        pcr: callOi > 0 ? putOi / callOi : null,
+        volumePcr: callVolume > 0 ? putVolume / callVolume : null,
+        maxPain: callOi + putOi > 0 ? maxPain.strike : null,
+        maxPainPayout: callOi + putOi > 0 ? maxPain.payout : null
+    };
+};
+
+const createOptionChainService = ({ instruments, quoteService, priceService, calendar, filePath = DEFAULT_FILE_PATH, quoteTtlMs = DEFAULT_QUOTE_TTL_MS }) => {
+    // Angel One quotes carry no previous open interest, so the last reading of an earlier session is kept as the
+    // baseline for "change in OI": { "NFO:43210": { date, oi, previousDate, previousOi } }
+    let baselines = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+    // "NFO:25JUL2024" -> { fetchedAt, quotes: Promise<Map token -> quote> }; a request in flight is shared as well
+    const quoteCache = new Map();
+
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, {}).then(stored => {
+                baselines = stored;
+                return baselines;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, baselines));
+        return writeQueue;
+    };
+
+    // Records today's reading and returns the change against the previous session's, or null without one
+    const observeOi = (key, oi, sessionDate) => {
+        const entry = baselines[key];
+        if (!entry || entry.date > sessionDate) {
+            baselines[key] = { date: sessionDate, oi, previousDate: null, previousOi: null };
+        } else if (entry.date < sessionDate) {
+            baselines[key] = { date: sessionDate, oi, previousDate: entry.date, previousOi: entry.oi };
+        } else {
+            entry.oi = oi;
+        }
+        const { previousOi } = baselines[key];
+        return previousOi === null ? null : oi - previousOi;
+    };
+
+    const pruneBaselines = (sessionDate) => {
+        const cutoff = new Date(Date.parse(`${sessionDate}T00:00:00Z`) - OI_BASELINE_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        for (const [key, entry] of Object.entries(baselines)) {
+            if (entry.date < cutoff) delete baselines[key];
+        }
+    };
+
+    // FULL quotes (the only mode carrying open interest) for every contract of an expiry
+    const quotesFor = (exchange, expiry, tokens) => {
+        const now = Date.now();
+        for (const [key, cached] of quoteCache) {
+            if (now - cached.fetchedAt >= quoteTtlMs) quoteCache.delete(key);
+        }
+        const key = `${exchange}:${expiry}`;
+        if (!quoteCache.has(key)) {
+            const quotes = quoteService.getQuotes('FULL', { [exchange]: tokens })
+                .then(list => new Map(list.map(quote => [String(quote.symbolToken), quote])));
+            // A failure isn't cached: the next request tries again
+            quotes.catch(() => {
+                if (quoteCache.has(key) && quoteCache.get(key).quotes === quotes) quoteCache.delete(key);
+            });
+            quoteCache.set(key, { fetchedAt: now, quotes });
+        }
+        return quoteCache.get(key).quotes;
+    };
+
+    const findContracts = (underlying, exchange) => {
+        const exchanges = exchange ? [exchange] : OPTION_EXCHANGES;
+        for (const candidate of exchanges) {
+            const contracts = instruments.filter({ exchange: candidate },
+                instrument => instrument.name === underlying && OPTION_TYPES.includes(instrument.instrumenttype));
+            if (contracts.length > 0) return { exchange: candidate, contracts };
+        }
+        throw httpError(404, `No option contracts for ${underlying}${exchange ? ` on ${exchange}` : ''} in the instrument master.`);
+    };
+
+    // Indices are AMXIDX rows named like the underlying ("NIFTY" -> "Nifty 50"); stocks are the "-EQ" row
+    const findUnderlying = (underlying, optionExchange) => {
+        const cashExchange = SEGMENT_CALENDARS[optionExchange] || 'NSE';
+        const index = instruments.filter({ exchange: cashExchange, instrumenttype: 'AMXIDX' }, instrument => instrument.name === underlying)[0];
+        const instrument = index || instruments.getBySymbol(`${underlying}-EQ`, cashExchange)[0];
+        if (!instrument) throw httpError(404, `Could not find the ${underlying} underlying on ${cashExchange} in the instrument master.`);
+        return instrument;
+    };
+
+    const parseCount = (value) => {
+        if (value === undefined || value === '') return DEFAULT_STRIKES;
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_STRIKES) {
+            throw httpError(400, `strikes must be a whole number between 1 and ${MAX_STRIKES}.`);
+        }
+        return count;
+    };
+
+    const parseRate = (value) => {
+        if (value === undefined || value === '') return DEFAULT_RISK_FREE_RATE;
+        const rate = Number(value);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 20) throw httpError(400, "riskFreeRate must be a percentage between 0 and 20.");
+        return rate;
+    };
+
+    const buildLeg = (instrument, quote, context) => {
+        const { spot, strike, years, rate, sessionDate, exchange } = context;
+        const type = instrument.symbol.slice(-2);
+        const ltp = quote ? num(quote.ltp) : null;
+        const oi = quote ? num(quote.opnInterest) : null;
+        const iv = ltp !== null ? impliedVolatility(type, ltp, spot, strike, years, rate) : null;
+        return {
+            symboltoken: instrument.token,
+            tradingsymbol: instrument.symbol,
+            ltp,
+            close: quote ? num(quote.close) : null,
+            netChange: quote ? num(quote.netChange) : null,
+            percentChange: quote ? num(quote.percentChange) : null,
+            volume: quote ? num(quote.tradeVolume) : null,
+            oi,
+            changeInOi: oi !== null ? observeOi(`${exchange}:${instrument.token}`, oi, sessionDate) : null,
+            iv: iv !== null ? iv * 100 : null,
+            ...(iv !== null ? greeks(type, spot, strike, years, rate, iv) : { delta: null, gamma: null, theta: null, vega: null, rho: null })
+        };
+    };
+
+    // Assembles the chain for one expiry from the instrument master; the strikes around the ATM are returned priced
+    const getChain = async ({ underlying, expiry, exchange, strikes, riskFreeRate } = {}) => {
+        if (!instruments.isLoaded()) throw httpError(503, "Instrument master is not loaded yet.");
+        if (!underlying) throw httpError(400, "underlying is required.");
+        const name = String(underlying).trim().toUpperCase();
+        const optionExchange = exchange ? String(exchange).toUpperCase() : undefined;
+        if (optionExchange && !OPTION_EXCHANGES.includes(optionExchange)) {
+            throw httpError(400, `exchange must be one of ${OPTION_EXCHANGES.join(', ')}.`);
+        }
+        const count = parseCount(strikes);
+        const ratePercent = parseRate(riskFreeRate);
+
+        const found = findContracts(name, optionExchange);
+        const now = Date.now();
+        const today = formatIstDate(now).slice(0, 10);
+        const expiries = [...new Set(found.contracts.map(contract => contract.expiry))]
+            .map(code => ({ code, date: expiryToIsoDate(code) }))
+            .filter(({ date }) => date && date >= today)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (expiries.length === 0) throw httpError(404, `No unexpired ${name} option contracts on ${found.exchange}.`);
+
+        const selected = expiry ? expiries.find(({ code }) => code === normalizeExpiry(expiry)) : expiries[0];
+        if (!selected) {
+            throw httpError(400, `No ${name} options expire on ${expiry}; available: ${expiries.map(({ code }) => code).join(', ')}.`);
+        }
+
+        const underlyingInstrument = findUnderlying(name, found.exchange);
+        const snapshot = await priceService.getPriceSnapshot({ exchange: underlyingInstrument.exch_seg, symboltoken: underlyingInstrument.token });
+        if (!snapshot || snapshot.currentPrice === null) throw httpError(503, `No price available for ${underlyingInstrument.symbol}.`);
+        const spot = snapshot.currentPrice;
+
+        const byStrike = new Map();
+        for (const contract of found.contracts) {
+            if (contract.expiry !== selected.code) continue;
+            const strike = strikeOf(contract);
+            if (!byStrike.has(strike)) byStrike.set(strike, {});
+            byStrike.get(strike)[contract.symbol.slice(-2)] = contract;
+        }
+        const allStrikes = [...byStrike.keys()].sort((a, b) => a - b);
+        const atmIndex = allStrikes.reduce((best, strike, i) => (Math.abs(strike - spot) < Math.abs(allStrikes[best] - spot) ? i : best), 0);
+        const window = allStrikes.slice(Math.max(atmIndex - count, 0), atmIndex + count + 1);
+
+        // Every strike is quoted, not just the window returned, so PCR and max pain describe the whole expiry
+        const tokens = allStrikes.flatMap(strike => Object.values(byStrike.get(strike)).map(contract => contract.token));
+        const quotes = await quotesFor(found.exchange, selected.code, tokens);
+
+        await load();
+        const sessionDate = calendar.latestSessionDate(now, found.exchange);
+        const expiresAt = parseIstDate(`${selected.date} ${EXPIRY_TIME}`);
+        const years = Math.max(expiresAt - now, 0) / YEAR_MS;
+        const rate = ratePercent / 100;
+
+        const rows = window.map(strike => {
+            const legs = byStrike.get(strike);
+            const context = { spot, strike, years, rate, sessionDate, exchange: found.exchange };
+            const row = { strike };
+            for (const type of ['CE', 'PE']) {
+                row[type] = legs[type] ? buildLeg(legs[type], quotes.get(String(legs[type].token)), context) : null;
+            }
+            return row;
+        });
+        pruneBaselines(sessionDate);
+        await save();
+
+        const oiRows = allStrikes.map(strike => {
+            const legs = byStrike.get(strike);
+            const row = { strike };
+            for (const type of ['CE', 'PE']) {
+                const quote = legs[type] ? quotes.get(String(legs[type].token)) : null;
+                row[type] = quote ? { oi: num(quote.opnInterest), volume: num(quote.tradeVolume) } : null;
+            }
+            return row;
+        });
+
+        const anyContract = Object.values(byStrike.get(allStrikes[atmIndex]))[0];
+        return {
+            underlying: name,
+            exchange: found.exchange,
+            expiry: selected.code,
+            expiryDate: selected.date,
+            expiries: expiries.map(({ code }) => code),
+            daysToExpiry: years * 365,
+            lotSize: parseInt(anyContract.lotsize, 10) || null,
+            riskFreeRate: ratePercent,
+            spot: {
+                exchange: underlyingInstrument.exch_seg,
+                symboltoken: underlyingInstrument.token,
+                symbol: underlyingInstrument.symbol,
+                price: spot,
+                isLive: snapshot.isLive
+            },
+            atmStrike: allStrikes[atmIndex],
+            totalStrikes: allStrikes.length,
+            strikes: rows,
+            summary: summarize(oiRows)
+        };
+    };
+
+    return { getChain };
+};
+
+module.exports = { createOptionChainService };
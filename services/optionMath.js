@@ -0,0 +1,80 @@
+// services/optionMath.js
+
+// Black-Scholes for European options on a non-dividend-paying underlying. Rates and volatility are annual
+// decimals (0.065, 0.18); time is in years.
+
+const IV_MIN = 0.0001;
+const IV_MAX = 5;
+const IV_TOLERANCE = 1e-6;
+const IV_MAX_ITERATIONS = 100;
+
+const normPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+// Abramowitz & Stegun 26.2.17, accurate to about 7.5e-8
+const normCdf = (x) => {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+};
+
+const d1d2 = (spot, strike, time, rate, volatility) => {
+    const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * time) / (volatility * Math.sqrt(time));
+    return [d1, d1 - volatility * Math.sqrt(time)];
+};
+
+// `type` is 'CE' (call) or 'PE' (put)
+const optionPrice = (type, spot, strike, time, rate, volatility) => {
+    if (time <= 0 || volatility <= 0) {
+        return Math.max(type === 'CE' ? spot - strike : strike - spot, 0);
+    }
+    const [d1, d2] = d1d2(spot, strike, time, rate, volatility);
+    const discountedStrike = strike * Math.exp(-rate * time);
+    return type === 'CE'
+        ? spot * normCdf(d1) - discountedStrike * normCdf(d2)
+        : discountedStrike * normCdf(-d2) - spot * normCdf(-d1);
+};
+
+// Theta is per calendar day, vega and rho per one percentage point
+const greeks = (type, spot, strike, time, rate, volatility) => {
+    const [d1, d2] = d1d2(spot, strike, time, rate, volatility);
+    const sqrtTime = Math.sqrt(time);
+    const discount = Math.exp(-rate * time);
+    const decay = -spot * normPdf(d1) * volatility / (2 * sqrtTime);
+    const isCall = type === 'CE';
+    return {
+        delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+        gamma: normPdf(d1) / (spot * volatility * sqrtTime),
+        theta: (isCall
+            ? decay - rate * strike * discount * normCdf(d2)
+            : decay + rate * strike * discount * normCdf(-d2)) / 365,
+        vega: spot * normPdf(d1) * sqrtTime / 100,
+        rho: (isCall ? strike * time * discount * normCdf(d2) : -strike * time * discount * normCdf(-d2)) / 100
+    };
+};
+
+// Newton-Raphson from 30%, falling back to bisection when vega vanishes or a step leaves the bracket.
+// Returns null when the price is below intrinsic value or above what any volatility could explain.
+const impliedVolatility = (type, price, spot, strike, time, rate) => {
+    if (!(price > 0) || !(spot > 0) || !(strike > 0) || !(time > 0)) return null;
+    const intrinsic = Math.max(type === 'CE' ? spot - strike * Math.exp(-rate * time) : strike * Math.exp(-rate * time) - spot, 0);
+    if (price < intrinsic - IV_TOLERANCE || price > optionPrice(type, spot, strike, time, rate, IV_MAX)) return null;
+
+    let low = IV_MIN;
+    let high = IV_MAX;
+    let volatility = 0.3;
+    for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+        const difference = optionPrice(type, spot, strike, time, rate, volatility) - price;
+        if (Math.abs(difference) < IV_TOLERANCE) return volatility;
+        if (difference > 0) high = volatility;
+        else low = volatility;
+
+        const vega = spot * normPdf(d1d2(spot, strike, time, rate, volatility)[0]) * Math.sqrt(time);
+        const next = vega > 1e-8 ? volatility - difference / vega : NaN;
+        volatility = next > low && next < high ? next : (low + high) / 2;
+        if (high - low < IV_TOLERANCE) return volatility;
+    }
+    return volatility;
+};
+
+module.exports = { normCdf, optionPrice, greeks, impliedVolatility };
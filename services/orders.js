@@ -0,0 +1,156 @@
+// services/orders.js
+
+const { httpError } = require('./errors');
+
+const VARIETIES = ['NORMAL', 'AMO', 'STOPLOSS', 'ROBO'];
+const TRANSACTION_TYPES = ['BUY', 'SELL'];
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOPLOSS_LIMIT', 'STOPLOSS_MARKET'];
+const PRODUCT_TYPES = ['DELIVERY', 'CARRYFORWARD', 'MARGIN', 'INTRADAY', 'BO'];
+const DURATIONS = ['DAY', 'IOC'];
+
+const CASH_SEGMENTS = ['NSE', 'BSE'];
+const DERIVATIVE_SEGMENTS = ['NFO', 'BFO', 'MCX', 'CDS', 'NCDEX'];
+
+const oneOf = (field, value, allowed) => {
+    const normalized = String(value || '').toUpperCase();
+    if (!allowed.includes(normalized)) {
+        throw httpError(400, `${field} must be one of ${allowed.join(', ')}.`);
+    }
+    return normalized;
+};
+
+const positiveNumber = (field, value, { required = true } = {}) => {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw httpError(400, `${field} is required.`);
+        return 0;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw httpError(400, `${field} must be a non-negative number.`);
+    if (required && number === 0) throw httpError(400, `${field} must be greater than zero.`);
+    return number;
+};
+
+// The scrip master stores tick_size in paise ("5.000000" is ₹0.05)
+const tickSizeOf = (instrument) => {
+    const paise = parseFloat(instrument.tick_size);
+    return Number.isFinite(paise) && paise > 0 ? paise / 100 : null;
+};
+
+const isMultipleOf = (value, step) => {
+    const ratio = value / step;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+};
+
+// Validates an order body against the instrument master and returns the payload Angel One expects
+const buildOrderPayload = (instruments, body, { requireAll = true } = {}) => {
+    if (!instruments.isLoaded()) throw httpError(503, "Instrument master is not loaded yet; orders cannot be validated.");
+
+    const exchange = String(body.exchange || '').toUpperCase();
+    const instrument = instruments.getByToken(exchange, body.symboltoken);
+    if (!instrument) throw httpError(400, `Instrument ${exchange}:${body.symboltoken} not found in the instrument master.`);
+    if (body.tradingsymbol && body.tradingsymbol !== instrument.symbol) {
+        throw httpError(400, `tradingsymbol ${body.tradingsymbol} does not match token ${body.symboltoken} (${instrument.symbol}).`);
+    }
+
+    const variety = oneOf('variety', body.variety || 'NORMAL', VARIETIES);
+    const ordertype = oneOf('ordertype', body.ordertype, ORDER_TYPES);
+    const producttype = oneOf('producttype', body.producttype, PRODUCT_TYPES);
+    const duration = oneOf('duration', body.duration || 'DAY', DURATIONS);
+    const transactiontype = requireAll ? oneOf('transactiontype', body.transactiontype, TRANSACTION_TYPES) : undefined;
+
+    if (producttype === 'DELIVERY' && !CASH_SEGMENTS.includes(exchange)) {
+        throw httpError(400, `DELIVERY orders are only allowed on ${CASH_SEGMENTS.join('/')}, not ${exchange}.`);
+    }
+    if (producttype === 'CARRYFORWARD' && !DERIVATIVE_SEGMENTS.includes(exchange)) {
+        throw httpError(400, `CARRYFORWARD orders are only allowed on derivative segments, not ${exchange}.`);
+    }
+    if ((variety === 'ROBO') !== (producttype === 'BO')) {
+        throw httpError(400, "Bracket orders need variety ROBO with producttype BO.");
+    }
+
+    const quantity = positiveNumber('quantity', body.quantity);
+    const lotSize = parseInt(instrument.lotsize, 10) || 1;
+    if (!Number.isInteger(quantity) || quantity % lotSize !== 0) {
+        throw httpError(400, `quantity must be a whole multiple of the lot size (${lotSize}) for ${instrument.symbol}.`);
+    }
+
+    const price = positiveNumber('price', body.price, { required: ordertype === 'LIMIT' || ordertype === 'STOPLOSS_LIMIT' });
+    const triggerprice = positiveNumber('triggerprice', body.triggerprice, { required: ordertype.startsWith('STOPLOSS') });
+    if (ordertype.startsWith('STOPLOSS') && variety !== 'STOPLOSS') {
+        throw httpError(400, `${ordertype} orders need variety STOPLOSS.`);
+    }
+    if (ordertype === 'MARKET' && price !== 0) {
+        throw httpError(400, "MARKET orders must not carry a price.");
+    }
+
+    const tickSize = tickSizeOf(instrument);
+    for (const [field, value] of [['price', price], ['triggerprice', triggerprice]]) {
+        if (value > 0 && tickSize && !isMultipleOf(value, tickSize)) {
+            throw httpError(400, `${field} ${value} is not a multiple of the tick size (${tickSize}) for ${instrument.symbol}.`);
+        }
+    }
+
+    const payload = {
+        variety,
+        tradingsymbol: instrument.symbol,
+        symboltoken: instrument.token,
+        exchange,
+        ordertype,
+        producttype,
+        duration,
+        price: String(price),
+        triggerprice: String(triggerprice),
+        quantity: String(quantity)
+    };
+    if (transactiontype) payload.transactiontype = transactiontype;
+
+    if (variety === 'ROBO') {
+        const squareoff = positiveNumber('squareoff', body.squareoff);
+        const stoploss = positiveNumber('stoploss', body.stoploss);
+        const trailingStopLoss = positiveNumber('trailingStopLoss', body.trailingStopLoss, { required: false });
+        payload.squareoff = String(squareoff);
+        payload.stoploss = String(stoploss);
+        if (trailingStopLoss > 0) payload.trailingStopLoss = String(trailingStopLoss);
+    }
+    return payload;
+};
+
+// Rejections come back from the Angel One client as httpErrors carrying `errorcode` (422 unless the code says otherwise)
+const createOrderService = ({ angel, instruments }) => {
+    const validatePlaceOrder = (body) => buildOrderPayload(instruments, body);
+
+    const validateModifyOrder = (orderid, body) => {
+        if (!orderid) throw httpError(400, "orderid is required.");
+        return { ...buildOrderPayload(instruments, body, { requireAll: false }), orderid: String(orderid) };
+    };
+
+    const validateCancelOrder = (orderid, variety) => {
+        if (!orderid) throw httpError(400, "orderid is required.");
+        return { orderid: String(orderid), variety: oneOf('variety', variety || 'NORMAL', VARIETIES) };
+    };
+
+    // Callers validate first so that only well-formed payloads go upstream
+    const placeOrder = (payload) => angel.call('placeOrder', { data: payload });
+    const modifyOrder = (payload) => angel.call('modifyOrder', { data: payload });
+    const cancelOrder = (payload) => angel.call('cancelOrder', { data: payload });
+
+    const getOrderBook = async () => (await angel.call('getOrderBook')) || [];
+    const getTradeBook = async () => (await angel.call('getTradeBook')) || [];
+    const getPositions = async () => (await angel.call('getPosition')) || [];
+    const getOrderStatus = (uniqueorderid) => angel.call('orderDetails', { pathSuffix: encodeURIComponent(uniqueorderid) });
+
+    return {
+        validatePlaceOrder,
+        validateModifyOrder,
+        validateCancelOrder,
+        placeOrder,
+        modifyOrder,
+        cancelOrder,
+        getOrderBook,
+        getTradeBook,
+        getPositions,
+        getOrderStatus
+    };
+};
+
+module.exports = { createOrderService, buildOrderPayload };
@@ -0,0 +1,163 @@
+// services/portfolio.js
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const num = (value) => parseFloat(value) || 0;
+
+// The scrip master leaves instrumenttype empty for cash-segment stocks
+const instrumentTypeOf = (instrument) => (instrument && instrument.instrumenttype) || 'EQUITY';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The scrip master carries no sector, so sectors come from the operator: a JSON object mapping an underlying's name
+// ("SBIN", "NIFTY") or an "EXCHANGE:token" to its sector. Derivatives take their underlying's sector.
+const UNCLASSIFIED_SECTOR = 'UNCLASSIFIED';
+
+const loadSectorFile = (filePath) => {
+    if (!filePath) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.warn("Could not read the sector map; every instrument will be unclassified.", { filePath, error: error.message });
+        return {};
+    }
+};
+
+// Angel One splits each side of a position into today's trades and what was carried forward from earlier sessions
+const sideOf = (position, side) => {
+    const dayQty = num(position[`${side}qty`]);
+    const carriedQty = num(position[`cf${side}qty`]);
+    const quantity = dayQty + carriedQty;
+    const averagePrice = quantity > 0
+        ? (dayQty * num(position[`${side}avgprice`]) + carriedQty * num(position[`cf${side}avgprice`])) / quantity
+        : 0;
+    return { quantity, averagePrice };
+};
+
+// LTP and day change come from the price service (same netChange/percentChange as /api/stock-analysis);
+// Angel One's own ltp field is the fallback when no price is available at all
+const priceOf = (row, snapshot) => {
+    if (!snapshot || snapshot.currentPrice === null) return { ltp: num(row.ltp), netChange: 0, percentChange: 0 };
+    return { ltp: snapshot.currentPrice, netChange: snapshot.netChange || 0, percentChange: snapshot.percentChange || 0 };
+};
+
+const createPortfolioService = ({ angel, orders, priceService, instruments, sectors = {} }) => {
+    const sectorMap = new Map(Object.entries(sectors).map(([key, sector]) => [key.toUpperCase(), String(sector)]));
+    const getHoldings = async () => (await angel.call('getHolding')) || [];
+    const getPositions = () => orders.getPositions();
+    const getFunds = async () => (await angel.call('getRMS')) || {};
+
+    const enrichHolding = (holding, snapshot) => {
+        const quantity = num(holding.quantity) + num(holding.t1quantity);
+        const averagePrice = num(holding.averageprice);
+        const { ltp, netChange, percentChange } = priceOf(holding, snapshot);
+        return {
+            kind: 'holding',
+            exchange: holding.exchange,
+            symboltoken: holding.symboltoken,
+            tradingsymbol: holding.tradingsymbol,
+            quantity,
+            averagePrice,
+            ltp,
+            netChange,
+            percentChange,
+            dayChange: round2(netChange * quantity),
+            investedValue: round2(averagePrice * quantity),
+            marketValue: round2(ltp * quantity),
+            unrealizedPnl: round2((ltp - averagePrice) * quantity),
+            realizedPnl: 0
+        };
+    };
+
+    // Realized P&L covers the quantity both bought and sold, carried-forward quantities included; the rest is marked
+    // to LTP at the average price of its side
+    const enrichPosition = (position, snapshot) => {
+        const multiplier = num(position.multiplier) > 0 ? num(position.multiplier) : 1;
+        const buy = sideOf(position, 'buy');
+        const sell = sideOf(position, 'sell');
+        const netQty = num(position.netqty);
+        const { ltp, netChange, percentChange } = priceOf(position, snapshot);
+        const openAvg = netQty > 0 ? buy.averagePrice : sell.averagePrice;
+        return {
+            kind: 'position',
+            exchange: position.exchange,
+            symboltoken: position.symboltoken,
+            tradingsymbol: position.tradingsymbol,
+            producttype: position.producttype,
+            quantity: netQty,
+            averagePrice: openAvg,
+            ltp,
+            netChange,
+            percentChange,
+            dayChange: round2(netChange * netQty * multiplier),
+            investedValue: round2(Math.abs(openAvg * netQty) * multiplier),
+            marketValue: round2(Math.abs(ltp * netQty) * multiplier),
+            unrealizedPnl: round2((ltp - openAvg) * netQty * multiplier),
+            realizedPnl: round2((sell.averagePrice - buy.averagePrice) * Math.min(buy.quantity, sell.quantity) * multiplier)
+        };
+    };
+
+    const sectorOf = (row) => {
+        const instrument = instruments.getByToken(row.exchange, row.symboltoken);
+        return sectorMap.get(`${row.exchange}:${row.symboltoken}`.toUpperCase())
+            || (instrument && sectorMap.get(String(instrument.name).toUpperCase()))
+            || UNCLASSIFIED_SECTOR;
+    };
+
+    const allocate = (rows, keyOf) => {
+        const total = rows.reduce((sum, row) => sum + row.marketValue, 0);
+        const groups = {};
+        for (const row of rows) {
+            const key = keyOf(row);
+            groups[key] = (groups[key] || 0) + row.marketValue;
+        }
+        return Object.entries(groups)
+            .map(([key, value]) => ({ key, value: round2(value), percent: total > 0 ? round2(value / total * 100) : 0 }))
+            .sort((a, b) => b.value - a.value);
+    };
+
+    const getSummary = async () => {
+        const [holdings, positions, funds] = await Promise.all([getHoldings(), getPositions(), getFunds()]);
+
+        // One batched quote call covers every instrument held
+        const instrumentsHeld = new Map();
+        for (const row of [...holdings, ...positions]) {
+            instrumentsHeld.set(`${row.exchange}:${row.symboltoken}`, { exchange: row.exchange, symboltoken: row.symboltoken });
+        }
+        const snapshots = instrumentsHeld.size > 0 ? await priceService.getPriceSnapshots([...instrumentsHeld.values()]) : new Map();
+        const snapshotOf = (row) => snapshots.get(`${row.exchange}:${row.symboltoken}`);
+
+        const enrichedHoldings = holdings.map(holding => enrichHolding(holding, snapshotOf(holding)));
+        const enrichedPositions = positions.map(position => enrichPosition(position, snapshotOf(position)));
+        const rows = [...enrichedHoldings, ...enrichedPositions];
+        const openRows = rows.filter(row => row.quantity !== 0);
+        const sum = (field) => round2(rows.reduce((total, row) => total + row[field], 0));
+
+        return {
+            holdings: enrichedHoldings,
+            positions: enrichedPositions,
+            totals: {
+                investedValue: sum('investedValue'),
+                marketValue: sum('marketValue'),
+                dayChange: sum('dayChange'),
+                unrealizedPnl: sum('unrealizedPnl'),
+                realizedPnl: sum('realizedPnl')
+            },
+            allocation: {
+                byInstrumentType: allocate(openRows, row => instrumentTypeOf(instruments.getByToken(row.exchange, row.symboltoken))),
+                bySector: allocate(openRows, sectorOf),
+                byExchange: allocate(openRows, row => row.exchange)
+            },
+            funds: {
+                net: num(funds.net),
+                availableCash: num(funds.availablecash),
+                utilisedDebits: num(funds.utiliseddebits)
+            }
+        };
+    };
+
+    return { getHoldings, getPositions, getFunds, getSummary };
+};
+
+module.exports = { createPortfolioService, loadSectorFile };
@@ -0,0 +1,88 @@
+// services/pricing.js
+
+const { formatIstDate } = require('./candles');
+const { logger } = require('./logger');
+
+// netChange/percentChange exactly as /api/stock-analysis has always reported them
+const computeChange = (currentPrice, previousClose) => {
+    if (currentPrice === null || previousClose === null || previousClose === 0) {
+        return { netChange: 0, percentChange: 0 };
+    }
+    const netChange = currentPrice - previousClose;
+    return { netChange, percentChange: (netChange / previousClose) * 100 };
+};
+
+// Live LTP against the previous session's close while the exchange is open; otherwise the last two daily closes
+const createPriceService = ({ quoteService, candleStore, calendar }) => {
+    // The latest session and the two before it: one spare in case a holiday is missing from the calendar
+    const recentDailyCandles = (exchange, symboltoken) => {
+        const now = Date.now();
+        const latest = calendar.latestSessionDate(now, exchange);
+        return candleStore.getCandles({
+            exchange, symboltoken, timeframe: 'ONE_DAY',
+            fromdate: calendar.previousTradingDay(calendar.previousTradingDay(latest, exchange), exchange),
+            todate: formatIstDate(now).slice(0, 10)
+        });
+    };
+
+    const fromCandles = (candles, ltp) => {
+        const today = formatIstDate(Date.now()).slice(0, 10);
+        const volume = candles.length > 0 ? candles[candles.length - 1].volume : null;
+        if (ltp !== undefined && ltp !== null) {
+            const previous = candles.filter(c => formatIstDate(Date.parse(c.time)).slice(0, 10) < today).pop();
+            const previousClose = previous ? previous.close : null;
+            return { currentPrice: ltp, previousClose, isLive: true, volume, ...computeChange(ltp, previousClose) };
+        }
+        if (candles.length === 0) {
+            return { currentPrice: null, previousClose: null, isLive: false, volume, netChange: null, percentChange: null };
+        }
+        const currentPrice = candles[candles.length - 1].close;
+        const previousClose = candles.length > 1 ? candles[candles.length - 2].close : null;
+        return { currentPrice, previousClose, isLive: false, volume, ...computeChange(currentPrice, previousClose) };
+    };
+
+    // Snapshots for many instruments with one (batched) LTP quote call: [{ exchange, symboltoken }] -> Map "EXCHANGE:token" -> snapshot.
+    // Only instruments whose exchange is in session are quoted, unless `live` forces the choice either way.
+    const getPriceSnapshots = async (items, { live } = {}) => {
+        const now = Date.now();
+        const exchangeTokens = {};
+        for (const { exchange, symboltoken } of items) {
+            if (!(live !== undefined ? live : calendar.isOpen(now, exchange))) continue;
+            if (!exchangeTokens[exchange]) exchangeTokens[exchange] = [];
+            exchangeTokens[exchange].push(String(symboltoken));
+        }
+
+        const ltps = new Map();
+        if (Object.keys(exchangeTokens).length > 0) {
+            try {
+                for (const quote of await quoteService.getQuotes('LTP', exchangeTokens)) {
+                    if (quote.ltp !== undefined && quote.ltp !== null) ltps.set(`${quote.exchange}:${quote.symbolToken}`, quote.ltp);
+                }
+            } catch (quoteError) {
+                logger.warn("Live LTP fetch failed, falling back to the last available close from historical data.", { error: quoteError.message });
+            }
+        }
+
+        const snapshots = new Map();
+        for (const { exchange, symboltoken } of items) {
+            const key = `${exchange}:${symboltoken}`;
+            let candles = [];
+            try {
+                candles = await recentDailyCandles(exchange, symboltoken);
+            } catch (candleError) {
+                logger.error("Could not load recent candles.", { instrument: key, error: candleError.message });
+            }
+            snapshots.set(key, fromCandles(candles, ltps.get(key)));
+        }
+        return snapshots;
+    };
+
+    const getPriceSnapshot = async ({ exchange, symboltoken }, options) => {
+        const snapshots = await getPriceSnapshots([{ exchange, symboltoken }], options);
+        return snapshots.get(`${exchange}:${symboltoken}`);
+    };
+
+    return { getPriceSnapshot, getPriceSnapshots };
+};
+
+module.exports = { createPriceService, computeChange };
@@ -0,0 +1,40 @@
+// services/quotes.js
+
+// getQuote accepts at most 50 tokens per call across all exchanges
+const MAX_TOKENS_PER_QUOTE = 50;
+
+// Splits { NSE: [...], BSE: [...] } into payloads of at most `size` tokens each
+const batchExchangeTokens = (exchangeTokens, size = MAX_TOKENS_PER_QUOTE) => {
+    const pairs = [];
+    for (const [exchange, tokens] of Object.entries(exchangeTokens)) {
+        for (const token of tokens) pairs.push([exchange, String(token)]);
+    }
+    const batches = [];
+    for (let i = 0; i < pairs.length; i += size) {
+        const batch = {};
+        for (const [exchange, token] of pairs.slice(i, i + size)) {
+            if (!batch[exchange]) batch[exchange] = [];
+            batch[exchange].push(token);
+        }
+        batches.push(batch);
+    }
+    return batches;
+};
+
+const createQuoteService = ({ angel }) => {
+    // Returns the `fetched` quotes from every batch; batches run one after another to respect rate limits
+    const getQuotes = async (mode, exchangeTokens) => {
+        const quotes = [];
+        for (const batch of batchExchangeTokens(exchangeTokens)) {
+            const data = await angel.call('getQuote', { data: { mode, exchangeTokens: batch } });
+            // getQuote answers with { fetched, unfetched }; older responses were a bare array
+            const fetched = Array.isArray(data) ? data : (data && Array.isArray(data.fetched) ? data.fetched : []);
+            quotes.push(...fetched);
+        }
+        return quotes;
+    };
+
+    return { getQuotes };
+};
+
+module.exports = { createQuoteService, batchExchangeTokens, MAX_TOKENS_PER_QUOTE };
@@ -0,0 +1,36 @@
+// services/rateLimiter.js
+
+// Angel One answers over-limit calls with HTTP 429 or "Access denied because of exceeding access rate".
+// Wrapped errors keep the original as `cause`.
+const isRateLimited = (error) => {
+    if (!error) return false;
+    if (error.response && error.response.status === 429) return true;
+    const text = error.response ? JSON.stringify(error.response.data) : error.message;
+    return /access rate/i.test(String(text)) || isRateLimited(error.cause);
+};
+
+// Spaces calls out so that no more than `perSecond` start in any one-second window
+const createRateLimiter = ({ perSecond }) => {
+    const intervalMs = 1000 / perSecond;
+    let nextSlot = 0;
+    let waiting = 0;
+
+    const schedule = async (fn) => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + intervalMs;
+        if (slot > now) {
+            waiting += 1;
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+            waiting -= 1;
+        }
+        return fn();
+    };
+
+    // Calls queued behind the limit and not yet started
+    const pending = () => waiting;
+
+    return { schedule, pending };
+};
+
+module.exports = { createRateLimiter, isRateLimited };
@@ -0,0 +1,234 @@
+// services/risk.js
+
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'risk.json');
+// Only the most recent rejections are kept on disk
+const MAX_RECORDED_REJECTIONS = 1000;
+
+// A null limit disables that check
+const DEFAULT_LIMITS = {
+    maxQuantityPerOrder: 5000,
+    maxNotionalPerOrder: 1000000,
+    maxDailyLoss: 50000,
+    maxOpenPositions: 20,
+    priceBandPercent: 5,
+    allowSymbols: [],
+    denySymbols: []
+};
+
+const NUMERIC_LIMITS = ['maxQuantityPerOrder', 'maxNotionalPerOrder', 'maxDailyLoss', 'maxOpenPositions', 'priceBandPercent'];
+
+// Mark-to-market P&L of the day's positions: what was sold, minus what was bought, plus what is still held at LTP
+const positionPnl = (position) => {
+    const sold = parseFloat(position.sellamount) || 0;
+    const bought = parseFloat(position.buyamount) || 0;
+    const netQty = parseInt(position.netqty, 10) || 0;
+    const ltp = parseFloat(position.ltp) || parseFloat(position.avgnetprice) || 0;
+    return sold - bought + netQty * ltp;
+};
+
+const createRiskEngine = ({ priceService, orders, instruments, filePath = DEFAULT_FILE_PATH }) => {
+    let state = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, {}).then(stored => {
+                state = {
+                    limits: { ...DEFAULT_LIMITS, ...stored.limits },
+                    killSwitch: stored.killSwitch || { enabled: false, reason: null, updatedAt: null },
+                    rejections: stored.rejections || []
+                };
+                return state;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, state));
+        return writeQueue;
+    };
+
+    const matchesSymbol = (list, payload) => {
+        const instrument = instruments.getByToken(payload.exchange, payload.symboltoken);
+        const candidates = [
+            payload.tradingsymbol,
+            `${payload.exchange}:${payload.symboltoken}`,
+            instrument && instrument.name
+        ].filter(Boolean).map(value => value.toUpperCase());
+        return list.some(entry => candidates.includes(String(entry).toUpperCase()));
+    };
+
+    const checkPositions = async (limits, payload, reject) => {
+        if (limits.maxDailyLoss === null && limits.maxOpenPositions === null) return;
+        let positions;
+        try {
+            positions = await orders.getPositions();
+        } catch (error) {
+            // Without positions the loss and exposure limits can't be enforced, so fail closed
+            return reject('RISK_DATA_UNAVAILABLE', `Could not load positions to check loss and position limits: ${error.message}`);
+        }
+
+        if (limits.maxDailyLoss !== null) {
+            const dailyPnl = positions.reduce((sum, position) => sum + positionPnl(position), 0);
+            if (dailyPnl <= -limits.maxDailyLoss) {
+                reject('MAX_DAILY_LOSS', `Today's P&L (${dailyPnl.toFixed(2)}) has reached the daily loss limit of ${limits.maxDailyLoss}.`, { dailyPnl });
+            }
+        }
+        if (limits.maxOpenPositions !== null) {
+            const open = positions.filter(position => (parseInt(position.netqty, 10) || 0) !== 0);
+            const alreadyOpen = open.some(position => position.symboltoken === payload.symboltoken && position.exchange === payload.exchange);
+            if (!alreadyOpen && open.length >= limits.maxOpenPositions) {
+                reject('MAX_OPEN_POSITIONS', `${open.length} positions are already open (limit ${limits.maxOpenPositions}).`, { openPositions: open.length });
+            }
+        }
+    };
+
+    // Whether a modification has to pass the loss and position limits: it does unless all it changes is to lower (or
+    // keep) the quantity, since a larger quantity or a new price opens exposure just as a new order would
+    const modifyAddsExposure = async (limits, payload, reject) => {
+        if (limits.maxDailyLoss === null && limits.maxOpenPositions === null) return false;
+        let book;
+        try {
+            book = await orders.getOrderBook();
+        } catch (error) {
+            reject('RISK_DATA_UNAVAILABLE', `Could not load the order book to check the modification: ${error.message}`);
+            return false;
+        }
+        const original = book.find(order => String(order.orderid) === payload.orderid);
+        if (!original) {
+            reject('ORDER_NOT_FOUND', `Order ${payload.orderid} is not in today's order book; the modification can't be checked.`);
+            return false;
+        }
+        const addedQuantity = Number(payload.quantity) - (parseInt(original.quantity, 10) || 0);
+        const repriced = Number(payload.price) !== (Number(original.price) || 0)
+            || Number(payload.triggerprice) !== (Number(original.triggerprice) || 0);
+        return addedQuantity > 0 || repriced;
+    };
+
+    // Runs every pre-trade check on a validated order payload. Returns { allowed, reasons }; rejections are recorded
+    // against the user who sent the order. The limits and kill switch apply to the whole desk.
+    const evaluate = async (payload, { action = 'place', userId = null } = {}) => {
+        const { limits, killSwitch } = await load();
+        const reasons = [];
+        const reject = (code, message, details = {}) => reasons.push({ code, message, ...details });
+
+        if (killSwitch.enabled) {
+            reject('KILL_SWITCH', `Trading is halted by the kill switch${killSwitch.reason ? `: ${killSwitch.reason}` : ''}.`);
+        }
+        if (limits.denySymbols.length > 0 && matchesSymbol(limits.denySymbols, payload)) {
+            reject('SYMBOL_DENIED', `${payload.tradingsymbol} is on the deny list.`);
+        }
+        if (limits.allowSymbols.length > 0 && !matchesSymbol(limits.allowSymbols, payload)) {
+            reject('SYMBOL_NOT_ALLOWED', `${payload.tradingsymbol} is not on the allow list.`);
+        }
+
+        const quantity = Number(payload.quantity);
+        if (limits.maxQuantityPerOrder !== null && quantity > limits.maxQuantityPerOrder) {
+            reject('MAX_QUANTITY', `Quantity ${quantity} exceeds the per-order limit of ${limits.maxQuantityPerOrder}.`);
+        }
+
+        if (limits.maxNotionalPerOrder !== null || limits.priceBandPercent !== null) {
+            const { currentPrice } = await priceService.getPriceSnapshot({ exchange: payload.exchange, symboltoken: payload.symboltoken });
+            if (currentPrice === null || currentPrice === undefined) {
+                reject('PRICE_UNAVAILABLE', `No current price for ${payload.tradingsymbol}; price band and notional limits can't be checked.`);
+            } else {
+                const price = Number(payload.price) || 0;
+                const triggerprice = Number(payload.triggerprice) || 0;
+                const notional = quantity * (price || triggerprice || currentPrice);
+                if (limits.maxNotionalPerOrder !== null && notional > limits.maxNotionalPerOrder) {
+                    reject('MAX_NOTIONAL', `Order value ${notional.toFixed(2)} exceeds the per-order limit of ${limits.maxNotionalPerOrder}.`, { notional });
+                }
+                if (limits.priceBandPercent !== null) {
+                    for (const [field, value] of [['price', price], ['triggerprice', triggerprice]]) {
+                        if (!value) continue;
+                        const deviation = Math.abs(value - currentPrice) / currentPrice * 100;
+                        if (deviation > limits.priceBandPercent) {
+                            reject('PRICE_BAND', `${field} ${value} is ${deviation.toFixed(2)}% away from LTP ${currentPrice} (band ${limits.priceBandPercent}%).`, { ltp: currentPrice });
+                        }
+                    }
+                }
+            }
+        }
+
+        if (action === 'place' || (action === 'modify' && await modifyAddsExposure(limits, payload, reject))) {
+            await checkPositions(limits, payload, reject);
+        }
+
+        if (reasons.length > 0) {
+            state.rejections.push({
+                at: new Date().toISOString(),
+                userId,
+                action,
+                order: {
+                    exchange: payload.exchange,
+                    tradingsymbol: payload.tradingsymbol,
+                    transactiontype: payload.transactiontype,
+                    ordertype: payload.ordertype,
+                    quantity: payload.quantity,
+                    price: payload.price
+                },
+                reasons
+            });
+            state.rejections = state.rejections.slice(-MAX_RECORDED_REJECTIONS);
+            await save();
+            logger.warn("Risk check rejected an order.", { action, tradingsymbol: payload.tradingsymbol, reasons: reasons.map(reason => reason.code) });
+        }
+        return { allowed: reasons.length === 0, reasons };
+    };
+
+    const getLimits = async () => ({ ...(await load()).limits });
+
+    const updateLimits = async (changes) => {
+        const current = await load();
+        const next = { ...current.limits };
+        for (const [key, value] of Object.entries(changes || {})) {
+            if (NUMERIC_LIMITS.includes(key)) {
+                if (value !== null && (!Number.isFinite(Number(value)) || Number(value) < 0)) {
+                    throw httpError(400, `${key} must be a non-negative number or null.`);
+                }
+                next[key] = value === null ? null : Number(value);
+            } else if (key === 'allowSymbols' || key === 'denySymbols') {
+                if (!Array.isArray(value)) throw httpError(400, `${key} must be an array of symbols.`);
+                next[key] = value.map(String);
+            } else {
+                throw httpError(400, `Unknown risk limit "${key}".`);
+            }
+        }
+        current.limits = next;
+        await save();
+        return { ...next };
+    };
+
+    const setKillSwitch = async (enabled, reason) => {
+        const current = await load();
+        current.killSwitch = { enabled: Boolean(enabled), reason: reason || null, updatedAt: new Date().toISOString() };
+        await save();
+        logger.warn(`Kill switch ${enabled ? 'ENABLED' : 'disabled'}.`, { reason: reason || null });
+        return current.killSwitch;
+    };
+
+    const getStatus = async () => {
+        const current = await load();
+        return { limits: current.limits, killSwitch: current.killSwitch, recentRejections: current.rejections.length };
+    };
+
+    // `userId` narrows the list to one user's orders; admins see the whole desk
+    const getRejections = async (limit = 100, userId) => (await load()).rejections
+        .filter(rejection => !userId || rejection.userId === userId)
+        .slice(-limit)
+        .reverse();
+
+    return { evaluate, getLimits, updateLimits, setKillSwitch, getStatus, getRejections };
+};
+
+module.exports = { createRiskEngine, positionPnl, DEFAULT_LIMITS };
@@ -0,0 +1,244 @@
+// services/screener.js
+
+const crypto = require('crypto');
+const { computeIndicators, parseIndicatorSpec } = require('./indicators');
+const { parseRule, createRuleEvaluator, warmupBars } = require('./conditions');
+const { formatIstDate, calendarDaysForBars, MAX_DAYS_PER_REQUEST } = require('./candles');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_UNIVERSE = { exchange: 'NSE', symbolSuffix: '-EQ' };
+const MAX_UNIVERSE_SIZE = 5000;
+// Scans up to this size are answered inline; larger ones return a job to poll
+const INLINE_LIMIT = 50;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_JOBS = 20;
+const MAX_RECORDED_ERRORS = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// "RSI(14)" or "BB(20,2).upper" -> the number to sort on; "symbol" and "close" sort on the row itself
+const sortValue = (row, sort) => {
+    if (sort === 'symbol') return row.symbol || '';
+    if (sort === 'close') return row.close;
+    const [id, field] = sort.split('.');
+    const value = row.values[sort] !== undefined ? row.values[sort] : row.values[id];
+    if (value !== null && typeof value === 'object') return field ? value[field] : null;
+    return value === undefined ? null : value;
+};
+
+const createScreener = ({ instruments, candleStore, watchlists, concurrency = DEFAULT_CONCURRENCY }) => {
+    const jobs = new Map();
+
+    const resolveSymbol = (entry) => {
+        let instrument = null;
+        if (entry && typeof entry === 'object') {
+            instrument = instruments.getByToken(String(entry.exchange || '').toUpperCase(), entry.symboltoken);
+        } else if (typeof entry === 'string') {
+            // "SBIN-EQ" or "NSE:SBIN-EQ"
+            const [exchange, symbol] = entry.includes(':') ? entry.split(':') : [undefined, entry];
+            instrument = instruments.getBySymbol(symbol.trim(), exchange && exchange.trim())[0] || null;
+        }
+        if (!instrument) throw httpError(400, `Unknown symbol ${JSON.stringify(entry)} in universe.symbols.`);
+        return instrument;
+    };
+
+    // A universe is { symbols: [...] }, { watchlist: id } or instrument master filters { exchange, instrumenttype, symbolSuffix }
+    const resolveUniverse = async (universe = DEFAULT_UNIVERSE, user) => {
+        if (!instruments.isLoaded()) throw httpError(503, "Instrument master is not loaded yet.");
+        let rows;
+        if (Array.isArray(universe.symbols)) {
+            rows = universe.symbols.map(resolveSymbol);
+        } else if (universe.watchlist) {
+            const watchlist = await watchlists.get(universe.watchlist, user);
+            rows = watchlist.items.map(item => instruments.getByToken(item.exchange, item.symboltoken)).filter(Boolean);
+        } else {
+            const { exchange, instrumenttype, symbolSuffix } = universe;
+            if (!exchange) throw httpError(400, "universe needs symbols, a watchlist or an exchange filter.");
+            const suffix = symbolSuffix ? String(symbolSuffix).toUpperCase() : null;
+            rows = instruments.filter({ exchange, instrumenttype }, instrument => !suffix || instrument.symbol.endsWith(suffix));
+        }
+
+        const seen = new Set();
+        const items = [];
+        for (const row of rows) {
+            const key = `${row.exch_seg}:${row.token}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            items.push({ exchange: row.exch_seg, symboltoken: row.token, symbol: row.symbol, name: row.name });
+        }
+        if (items.length === 0) throw httpError(400, "The universe matched no instruments.");
+        if (items.length > MAX_UNIVERSE_SIZE) {
+            throw httpError(400, `The universe has ${items.length} instruments; narrow it to at most ${MAX_UNIVERSE_SIZE}.`);
+        }
+        return items;
+    };
+
+    const parseScreen = (body) => {
+        const { conditions, columns = [], timeframe = 'ONE_DAY' } = body;
+        if (!MAX_DAYS_PER_REQUEST[timeframe]) throw httpError(400, `Unsupported timeframe "${timeframe}".`);
+        if (!conditions) throw httpError(400, "conditions are required.");
+        if (!Array.isArray(columns)) throw httpError(400, "columns must be an array of indicators.");
+
+        const specs = new Map();
+        const rule = parseRule(conditions, specs, 'conditions');
+        // Extra indicators to report alongside the ones the conditions use
+        for (const column of columns) {
+            const spec = parseIndicatorSpec(column);
+            specs.set(spec.id, spec);
+        }
+        // One bar more than the warm-up so crossesAbove/crossesBelow have a previous reading
+        const lookbackDays = Math.max(calendarDaysForBars(warmupBars([...specs.values()]) + 1, timeframe), 7);
+        return { rule, specs: [...specs.values()], timeframe, lookbackDays };
+    };
+
+    // Throttling is queued and retried by the Angel One client, so an error here is final for this symbol
+    const loadCandles = (item, screen) => {
+        const now = Date.now();
+        return candleStore.getCandles({
+            exchange: item.exchange,
+            symboltoken: item.symboltoken,
+            timeframe: screen.timeframe,
+            fromdate: formatIstDate(now - screen.lookbackDays * DAY_MS),
+            todate: formatIstDate(now)
+        });
+    };
+
+    // Evaluates the conditions on the latest candle; returns the row when it matches, otherwise null
+    const screenOne = async (item, screen) => {
+        const candles = await loadCandles(item, screen);
+        if (candles.length === 0) return null;
+        const computed = computeIndicators(candles, screen.specs, { series: true, intraday: screen.timeframe !== 'ONE_DAY' });
+        const last = candles.length - 1;
+        if (!createRuleEvaluator(candles, computed).holds(screen.rule, last)) return null;
+
+        const values = {};
+        for (const [id, result] of Object.entries(computed)) values[id] = result.value;
+        return { ...item, time: candles[last].time, close: candles[last].close, values };
+    };
+
+    const run = async (job, items, screen) => {
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length && job.status === 'running') {
+                const item = items[next++];
+                try {
+                    const row = await screenOne(item, screen);
+                    if (row) job.results.push(row);
+                } catch (error) {
+                    job.failed += 1;
+                    if (job.errors.length < MAX_RECORDED_ERRORS) job.errors.push({ symbol: item.symbol, status: error.status || 500, errorcode: error.errorcode || null, message: error.message });
+                }
+                job.processed += 1;
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+        if (job.status === 'running') job.status = 'completed';
+        job.finishedAt = new Date().toISOString();
+        logger.info(`Screener job ${job.status}.`, { jobId: job.id, matched: job.results.length, processed: job.processed, failed: job.failed });
+    };
+
+    // Only the most recent jobs are kept; running ones are never evicted
+    const evictOldJobs = () => {
+        for (const [id, job] of jobs) {
+            if (jobs.size <= MAX_JOBS) break;
+            if (job.status !== 'running') jobs.delete(id);
+        }
+    };
+
+    const sortDirection = (sort, order) => ((order || (sort === 'symbol' ? 'asc' : 'desc')) === 'asc' ? 1 : -1);
+
+    // Rows without a value for the sort key go last either way
+    const sortResults = (results, sort, direction) => [...results].sort((a, b) => {
+        const left = sortValue(a, sort);
+        const right = sortValue(b, sort);
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        if (typeof left === 'string') return left.localeCompare(right) * direction;
+        return (left - right) * direction;
+    });
+
+    const describe = (job, { page = 1, limit = DEFAULT_PAGE_SIZE, sort = 'symbol', order } = {}) => {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const direction = sortDirection(sort, order);
+        const sorted = sortResults(job.results, sort, direction);
+
+        const { results, ...status } = job;
+        return {
+            ...status,
+            progressPercent: job.total > 0 ? Math.round(job.processed / job.total * 100) : 100,
+            matched: results.length,
+            results: {
+                total: results.length,
+                page: pageNumber,
+                limit: pageSize,
+                sort,
+                order: direction === 1 ? 'asc' : 'desc',
+                items: sorted.slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+            }
+        };
+    };
+
+    // Validates and starts a scan. Small universes finish before this resolves; large ones keep running as a job,
+    // still under the caller's broker session.
+    const start = async (body = {}, user) => {
+        const screen = parseScreen(body);
+        const items = await resolveUniverse(body.universe, user);
+        const job = {
+            id: crypto.randomUUID(),
+            ownerId: user.id,
+            status: 'running',
+            timeframe: screen.timeframe,
+            indicators: screen.specs.map(spec => spec.id),
+            total: items.length,
+            processed: 0,
+            failed: 0,
+            errors: [],
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            results: []
+        };
+        jobs.set(job.id, job);
+        evictOldJobs();
+
+        const running = run(job, items, screen).catch(error => {
+            job.status = 'failed';
+            job.finishedAt = new Date().toISOString();
+            job.errors.push({ symbol: null, message: error.message });
+        });
+        const inline = items.length <= INLINE_LIMIT;
+        if (inline) await running;
+        return { inline, job: describe(job, body) };
+    };
+
+    const find = (id, ownerId) => {
+        const job = jobs.get(id);
+        if (!job || job.ownerId !== ownerId) throw httpError(404, `Screener job ${id} not found.`);
+        return job;
+    };
+
+    const getJob = (id, ownerId, view) => describe(find(id, ownerId), view);
+
+    // Every match so far in one sorted list, unpaged, for exports
+    const getResults = (id, ownerId, { sort = 'symbol', order } = {}) => {
+        const job = find(id, ownerId);
+        return { job: { id: job.id, status: job.status, timeframe: job.timeframe }, rows: sortResults(job.results, sort, sortDirection(sort, order)) };
+    };
+
+    const listJobs = (ownerId) => [...jobs.values()].filter(job => job.ownerId === ownerId).reverse().map(job => {
+        const { results, errors, ...status } = describe(job);
+        return { ...status, matched: results.total };
+    });
+
+    const cancel = (id, ownerId) => {
+        const job = find(id, ownerId);
+        if (job.status === 'running') job.status = 'cancelled';
+        return describe(job);
+    };
+
+    return { start, getJob, getResults, listJobs, cancel };
+};
+
+module.exports = { createScreener };
@@ -0,0 +1,201 @@
+// services/session.js
+
+const { authenticator } = require('otplib');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+// Renew the JWT this long before it expires
+const REFRESH_LEAD_MS = 5 * 60 * 1000;
+// Used when the JWT carries no readable `exp` claim
+const FALLBACK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// A failed background refresh is retried after 30s, 60s, ... up to 5 minutes apart until the JWT expires
+const REFRESH_RETRY_BASE_MS = 30 * 1000;
+const REFRESH_RETRY_MAX_MS = 5 * 60 * 1000;
+
+const EMPTY_STATE = {
+    clientId: null,
+    apiKey: null,
+    jwtToken: null,
+    feedToken: null,
+    refreshToken: null,
+    profile: null,
+    expiresAt: null,
+    lastRefreshedAt: null
+};
+
+// Reads the `exp` claim (seconds) from a JWT without verifying it
+const decodeTokenExpiry = (jwtToken) => {
+    try {
+        const token = jwtToken.replace(/^Bearer\s+/i, '');
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// One broker login. getCredentials() resolves { clientId, password, totpSecret, apiKey? } at login time; without an
+// apiKey of its own the session uses the server's `defaultApiKey`.
+// Calls go through the shared Angel One client with retryAuth off, since this is what re-authenticates.
+const createSessionManager = ({ angel, getCredentials, defaultApiKey }) => {
+    let state = { ...EMPTY_STATE };
+    let refreshTimer = null;
+    let refreshFailures = 0;
+    // Shared so that concurrent auth failures trigger a single re-authentication
+    let pendingReauth = null;
+    // Bumped by logout, so a login or refresh still in flight can't bring the session back
+    let generation = 0;
+
+    const ensureCurrent = (startedIn) => {
+        if (startedIn !== generation) throw new Error("Logged out while the session was being renewed.");
+    };
+
+    const clearRefreshTimer = () => {
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+            refreshTimer = null;
+        }
+    };
+
+    const scheduleRefresh = (delay = Math.max(state.expiresAt - Date.now() - REFRESH_LEAD_MS, 0)) => {
+        clearRefreshTimer();
+        if (!state.expiresAt) return;
+        refreshTimer = setTimeout(backgroundRefresh, delay);
+        // Don't keep the process alive just for the refresh timer
+        if (refreshTimer.unref) refreshTimer.unref();
+    };
+
+    // Retries with backoff while the JWT is still good; once it has expired the session is dropped, so callers are
+    // told to log in again instead of failing on a dead token
+    const backgroundRefresh = async () => {
+        const startedIn = generation;
+        try {
+            await reauthenticate();
+        } catch (error) {
+            if (startedIn !== generation) return;
+            refreshFailures += 1;
+            const remaining = state.expiresAt - Date.now();
+            if (remaining <= 0) {
+                logger.error("Background session refresh failed and the session has expired.", { clientId: state.clientId, attempts: refreshFailures, error: error.message });
+                clearRefreshTimer();
+                state = { ...EMPTY_STATE };
+                return;
+            }
+            const delay = Math.min(REFRESH_RETRY_BASE_MS * 2 ** (refreshFailures - 1), REFRESH_RETRY_MAX_MS, remaining);
+            logger.warn("Background session refresh failed, retrying.", { clientId: state.clientId, attempts: refreshFailures, delayMs: delay, error: error.message });
+            scheduleRefresh(delay);
+        }
+    };
+
+    const storeTokens = (data) => {
+        state.jwtToken = data.jwtToken;
+        state.feedToken = data.feedToken || state.feedToken;
+        state.refreshToken = data.refreshToken || state.refreshToken;
+        state.expiresAt = decodeTokenExpiry(data.jwtToken) || (Date.now() + FALLBACK_TOKEN_TTL_MS);
+        state.lastRefreshedAt = Date.now();
+        refreshFailures = 0;
+        scheduleRefresh();
+    };
+
+    const fetchProfile = async (startedIn) => {
+        const profile = (await angel.call('getProfile', { session: manager, retryAuth: false })) || {};
+        ensureCurrent(startedIn);
+        state.profile = profile;
+        return state.profile;
+    };
+
+    const login = async () => {
+        const startedIn = generation;
+        const { clientId, password, totpSecret, apiKey } = await getCredentials();
+        ensureCurrent(startedIn);
+        if (!apiKey && !defaultApiKey) {
+            throw httpError(400, "No SmartAPI key is available: save your own apiKey with your Angel One credentials, or configure ANGEL_API_KEY on the server.");
+        }
+        state.clientId = clientId;
+        state.apiKey = apiKey || null;
+        const totp = authenticator.generate(totpSecret);
+        const tokens = await angel.call('login', {
+            session: manager,
+            data: { clientcode: clientId, password: password, totp: totp },
+            retryAuth: false
+        });
+        ensureCurrent(startedIn);
+        storeTokens(tokens);
+        return fetchProfile(startedIn);
+    };
+
+    // Exchanges the refresh token for a new JWT; throws if Angel One rejects it
+    const refresh = async () => {
+        if (!state.refreshToken) throw new Error("No refresh token available.");
+        const startedIn = generation;
+        const tokens = await angel.call('generateTokens', {
+            session: manager,
+            data: { refreshToken: state.refreshToken },
+            retryAuth: false
+        });
+        ensureCurrent(startedIn);
+        if (!tokens || !tokens.jwtToken) throw new Error("Token refresh returned no JWT.");
+        storeTokens(tokens);
+    };
+
+    // Refresh first, fall back to a fresh TOTP login if the refresh token is no good
+    const reauthenticate = () => {
+        if (pendingReauth) return pendingReauth;
+        const startedIn = generation;
+        pendingReauth = (async () => {
+            try {
+                await refresh();
+                logger.info("Session token refreshed.", { clientId: state.clientId });
+            } catch (refreshError) {
+                // A logout while refreshing means the session is over, not that it needs a fresh login
+                if (startedIn !== generation) throw refreshError;
+                logger.warn("Session refresh failed, logging in again.", { clientId: state.clientId, error: refreshError.message });
+                await login();
+                logger.info("Session re-established via TOTP login.", { clientId: state.clientId });
+            }
+        })().finally(() => {
+            pendingReauth = null;
+        });
+        return pendingReauth;
+    };
+
+    const logout = async () => {
+        generation += 1;
+        clearRefreshTimer();
+        if (state.jwtToken) {
+            try {
+                await angel.call('logout', { session: manager, data: { clientcode: state.clientId }, retryAuth: false });
+            } catch (error) {
+                // The local session is dropped regardless; upstream will expire it on its own
+                logger.warn("Angel One logout call failed.", { clientId: state.clientId, error: error.message });
+            }
+        }
+        state = { ...EMPTY_STATE };
+    };
+
+    const getStatus = () => ({
+        loggedIn: Boolean(state.jwtToken),
+        clientId: state.clientId,
+        expiresAt: state.expiresAt ? new Date(state.expiresAt).toISOString() : null,
+        expiresInSeconds: state.expiresAt ? Math.max(Math.round((state.expiresAt - Date.now()) / 1000), 0) : null,
+        lastRefreshedAt: state.lastRefreshedAt ? new Date(state.lastRefreshedAt).toISOString() : null,
+        profile: state.profile
+    });
+
+    // Passed to the Angel One client as the session its own calls run under
+    const manager = {
+        login,
+        logout,
+        refresh: reauthenticate,
+        getStatus,
+        isLoggedIn: () => Boolean(state.jwtToken),
+        getJwtToken: () => state.jwtToken,
+        getFeedToken: () => state.feedToken,
+        getClientId: () => state.clientId,
+        getApiKey: () => state.apiKey,
+        getProfile: () => state.profile
+    };
+    return manager;
+};
+
+module.exports = { createSessionManager, decodeTokenExpiry };
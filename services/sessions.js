@@ -0,0 +1,47 @@
+// services/sessions.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createSessionManager } = require('./session');
+const { httpError } = require('./errors');
+
+// One Angel One session per app user. run(userId, fn) makes that user's session the one every upstream call
+// inside fn (and anything it starts, such as a screener job) is made with. `defaultApiKey` is the server's SmartAPI
+// key, used by users who haven't saved their own.
+const createSessionRegistry = ({ angel, users, defaultApiKey }) => {
+    const sessions = new Map();
+    const context = new AsyncLocalStorage();
+
+    const forUser = (userId) => {
+        if (!sessions.has(userId)) {
+            sessions.set(userId, createSessionManager({ angel, getCredentials: () => users.getCredentials(userId), defaultApiKey }));
+        }
+        return sessions.get(userId);
+    };
+
+    const run = (userId, fn) => context.run(userId, fn);
+
+    const currentUserId = () => context.getStore() || null;
+
+    // The session of the user whose request (or job) is running; used by the Angel One client
+    const current = () => {
+        const userId = currentUserId();
+        if (!userId) throw httpError(401, "No user session for this Angel One call.");
+        return forUser(userId);
+    };
+
+    const isLoggedIn = (userId) => sessions.has(userId) && sessions.get(userId).isLoggedIn();
+
+    // Logs the user out upstream and forgets the session, e.g. when the account is deleted
+    const remove = async (userId) => {
+        const session = sessions.get(userId);
+        if (!session) return;
+        await session.logout();
+        sessions.delete(userId);
+    };
+
+    const loggedInUserIds = () => [...sessions.keys()].filter(isLoggedIn);
+
+    return { forUser, run, current, currentUserId, isLoggedIn, remove, loggedInUserIds };
+};
+
+module.exports = { createSessionRegistry };
@@ -0,0 +1,277 @@
+// services/smartStream.js
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+
+const SMARTSTREAM_URL = 'wss://smartapisocket.angelone.in/smart-stream';
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Reconnect if nothing (not even a pong) arrives for this long
+const STALE_CONNECTION_MS = 70 * 1000;
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+const MODES = { LTP: 1, QUOTE: 2, SNAP_QUOTE: 3 };
+const MODE_NAMES = { 1: 'LTP', 2: 'QUOTE', 3: 'SNAP_QUOTE' };
+
+const EXCHANGE_TYPES = { NSE: 1, NFO: 2, BSE: 3, BFO: 4, MCX: 5, NCDEX: 7, CDS: 13 };
+const EXCHANGE_NAMES = Object.fromEntries(Object.entries(EXCHANGE_TYPES).map(([name, type]) => [type, name]));
+
+const ACTION_SUBSCRIBE = 1;
+const ACTION_UNSUBSCRIBE = 0;
+
+// Prices arrive as integers: paise, or 1e-7 rupees for currency derivatives
+const priceDivisor = (exchangeType) => (exchangeType === EXCHANGE_TYPES.CDS ? 10000000 : 100);
+
+const readInt64 = (buffer, offset) => Number(buffer.readBigInt64LE(offset));
+
+// Decodes one SmartStream v2 binary frame (little endian). Returns null for frames too short to be a tick.
+const parseTick = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 51) return null;
+    const mode = buffer.readUInt8(0);
+    const exchangeType = buffer.readUInt8(1);
+    const divisor = priceDivisor(exchangeType);
+    const tokenBytes = buffer.subarray(2, 27);
+    const nullAt = tokenBytes.indexOf(0);
+    const tick = {
+        mode: MODE_NAMES[mode] || String(mode),
+        exchange: EXCHANGE_NAMES[exchangeType] || String(exchangeType),
+        token: tokenBytes.subarray(0, nullAt === -1 ? tokenBytes.length : nullAt).toString('utf8'),
+        sequence: readInt64(buffer, 27),
+        exchangeTime: new Date(readInt64(buffer, 35)).toISOString(),
+        ltp: readInt64(buffer, 43) / divisor
+    };
+    if (mode === MODES.LTP || buffer.length < 123) return tick;
+
+    Object.assign(tick, {
+        lastTradedQuantity: readInt64(buffer, 51),
+        averageTradedPrice: readInt64(buffer, 59) / divisor,
+        volume: readInt64(buffer, 67),
+        totalBuyQuantity: buffer.readDoubleLE(75),
+        totalSellQuantity: buffer.readDoubleLE(83),
+        open: readInt64(buffer, 91) / divisor,
+        high: readInt64(buffer, 99) / divisor,
+        low: readInt64(buffer, 107) / divisor,
+        close: readInt64(buffer, 115) / divisor
+    });
+    if (mode === MODES.QUOTE || buffer.length < 379) return tick;
+
+    const bestFive = { buy: [], sell: [] };
+    for (let offset = 147; offset < 347; offset += 20) {
+        const level = {
+            quantity: readInt64(buffer, offset + 2),
+            price: readInt64(buffer, offset + 10) / divisor,
+            orders: buffer.readInt16LE(offset + 18)
+        };
+        (buffer.readInt16LE(offset) === 1 ? bestFive.buy : bestFive.sell).push(level);
+    }
+    Object.assign(tick, {
+        lastTradedTime: new Date(readInt64(buffer, 123)).toISOString(),
+        openInterest: readInt64(buffer, 131),
+        bestFive,
+        upperCircuit: readInt64(buffer, 347) / divisor,
+        lowerCircuit: readInt64(buffer, 355) / divisor,
+        week52High: readInt64(buffer, 363) / divisor,
+        week52Low: readInt64(buffer, 371) / divisor
+    });
+    return tick;
+};
+
+const subscriptionKey = (mode, exchangeType, token) => `${mode}|${exchangeType}|${token}`;
+
+// Validates a client-facing { mode, exchange, token } and maps it to SmartStream's numeric codes
+const resolveSubscription = ({ mode = 'LTP', exchange, token }) => {
+    const modeCode = MODES[String(mode).toUpperCase()];
+    const exchangeType = EXCHANGE_TYPES[String(exchange || '').toUpperCase()];
+    if (!modeCode) throw new Error(`Unknown stream mode "${mode}". Use LTP, QUOTE or SNAP_QUOTE.`);
+    if (!exchangeType) throw new Error(`Unknown exchange "${exchange}".`);
+    if (!token) throw new Error("A token is required.");
+    return { mode: modeCode, exchangeType, token: String(token) };
+};
+
+// getCredentials() is called on every (re)connect so refreshed JWT/feed tokens are picked up
+const createSmartStream = ({ url = SMARTSTREAM_URL, getCredentials, WebSocketImpl = WebSocket }) => {
+    const stream = new EventEmitter();
+    // key -> { mode, exchangeType, token, refs }
+    const subscriptions = new Map();
+    let socket = null;
+    let connected = false;
+    let stopped = true;
+    let heartbeatTimer = null;
+    let reconnectTimer = null;
+    let reconnectAttempts = 0;
+    let lastMessageAt = null;
+
+    const send = (action, entries) => {
+        if (!connected || entries.length === 0) return;
+        const byMode = new Map();
+        for (const { mode, exchangeType, token } of entries) {
+            if (!byMode.has(mode)) byMode.set(mode, new Map());
+            const byExchange = byMode.get(mode);
+            if (!byExchange.has(exchangeType)) byExchange.set(exchangeType, []);
+            byExchange.get(exchangeType).push(token);
+        }
+        for (const [mode, byExchange] of byMode) {
+            socket.send(JSON.stringify({
+                correlationID: `sub${Date.now().toString(36)}`.slice(0, 10),
+                action,
+                params: {
+                    mode,
+                    tokenList: [...byExchange].map(([exchangeType, tokens]) => ({ exchangeType, tokens }))
+                }
+            }));
+        }
+    };
+
+    const clearTimers = () => {
+        clearInterval(heartbeatTimer);
+        clearTimeout(reconnectTimer);
+        heartbeatTimer = null;
+        reconnectTimer = null;
+    };
+
+    const scheduleReconnect = () => {
+        if (stopped || reconnectTimer) return;
+        const delay = Math.min(MIN_RECONNECT_DELAY_MS * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        reconnectAttempts++;
+        logger.warn("SmartStream disconnected, reconnecting.", { delayMs: delay });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    };
+
+    const connect = () => {
+        const { jwtToken, apiKey, clientCode, feedToken } = getCredentials();
+        if (!jwtToken || !feedToken) {
+            stream.emit('error', new Error("SmartStream needs a logged-in session with a feed token."));
+            scheduleReconnect();
+            return;
+        }
+
+        const ws = new WebSocketImpl(url, {
+            headers: {
+                'Authorization': jwtToken,
+                'x-api-key': apiKey,
+                'x-client-code': clientCode,
+                'x-feed-token': feedToken
+            }
+        });
+        socket = ws;
+
+        // Events from a socket that has since been replaced are ignored
+        ws.on('open', () => {
+            if (socket !== ws) return;
+            connected = true;
+            reconnectAttempts = 0;
+            lastMessageAt = Date.now();
+            logger.info("SmartStream connected, resubscribing.", { subscriptions: subscriptions.size });
+            send(ACTION_SUBSCRIBE, [...subscriptions.values()]);
+            heartbeatTimer = setInterval(() => {
+                if (Date.now() - lastMessageAt > STALE_CONNECTION_MS) {
+                    logger.warn("SmartStream connection went quiet, forcing reconnect.");
+                    ws.terminate();
+                    return;
+                }
+                ws.send('ping');
+            }, HEARTBEAT_INTERVAL_MS);
+            stream.emit('connected');
+        });
+
+        ws.on('message', (data, isBinary) => {
+            if (socket !== ws) return;
+            lastMessageAt = Date.now();
+            if (!isBinary) {
+                const text = data.toString();
+                if (text !== 'pong') stream.emit('serverMessage', text);
+                return;
+            }
+            const tick = parseTick(data);
+            if (tick) stream.emit('tick', tick);
+        });
+
+        ws.on('error', (error) => {
+            stream.emit('error', error);
+        });
+
+        ws.on('close', () => {
+            if (socket !== ws) return;
+            connected = false;
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+            socket = null;
+            stream.emit('disconnected');
+            scheduleReconnect();
+        });
+    };
+
+    const start = () => {
+        if (!stopped) return;
+        stopped = false;
+        connect();
+    };
+
+    const stop = () => {
+        stopped = true;
+        clearTimers();
+        reconnectAttempts = 0;
+        connected = false;
+        if (socket) {
+            const closing = socket;
+            socket = null;
+            closing.close();
+            stream.emit('disconnected');
+        }
+    };
+
+    // Reference-counted so the upstream socket only sees the first subscribe and the last unsubscribe
+    stream.subscribe = (entries) => {
+        const added = [];
+        for (const entry of entries) {
+            const key = subscriptionKey(entry.mode, entry.exchangeType, entry.token);
+            const existing = subscriptions.get(key);
+            if (existing) {
+                existing.refs++;
+            } else {
+                subscriptions.set(key, { ...entry, refs: 1 });
+                added.push(entry);
+            }
+        }
+        if (stopped) start();
+        else send(ACTION_SUBSCRIBE, added);
+    };
+
+    stream.unsubscribe = (entries) => {
+        const removed = [];
+        for (const entry of entries) {
+            const key = subscriptionKey(entry.mode, entry.exchangeType, entry.token);
+            const existing = subscriptions.get(key);
+            if (!existing) continue;
+            existing.refs--;
+            if (existing.refs <= 0) {
+                subscriptions.delete(key);
+                removed.push(entry);
+            }
+        }
+        send(ACTION_UNSUBSCRIBE, removed);
+        if (subscriptions.size === 0) stop();
+    };
+
+    // Drops every subscription, e.g. on logout
+    stream.reset = () => {
+        subscriptions.clear();
+        stop();
+    };
+
+    stream.getStatus = () => ({
+        connected,
+        running: !stopped,
+        subscriptions: subscriptions.size,
+        lastMessageAt: lastMessageAt ? new Date(lastMessageAt).toISOString() : null
+    });
+
+    return stream;
+};
+
+module.exports = { createSmartStream, parseTick, resolveSubscription, subscriptionKey, MODES, MODE_NAMES, EXCHANGE_TYPES, EXCHANGE_NAMES };
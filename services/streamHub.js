@@ -0,0 +1,108 @@
+// services/streamHub.js
+
+const crypto = require('crypto');
+const { resolveSubscription, subscriptionKey, MODES, EXCHANGE_TYPES } = require('./smartStream');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+// Fans SmartStream ticks out to browser clients, each with its own subscription set
+const createStreamHub = ({ stream }) => {
+    // clientId -> { send, subscriptions: Map<key, entry> }
+    const clients = new Map();
+    // key -> Set<clientId>
+    const subscribers = new Map();
+
+    const broadcast = (event, data) => {
+        for (const client of clients.values()) client.send(event, data);
+    };
+
+    stream.on('tick', (tick) => {
+        const key = subscriptionKey(MODES[tick.mode], EXCHANGE_TYPES[tick.exchange], tick.token);
+        for (const clientId of subscribers.get(key) || []) {
+            const client = clients.get(clientId);
+            if (client) client.send('tick', tick);
+        }
+    });
+    stream.on('connected', () => broadcast('status', stream.getStatus()));
+    stream.on('disconnected', () => broadcast('status', stream.getStatus()));
+    stream.on('serverMessage', (message) => logger.warn("SmartStream server message.", { message }));
+    stream.on('error', (error) => logger.error("SmartStream error.", { error: error.message }));
+
+    const getClient = (clientId) => {
+        const client = clients.get(clientId);
+        if (!client) throw httpError(404, `Stream client ${clientId} is not connected.`);
+        return client;
+    };
+
+    const addClient = (send) => {
+        const clientId = crypto.randomUUID();
+        clients.set(clientId, { send, subscriptions: new Map() });
+        return clientId;
+    };
+
+    const parseEntries = (mode, tokens) => {
+        if (!Array.isArray(tokens) || tokens.length === 0) throw httpError(400, "tokens must be a non-empty array of { exchange, token }.");
+        try {
+            return tokens.map(({ exchange, token }) => resolveSubscription({ mode, exchange, token }));
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+    };
+
+    const subscribe = (clientId, { mode, tokens }) => {
+        const client = getClient(clientId);
+        const added = [];
+        for (const entry of parseEntries(mode, tokens)) {
+            const key = subscriptionKey(entry.mode, entry.exchangeType, entry.token);
+            if (client.subscriptions.has(key)) continue;
+            client.subscriptions.set(key, entry);
+            if (!subscribers.has(key)) subscribers.set(key, new Set());
+            subscribers.get(key).add(clientId);
+            added.push(entry);
+        }
+        if (added.length > 0) stream.subscribe(added);
+        return client.subscriptions.size;
+    };
+
+    const unsubscribe = (clientId, { mode, tokens }) => {
+        const client = getClient(clientId);
+        const removed = [];
+        for (const entry of parseEntries(mode, tokens)) {
+            const key = subscriptionKey(entry.mode, entry.exchangeType, entry.token);
+            if (!client.subscriptions.delete(key)) continue;
+            const keySubscribers = subscribers.get(key);
+            keySubscribers.delete(clientId);
+            if (keySubscribers.size === 0) subscribers.delete(key);
+            removed.push(entry);
+        }
+        if (removed.length > 0) stream.unsubscribe(removed);
+        return client.subscriptions.size;
+    };
+
+    const removeClient = (clientId) => {
+        const client = clients.get(clientId);
+        if (!client) return;
+        const entries = [...client.subscriptions.values()];
+        for (const key of client.subscriptions.keys()) {
+            const keySubscribers = subscribers.get(key);
+            keySubscribers.delete(clientId);
+            if (keySubscribers.size === 0) subscribers.delete(key);
+        }
+        clients.delete(clientId);
+        if (entries.length > 0) stream.unsubscribe(entries);
+    };
+
+    // Drops every subscription but keeps clients connected, e.g. after logout
+    const reset = () => {
+        for (const client of clients.values()) client.subscriptions.clear();
+        subscribers.clear();
+        stream.reset();
+        broadcast('status', stream.getStatus());
+    };
+
+    const getStatus = () => ({ ...stream.getStatus(), clients: clients.size });
+
+    return { addClient, removeClient, subscribe, unsubscribe, reset, getStatus };
+};
+
+module.exports = { createStreamHub };
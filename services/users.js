@@ -0,0 +1,214 @@
+// services/users.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { httpError } = require('./errors');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'users.json');
+const ROLES = ['admin', 'analyst'];
+const TOKEN_PREFIX = 'ak_';
+const MAX_TOKENS_PER_USER = 20;
+// Fields of the Angel One login that are encrypted at rest
+const SECRET_FIELDS = ['password', 'totpSecret', 'apiKey'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// CREDENTIALS_KEY may be 32 bytes as hex or base64, or any passphrase (stretched with scrypt)
+const deriveKey = (secret) => {
+    if (!secret) return null;
+    if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+    const decoded = Buffer.from(secret, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64') === secret) return decoded;
+    return crypto.scryptSync(secret, 'angel-one-credentials', 32);
+};
+
+// AES-256-GCM; stored as "iv.tag.ciphertext" in base64
+const encrypt = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (key, stored) => {
+    const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// App accounts, their API tokens (only hashes are kept) and their encrypted Angel One logins
+const createUserStore = ({ filePath = DEFAULT_FILE_PATH, encryptionKey } = {}) => {
+    const key = deriveKey(encryptionKey);
+    let users = null;
+    // token hash -> { userId, tokenId }
+    let tokenIndex = new Map();
+    let loading = null;
+    let writeQueue = Promise.resolve();
+
+    const indexTokens = () => {
+        tokenIndex = new Map();
+        for (const user of users) {
+            for (const token of user.tokens) tokenIndex.set(token.hash, { userId: user.id, tokenId: token.id });
+        }
+    };
+
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, {}).then(stored => {
+                users = stored.users || [];
+                indexTokens();
+                return users;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        indexTokens();
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, { users }));
+        return writeQueue;
+    };
+
+    // What the API shows: never token hashes or credential ciphertext
+    const describe = (user) => ({
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        createdAt: user.createdAt,
+        hasCredentials: Boolean(user.credentials),
+        clientId: user.credentials ? user.credentials.clientId : null,
+        tokens: user.tokens.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }))
+    });
+
+    const find = async (id) => {
+        const user = (await load()).find(u => u.id === id);
+        if (!user) throw httpError(404, `User ${id} not found.`);
+        return user;
+    };
+
+    const issueToken = (user, name) => {
+        if (user.tokens.length >= MAX_TOKENS_PER_USER) throw httpError(400, `A user can have at most ${MAX_TOKENS_PER_USER} API tokens.`);
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const entry = { id: crypto.randomUUID(), name: name || 'default', hash: hashToken(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+        user.tokens.push(entry);
+        return { token, id: entry.id, name: entry.name };
+    };
+
+    const hasUsers = async () => (await load()).length > 0;
+
+    const list = async () => (await load()).map(describe);
+
+    const get = async (id) => describe(await find(id));
+
+    // Returns the new user together with its first API token, which is shown only this once
+    const create = async ({ username, role = 'analyst' } = {}) => {
+        if (!username || typeof username !== 'string' || !/^[\w.@-]{3,64}$/.test(username.trim())) {
+            throw httpError(400, "username must be 3-64 letters, digits or . _ @ -.");
+        }
+        if (!ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(', ')}.`);
+        const all = await load();
+        const normalized = username.trim().toLowerCase();
+        if (all.some(u => u.username === normalized)) throw httpError(409, `User ${normalized} already exists.`);
+
+        const user = { id: crypto.randomUUID(), username: normalized, role, tokens: [], credentials: null, createdAt: new Date().toISOString() };
+        const token = issueToken(user, 'default');
+        all.push(user);
+        await save();
+        return { user: describe(user), token };
+    };
+
+    const remove = async (id) => {
+        const user = await find(id);
+        // In place: load() keeps handing out this same array
+        users.splice(users.indexOf(user), 1);
+        await save();
+    };
+
+    const createToken = async (userId, name) => {
+        const user = await find(userId);
+        const token = issueToken(user, name);
+        await save();
+        return token;
+    };
+
+    const revokeToken = async (userId, tokenId) => {
+        const user = await find(userId);
+        const before = user.tokens.length;
+        user.tokens = user.tokens.filter(token => token.id !== tokenId);
+        if (user.tokens.length === before) throw httpError(404, `Token ${tokenId} not found.`);
+        await save();
+    };
+
+    // Resolves a presented API token to its user, or null
+    const authenticate = async (token) => {
+        if (!token || typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+        await load();
+        const match = tokenIndex.get(hashToken(token));
+        if (!match) return null;
+        const user = users.find(u => u.id === match.userId);
+        const entry = user && user.tokens.find(t => t.id === match.tokenId);
+        if (!entry) return null;
+        // Recorded in memory and persisted with the next write; not worth a disk write per request
+        entry.lastUsedAt = new Date().toISOString();
+        return { id: user.id, username: user.username, role: user.role };
+    };
+
+    // Body: { clientId, password, totpSecret, apiKey? }; apiKey overrides the server's SmartAPI key for this user
+    const setCredentials = async (userId, { clientId, password, totpSecret, apiKey } = {}) => {
+        if (!key) throw httpError(503, "CREDENTIALS_KEY is not configured on the server; broker credentials cannot be stored.");
+        if (!clientId || !password || !totpSecret) throw httpError(400, "clientId, password and totpSecret are required.");
+        const user = await find(userId);
+        const credentials = { clientId: String(clientId), updatedAt: new Date().toISOString() };
+        for (const field of SECRET_FIELDS) {
+            const value = { password, totpSecret, apiKey }[field];
+            if (value) credentials[field] = encrypt(key, value);
+        }
+        user.credentials = credentials;
+        await save();
+        return describe(user);
+    };
+
+    const clearCredentials = async (userId) => {
+        const user = await find(userId);
+        user.credentials = null;
+        await save();
+        return describe(user);
+    };
+
+    // Decrypted Angel One login for the session manager; throws if there is none
+    const getCredentials = async (userId) => {
+        const user = await find(userId);
+        if (!user.credentials) throw httpError(400, "Save your Angel One credentials (PUT /api/me/credentials) before logging in.");
+        if (!key) throw httpError(503, "CREDENTIALS_KEY is not configured on the server; stored credentials cannot be read.");
+        const decrypted = { clientId: user.credentials.clientId };
+        try {
+            for (const field of SECRET_FIELDS) {
+                if (user.credentials[field]) decrypted[field] = decrypt(key, user.credentials[field]);
+            }
+        } catch (error) {
+            throw httpError(500, "Stored Angel One credentials could not be decrypted; was CREDENTIALS_KEY changed?");
+        }
+        return decrypted;
+    };
+
+    return {
+        hasUsers,
+        list,
+        get,
+        create,
+        remove,
+        createToken,
+        revokeToken,
+        authenticate,
+        setCredentials,
+        clearCredentials,
+        getCredentials
+    };
+};
+
+module.exports = { createUserStore, ROLES };
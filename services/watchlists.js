@@ -0,0 +1,150 @@
+// services/watchlists.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { httpError } = require('./errors');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'watchlists.json');
+
+// The universe /api/market-data used to have hard-coded, seeded on first run
+const DEFAULT_WATCHLIST = {
+    id: 'default',
+    name: 'NIFTY Top 10',
+    items: ["2885", "11536", "1594", "3456", "1333", "5258", "10940", "3045", "1660", "1394"]
+        .map(symboltoken => ({ exchange: 'NSE', symboltoken }))
+};
+
+const createWatchlistStore = ({ instruments, filePath = DEFAULT_FILE_PATH }) => {
+    let watchlists = null;
+    let loading = null;
+    // Serializes writes so two concurrent edits can't interleave on disk
+    let writeQueue = Promise.resolve();
+
+    // Memoized so concurrent first requests share one list; a failed read is forgotten so the next request retries it
+    const load = () => {
+        if (!loading) {
+            loading = readJsonFile(filePath, null).then(stored => {
+                watchlists = stored && Array.isArray(stored.watchlists)
+                    ? stored.watchlists
+                    : [{ ...DEFAULT_WATCHLIST, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }];
+                return watchlists;
+            }).catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    };
+
+    const save = () => {
+        writeQueue = writeQueue.catch(() => {}).then(() => writeJsonFile(filePath, { watchlists }));
+        return writeQueue;
+    };
+
+    // Accepts { exchange, symboltoken } or { exchange, symbol } and resolves it against the instrument master
+    const resolveItem = (item) => {
+        if (!item || !item.exchange || (!item.symboltoken && !item.symbol)) {
+            throw httpError(400, "Each item needs an exchange and a symboltoken or symbol.");
+        }
+        const exchange = String(item.exchange).toUpperCase();
+        if (!instruments.isLoaded()) {
+            if (!item.symboltoken) throw httpError(503, "Instrument master is not loaded yet; add items by symboltoken.");
+            return { exchange, symboltoken: String(item.symboltoken) };
+        }
+        const instrument = item.symboltoken
+            ? instruments.getByToken(exchange, item.symboltoken)
+            : instruments.getBySymbol(item.symbol, exchange)[0];
+        if (!instrument) {
+            throw httpError(400, `Instrument ${exchange}:${item.symboltoken || item.symbol} not found in the instrument master.`);
+        }
+        return { exchange, symboltoken: instrument.token };
+    };
+
+    const addUnique = (watchlist, items) => {
+        for (const item of items) {
+            if (!watchlist.items.some(existing => existing.exchange === item.exchange && existing.symboltoken === item.symboltoken)) {
+                watchlist.items.push(item);
+            }
+        }
+    };
+
+    // Adds instrument details at read time so renamed or reloaded symbols stay current
+    const describe = (watchlist) => ({
+        ...watchlist,
+        items: watchlist.items.map(item => {
+            const instrument = instruments.getByToken(item.exchange, item.symboltoken);
+            return {
+                ...item,
+                symbol: instrument ? instrument.symbol : null,
+                name: instrument ? instrument.name : null,
+                instrumenttype: instrument ? instrument.instrumenttype : null
+            };
+        })
+    });
+
+    // Watchlists without an owner (the seeded default, lists from before accounts) are shared: everyone can read
+    // them, only admins can change them
+    const visibleTo = (watchlist, user) => !watchlist.ownerId || watchlist.ownerId === user.id;
+
+    const find = async (id, user, { write = false } = {}) => {
+        const watchlist = (await load()).find(w => w.id === id && visibleTo(w, user));
+        if (!watchlist) throw httpError(404, `Watchlist ${id} not found.`);
+        if (write && !watchlist.ownerId && user.role !== 'admin') {
+            throw httpError(403, `Watchlist ${id} is shared; only admins can change it.`);
+        }
+        return watchlist;
+    };
+
+    const list = async (user) => (await load()).filter(w => visibleTo(w, user)).map(describe);
+
+    const get = async (id, user) => describe(await find(id, user));
+
+    const create = async ({ name, items = [] }, user) => {
+        if (!name || typeof name !== 'string') throw httpError(400, "Watchlist name is required.");
+        if (!Array.isArray(items)) throw httpError(400, "items must be an array.");
+        const now = new Date().toISOString();
+        const watchlist = { id: crypto.randomUUID(), ownerId: user.id, name: name.trim(), items: [], createdAt: now, updatedAt: now };
+        addUnique(watchlist, items.map(resolveItem));
+        (await load()).push(watchlist);
+        await save();
+        return describe(watchlist);
+    };
+
+    const rename = async (id, name, user) => {
+        if (!name || typeof name !== 'string') throw httpError(400, "Watchlist name is required.");
+        const watchlist = await find(id, user, { write: true });
+        watchlist.name = name.trim();
+        watchlist.updatedAt = new Date().toISOString();
+        await save();
+        return describe(watchlist);
+    };
+
+    const remove = async (id, user) => {
+        const all = await load();
+        all.splice(all.indexOf(await find(id, user, { write: true })), 1);
+        await save();
+    };
+
+    const addItems = async (id, items, user) => {
+        const watchlist = await find(id, user, { write: true });
+        addUnique(watchlist, (Array.isArray(items) ? items : [items]).map(resolveItem));
+        watchlist.updatedAt = new Date().toISOString();
+        await save();
+        return describe(watchlist);
+    };
+
+    const removeItem = async (id, exchange, symboltoken, user) => {
+        const watchlist = await find(id, user, { write: true });
+        const before = watchlist.items.length;
+        watchlist.items = watchlist.items.filter(item => !(item.exchange === String(exchange).toUpperCase() && item.symboltoken === String(symboltoken)));
+        if (watchlist.items.length === before) throw httpError(404, `Item ${exchange}:${symboltoken} is not in watchlist ${id}.`);
+        watchlist.updatedAt = new Date().toISOString();
+        await save();
+        return describe(watchlist);
+    };
+
+    return { list, get, create, rename, remove, addItems, removeItem };
+};
+
+module.exports = { createWatchlistStore, DEFAULT_WATCHLIST };
@@ -0,0 +1,100 @@
+// services/webhooks.js
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { httpError } = require('./errors');
+
+// Loopback, private, link-local (where cloud metadata services live), CGNAT, documentation (TEST-NET), multicast and
+// reserved ranges. Webhooks users submit may not reach any of them, or the server could be made to call internal hosts.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+// BlockList applies the IPv4 ranges to IPv4-mapped addresses (::ffff:127.0.0.1) itself. The prefixes that wrap an
+// IPv4 address in other ways (NAT64, Teredo, 6to4) are blocked wholesale, as they could carry a private one.
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001::', 32], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7],
+    ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+
+const isBlockedAddress = (address) => BLOCKED_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// A dns.lookup that refuses blocked addresses. Used by the agents that carry webhook requests, so the address
+// actually connected to is checked even if DNS has changed since the URL was validated.
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to ${blocked.address}, a private or reserved address.`);
+            refused.code = 'EADDRBLOCKED';
+            return callback(refused);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const guardedAgents = {
+    httpAgent: new http.Agent({ lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+// Checks and posts to webhook URLs submitted by users. With `allowedHosts` only those hosts are accepted (and may
+// be internal, since the operator chose them); without it any host resolving to public addresses only is.
+const createWebhookGuard = ({ allowedHosts = [] } = {}) => {
+    const allowed = new Set(allowedHosts.map(host => host.toLowerCase()));
+
+    const parse = (url) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw httpError(400, `Invalid webhook URL "${url}".`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw httpError(400, `Webhook URL "${url}" must be http or https.`);
+        return parsed;
+    };
+
+    // Resolves to true when the host is allowlisted, false when it is public; throws a 400 otherwise
+    const checkHost = async (parsed) => {
+        const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (allowed.size > 0) {
+            if (!allowed.has(host)) throw httpError(400, `Webhook host "${host}" is not one of the allowed webhook hosts.`);
+            return true;
+        }
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw httpError(400, `Webhook host "${host}" could not be resolved.`);
+        }
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            throw httpError(400, `Webhook host "${host}" resolves to a private or reserved address.`);
+        }
+        return false;
+    };
+
+    // Returns the normalized URL
+    const validate = async (url) => {
+        const parsed = parse(url);
+        await checkHost(parsed);
+        return parsed.toString();
+    };
+
+    // Rechecked on every delivery, as the allowlist or DNS may have changed since the alert was saved. Redirects
+    // are not followed: they could point anywhere.
+    const post = async (url, payload, options = {}) => {
+        const allowlisted = await checkHost(parse(url));
+        return axios.post(url, payload, { ...options, ...(allowlisted ? {} : guardedAgents), maxRedirects: 0 });
+    };
+
+    return { validate, post };
+};
+
+module.exports = { createWebhookGuard, isBlockedAddress };
@@ -0,0 +1,46 @@
+// test/analysis.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStockAnalyzer, maxLookbackDays } = require('../services/analysis');
+const { parseIstDate } = require('../services/candles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createAnalyzer = () => {
+    const requests = [];
+    const candleStore = {
+        getCandles: async (request) => {
+            requests.push(request);
+            return [{ time: '2024-01-01T09:15:00+05:30', open: 1, high: 1, low: 1, close: 1, volume: 1 }];
+        }
+    };
+    return { analyzer: createStockAnalyzer({ candleStore, priceService: {} }), requests };
+};
+
+const requestedDays = ({ fromdate, todate }) => Math.round((parseIstDate(todate) - parseIstDate(fromdate)) / DAY_MS);
+
+test('the lookback cap scales with the bar size', () => {
+    assert.equal(maxLookbackDays('ONE_MINUTE'), 120);
+    assert.equal(maxLookbackDays('FIVE_MINUTE'), 400);
+    assert.equal(maxLookbackDays('ONE_HOUR'), 1600);
+    assert.equal(maxLookbackDays('ONE_DAY'), 3650);
+});
+
+test('rejects lookbacks above the cap before fetching anything', async () => {
+    const { analyzer, requests } = createAnalyzer();
+    await assert.rejects(analyzer.loadCandles({ exchange: 'NSE', symboltoken: '1', timeframe: 'ONE_MINUTE', lookbackDays: 365 }),
+        error => error.status === 400 && /at most 120 days/.test(error.message));
+    await assert.rejects(analyzer.loadCandles({ exchange: 'NSE', symboltoken: '1', timeframe: 'TWO_MINUTE' }),
+        error => error.status === 400);
+    assert.equal(requests.length, 0);
+});
+
+test('defaults to a year, or the cap for intraday bars', async () => {
+    const { analyzer, requests } = createAnalyzer();
+    await analyzer.loadCandles({ exchange: 'NSE', symboltoken: '1' });
+    await analyzer.loadCandles({ exchange: 'NSE', symboltoken: '1', timeframe: 'ONE_MINUTE' });
+    await analyzer.loadCandles({ exchange: 'NSE', symboltoken: '1', lookbackDays: 3650 });
+
+    assert.deepEqual(requests.map(requestedDays), [365, 120, 3650]);
+});
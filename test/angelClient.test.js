@@ -0,0 +1,86 @@
+// test/angelClient.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createAngelClient, isTransient } = require('../services/angelClient');
+
+const sessionWithKey = (apiKey) => ({ getJwtToken: () => 'jwt', getApiKey: () => apiKey, refresh: async () => {} });
+
+// A local Angel One: `reply(req)` gives [status, body] for each request, which is recorded with its arrival time
+const startUpstream = async (reply) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ path: req.url, apiKey: req.headers['x-privatekey'], at: Date.now() });
+        req.resume();
+        req.on('end', () => {
+            const [status, body] = reply(req, requests.length);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+test('isTransient retries only network hiccups, 5xx and rate limits', () => {
+    for (const code of ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']) {
+        assert.equal(isTransient(Object.assign(new Error(code), { code })), true, code);
+    }
+    for (const code of ['ERR_INVALID_URL', 'CERT_HAS_EXPIRED', 'ECONNREFUSED', 'ENOTFOUND']) {
+        assert.equal(isTransient(Object.assign(new Error(code), { code })), false, code);
+    }
+    assert.equal(isTransient({ response: { status: 500, data: {} } }), true);
+    assert.equal(isTransient({ response: { status: 503, data: {} } }), true);
+    assert.equal(isTransient({ response: { status: 429, data: {} } }), true);
+    assert.equal(isTransient({ response: { status: 400, data: {} } }), false);
+    assert.equal(isTransient({ response: { status: 200, data: { message: 'Access denied because of exceeding access rate' } } }), true);
+    assert.equal(isTransient({ errorcode: 'AB1004' }), true);
+});
+
+test('a 5xx is retried until Angel One answers', async () => {
+    const upstream = await startUpstream((req, count) => (count === 1 ? [503, { message: 'busy' }] : [200, { status: true, data: { name: 'A' } }]));
+    try {
+        const angel = createAngelClient({ apiKey: 'server-key', baseUrl: upstream.baseUrl, maxRetries: 1 });
+        const profile = await angel.call('getProfile', { session: sessionWithKey(null) });
+        assert.deepEqual(profile, { name: 'A' });
+        assert.equal(upstream.requests.length, 2);
+        assert.equal(angel.getStats().getProfile.retries, 1);
+    } finally {
+        upstream.server.close();
+    }
+});
+
+test('an error that would fail the same way again is not retried', async () => {
+    const attempts = [];
+    const angel = createAngelClient({ apiKey: 'server-key', baseUrl: 'not a url', maxRetries: 3, onRequest: (event) => attempts.push(event) });
+    await assert.rejects(angel.call('getProfile', { session: sessionWithKey(null) }), { status: 502 });
+    assert.equal(attempts.length, 1);
+    assert.equal(angel.getStats().getProfile.retries, 0);
+});
+
+test('each API key has its own rate limits', async () => {
+    const upstream = await startUpstream(() => [200, { status: true, data: {} }]);
+    try {
+        const angel = createAngelClient({ apiKey: 'server-key', baseUrl: upstream.baseUrl });
+        // getProfile allows 3 a second: one call per key goes straight out, a second on the same key waits its turn
+        const startedAt = Date.now();
+        await Promise.all([
+            angel.call('getProfile', { session: sessionWithKey('key-a') }),
+            angel.call('getProfile', { session: sessionWithKey('key-b') }),
+            angel.call('getProfile', { session: sessionWithKey(null) })
+        ]);
+        assert.deepEqual(upstream.requests.map(({ apiKey }) => apiKey).sort(), ['key-a', 'key-b', 'server-key']);
+        assert.ok(upstream.requests.every(({ at }) => at - startedAt < 200));
+
+        upstream.requests.length = 0;
+        await Promise.all([
+            angel.call('getProfile', { session: sessionWithKey('key-c') }),
+            angel.call('getProfile', { session: sessionWithKey('key-c') })
+        ]);
+        const [first, second] = upstream.requests.map(({ at }) => at).sort((a, b) => a - b);
+        assert.ok(second - first >= 300, `second call went out after ${second - first}ms`);
+    } finally {
+        upstream.server.close();
+    }
+});
@@ -0,0 +1,61 @@
+// test/auth.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createAuthMiddleware } = require('../routes/auth');
+
+const ALICE = { id: 'u1', username: 'alice', role: 'analyst' };
+const TOKEN = 'ak_alice';
+
+// A route behind each guard, plus the ticket endpoint, on a local server
+const startApp = async (t) => {
+    const users = { authenticate: async (token) => (token === TOKEN ? ALICE : null) };
+    const sessions = { isLoggedIn: () => true, run: (userId, fn) => fn() };
+    const { requireUser, requireSession, requireStreamSession, issueStreamTicket } = createAuthMiddleware({ users, sessions });
+
+    const app = express();
+    app.get('/user', requireUser, (req, res) => res.json(req.user));
+    app.post('/ticket', requireSession, (req, res) => res.json(issueStreamTicket(req.user)));
+    app.get('/stream', requireStreamSession, (req, res) => res.json(req.user));
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return (path, { method = 'GET', token } = {}) => fetch(`${base}${path}`, {
+        method,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+};
+
+test('API tokens are read from the Authorization header only', async (t) => {
+    const request = await startApp(t);
+    assert.equal((await request('/user', { token: TOKEN })).status, 200);
+    assert.equal((await request(`/user?access_token=${TOKEN}`)).status, 401);
+    assert.equal((await request(`/stream?access_token=${TOKEN}`)).status, 401);
+});
+
+test('the stream opens with a single-use ticket', async (t) => {
+    const request = await startApp(t);
+    assert.equal((await request('/ticket', { method: 'POST' })).status, 401);
+
+    const { ticket, expiresAt } = await (await request('/ticket', { method: 'POST', token: TOKEN })).json();
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    const opened = await request(`/stream?ticket=${ticket}`);
+    assert.equal(opened.status, 200);
+    assert.deepEqual(await opened.json(), ALICE);
+
+    const reused = await request(`/stream?ticket=${ticket}`);
+    assert.equal(reused.status, 401);
+    assert.match((await reused.json()).message, /invalid or has expired/);
+    assert.equal((await request('/stream?ticket=made-up')).status, 401);
+});
+
+test('the stream still accepts the Authorization header', async (t) => {
+    const request = await startApp(t);
+    assert.equal((await request('/stream', { token: TOKEN })).status, 200);
+    assert.equal((await request('/stream')).status, 401);
+});
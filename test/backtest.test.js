@@ -0,0 +1,120 @@
+// test/backtest.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBacktester, runBacktest, parseStrategy } = require('../services/backtest');
+
+// Daily bars as [open, high, low, close]; closes dip below 95 twice and recover above 105 once in between
+const FIXTURE = [
+    [100, 101, 99, 100],
+    [100, 100, 93, 94],
+    [94, 96, 93, 95],
+    [96, 107, 95, 106],
+    [104, 105, 100, 102],
+    [100, 100, 90, 92],
+    [90, 91, 80, 85],
+    [85, 88, 84, 86]
+];
+const candles = FIXTURE.map(([open, high, low, close], i) => ({
+    time: `2024-01-${String(i + 1).padStart(2, '0')}T09:15:00+05:30`,
+    open, high, low, close, volume: 1000
+}));
+
+const NO_COSTS = { initialCapital: 1000, slippagePercent: 0, brokeragePerOrder: 0 };
+const DIP_STRATEGY = {
+    entry: { left: 'close', op: '<', right: 95 },
+    exit: { left: 'close', op: '>', right: 105 }
+};
+
+const approx = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+test('fills signals at the next open and closes out at the end of data', () => {
+    const { trades, metrics } = runBacktest(candles, parseStrategy(DIP_STRATEGY), NO_COSTS);
+
+    assert.deepEqual(trades.map(trade => [trade.entryTime.slice(0, 10), trade.entryPrice, trade.exitPrice, trade.quantity, trade.exitReason]), [
+        ['2024-01-03', 94, 104, 10, 'SIGNAL'],
+        ['2024-01-07', 90, 86, 12, 'END_OF_DATA']
+    ]);
+    assert.deepEqual(trades.map(trade => trade.pnl), [100, -48]);
+    approx(metrics.finalEquity, 1052);
+    approx(metrics.totalReturnPercent, 5.2);
+    assert.equal(metrics.totalTrades, 2);
+    assert.equal(metrics.winningTrades, 1);
+    assert.equal(metrics.winRatePercent, 50);
+});
+
+test('marks the equity curve to the close and measures drawdown from its peak', () => {
+    const { equityCurve, metrics } = runBacktest(candles, parseStrategy(DIP_STRATEGY), NO_COSTS);
+
+    assert.deepEqual(equityCurve.map(point => point.equity), [1000, 1000, 1010, 1120, 1100, 1100, 1040, 1052]);
+    // Peak 1120 while the first trade is open, trough 1040 while the second is
+    approx(metrics.maxDrawdownPercent, 80 / 1120 * 100);
+});
+
+test('exits intrabar at the stop before checking the target', () => {
+    const strategy = parseStrategy({ ...DIP_STRATEGY, stopLossPercent: 5, takeProfitPercent: 50 });
+    const { trades } = runBacktest(candles, strategy, NO_COSTS);
+
+    const stopped = trades.find(trade => trade.exitReason === 'STOP_LOSS');
+    assert.ok(stopped, 'expected a stop-loss exit');
+    assert.equal(stopped.entryTime.slice(0, 10), '2024-01-07');
+    assert.equal(stopped.exitTime.slice(0, 10), '2024-01-07');
+    approx(stopped.exitPrice, 85.5);
+});
+
+test('charges slippage on both fills and brokerage per order', () => {
+    const { trades } = runBacktest(candles, parseStrategy(DIP_STRATEGY), { initialCapital: 1000, slippagePercent: 1, brokeragePerOrder: 20 });
+
+    const [first] = trades;
+    approx(first.entryPrice, 94.94);
+    approx(first.exitPrice, 102.96);
+    assert.equal(first.quantity, 10);
+    assert.equal(first.charges, 40);
+    approx(first.pnl, 10 * 102.96 - 10 * 94.94 - 40);
+});
+
+test('only trades bars from startMs on', () => {
+    const { trades, equityCurve } = runBacktest(candles, parseStrategy(DIP_STRATEGY), { ...NO_COSTS, startMs: Date.parse(candles[4].time) });
+
+    assert.equal(equityCurve.length, 4);
+    assert.deepEqual(trades.map(trade => trade.entryTime.slice(0, 10)), ['2024-01-07']);
+});
+
+test('parseStrategy collects the indicators a strategy needs', () => {
+    const strategy = parseStrategy({
+        entry: { all: [{ left: 'RSI(14)', op: '<', right: 30 }, { left: 'close', op: '>', right: 'SMA(200)' }] },
+        exit: { any: [{ left: 'RSI(14)', op: '>', right: 70 }] },
+        stopLossPercent: 5
+    });
+
+    assert.deepEqual(strategy.specs.map(spec => spec.id), ['RSI(14)', 'SMA(200)']);
+    assert.equal(strategy.stopLossPercent, 5);
+    assert.equal(strategy.takeProfitPercent, null);
+});
+
+test('parseStrategy rejects malformed strategies with a 400', () => {
+    const rejects = (strategy, pattern) => assert.throws(() => parseStrategy(strategy), error => error.status === 400 && pattern.test(error.message));
+
+    rejects(undefined, /strategy is required/);
+    rejects({ exit: { left: 'close', op: '>', right: 1 } }, /strategy.entry is required/);
+    rejects({ entry: { left: 'close', op: '=>', right: 1 } }, /op must be one of/);
+    rejects({ entry: { left: 'FOO(3)', op: '<', right: 1 } }, /Unknown indicator/);
+    rejects({ entry: { left: 'close', op: '<', right: 1 }, stopLossPercent: 150 }, /stopLossPercent/);
+});
+
+test('the backtest range is capped per timeframe before any candles are fetched', async () => {
+    const requests = [];
+    const backtester = createBacktester({ candleStore: { getCandles: async (request) => { requests.push(request); return candles; } } });
+    const body = { exchange: 'NSE', symboltoken: '1', strategy: DIP_STRATEGY };
+
+    await assert.rejects(backtester.run({ ...body, timeframe: 'ONE_MINUTE', fromdate: '2023-01-01', todate: '2024-01-08' }),
+        error => error.status === 400 && /at most 120 days of ONE_MINUTE/.test(error.message));
+    await assert.rejects(backtester.run({ ...body, timeframe: 'ONE_DAY', fromdate: '2010-01-01', todate: '2024-01-08' }),
+        error => error.status === 400 && /at most 3650 days/.test(error.message));
+    assert.equal(requests.length, 0);
+
+    // A year of daily bars is well within the cap
+    const result = await backtester.run({ ...body, timeframe: 'ONE_DAY', fromdate: '2023-01-08', todate: '2024-01-08' });
+    assert.equal(result.trades.length, 2);
+    assert.equal(requests.length, 1);
+});
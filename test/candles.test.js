@@ -0,0 +1,69 @@
+// test/candles.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCandleStore, parseIstDate, formatIstDate, validateCandleRequest } = require('../services/candles');
+
+const REQUEST = { exchange: 'NSE', symboltoken: '2885', timeframe: 'ONE_DAY', fromdate: '2024-01-01', todate: '2024-03-31 15:30' };
+
+test('parseIstDate reads IST dates and snaps date-only values to the day', () => {
+    assert.equal(new Date(parseIstDate('2024-01-01 09:15')).toISOString(), '2024-01-01T03:45:00.000Z');
+    assert.equal(new Date(parseIstDate('2024-01-01')).toISOString(), '2023-12-31T18:30:00.000Z');
+    assert.equal(new Date(parseIstDate('2024-01-01', true)).toISOString(), '2024-01-01T18:29:59.999Z');
+});
+
+test('parseIstDate rejects dates that do not exist', () => {
+    for (const value of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-01-01 24:00', '2024-01-01 09:60', '01-01-2024', 'bad']) {
+        assert.throws(() => parseIstDate(value), /Invalid date/, value);
+    }
+    assert.doesNotThrow(() => parseIstDate('2024-02-29'));
+});
+
+test('validateCandleRequest accepts a well-formed request', () => {
+    assert.doesNotThrow(() => validateCandleRequest(REQUEST));
+    assert.doesNotThrow(() => validateCandleRequest({ ...REQUEST, todate: REQUEST.fromdate }));
+    // Exactly at the cap: 120 days of minute bars
+    assert.doesNotThrow(() => validateCandleRequest({ ...REQUEST, timeframe: 'ONE_MINUTE', fromdate: '2024-01-01', todate: '2024-04-29' }));
+});
+
+test('validateCandleRequest answers bad input with a 400', () => {
+    const rejects = (overrides, pattern) => assert.throws(() => validateCandleRequest({ ...REQUEST, ...overrides }),
+        error => error.status === 400 && pattern.test(error.message));
+
+    rejects({ symboltoken: undefined }, /exchange and symboltoken are required/);
+    rejects({ timeframe: 'TWO_DAY' }, /Unsupported timeframe/);
+    rejects({ todate: undefined }, /fromdate and todate are required/);
+    rejects({ fromdate: '2024/01/01' }, /Invalid date/);
+    rejects({ fromdate: '2024-04-01' }, /must not be after todate/);
+    rejects({ timeframe: 'ONE_MINUTE', fromdate: '2023-10-01' }, /at most 120 days of ONE_MINUTE/);
+    rejects({ fromdate: '2010-01-01' }, /at most 3650 days of ONE_DAY/);
+    assert.throws(() => validateCandleRequest(), error => error.status === 400);
+});
+
+test('iterateCandles streams each chunk from upstream without filling the cache', async () => {
+    const requests = [];
+    // One daily bar per requested day, newest first as if upstream sent them unsorted
+    const fetchCandles = async (request) => {
+        requests.push(request);
+        const bars = [];
+        for (let time = parseIstDate(request.fromdate.slice(0, 10)); time <= parseIstDate(request.todate); time += 24 * 60 * 60 * 1000) {
+            bars.unshift([`${formatIstDate(time).slice(0, 10)}T00:00:00+05:30`, 1, 1, 1, 1, 1]);
+        }
+        return bars;
+    };
+    const store = createCandleStore({ fetchCandles });
+
+    const chunks = [];
+    for await (const candles of store.iterateCandles({ ...REQUEST, timeframe: 'ONE_DAY', fromdate: '2015-01-01', todate: '2024-01-01' })) {
+        chunks.push(candles);
+    }
+    // ONE_DAY allows 2000 days per request
+    assert.equal(requests.length, 2);
+    assert.equal(chunks.length, 2);
+    const times = chunks.flat().map(candle => candle.time);
+    assert.equal(times[0], '2015-01-01T00:00:00+05:30');
+    assert.equal(times[times.length - 1], '2024-01-01T00:00:00+05:30');
+    assert.deepEqual(times, [...times].sort());
+    assert.equal(new Set(times).size, times.length);
+    assert.equal(store.getStats().series, 0);
+});
@@ -0,0 +1,71 @@
+// test/health.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createMetrics } = require('../services/metrics');
+const { createRequestLogger } = require('../routes/requestLog');
+const { createHealthRoutes } = require('../routes/health');
+
+// The app as index.js wires it: request logging first, the health routes, then an API router with a parameter
+const startApp = async (t, { loaded = false, loggedInUserIds = [], requireSessionForReady = false } = {}) => {
+    const status = { loaded, count: loaded ? 1 : 0, loadedAt: null, source: null };
+    const instruments = { getStatus: () => ({ ...status }) };
+    const sessions = { loggedInUserIds: () => loggedInUserIds };
+    const metrics = createMetrics();
+
+    const app = express();
+    app.use(createRequestLogger({ metrics }));
+    app.use(createHealthRoutes({ instruments, sessions, metrics, requireSessionForReady }));
+    const quotes = express.Router();
+    quotes.get('/:exchange/:symboltoken', (req, res) => res.json({ exchange: req.params.exchange }));
+    app.use('/api/quotes', quotes);
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return { status, metrics, request: (path) => fetch(`${base}${path}`) };
+};
+
+// Latency is recorded when the response closes, which can land just after the client has read it
+const waitForSample = async (metrics, pattern) => {
+    for (let i = 0; i < 50 && !pattern.test(metrics.render()); i++) await new Promise(resolve => setTimeout(resolve, 10));
+    return metrics.render();
+};
+
+test('/readyz is a 503 until the instrument master is loaded', async (t) => {
+    const { status, request } = await startApp(t);
+    const before = await request('/readyz');
+    assert.equal(before.status, 503);
+    const body = await before.json();
+    assert.equal(body.status, 'not ready');
+    assert.equal(body.checks.instrumentMaster.ok, false);
+
+    status.loaded = true;
+    const after = await request('/readyz');
+    assert.equal(after.status, 200);
+    assert.equal((await after.json()).status, 'ready');
+    assert.equal((await request('/healthz')).status, 200);
+});
+
+test('with requireSessionForReady a logged-in broker session is needed too', async (t) => {
+    const { request } = await startApp(t, { loaded: true, requireSessionForReady: true });
+    const response = await request('/readyz');
+    assert.equal(response.status, 503);
+    assert.deepEqual((await response.json()).checks.brokerSession, { ok: false, loggedInUsers: 0 });
+});
+
+test('request latency is labelled by route pattern rather than the raw path', async (t) => {
+    const { metrics, request } = await startApp(t, { loaded: true });
+    await (await request('/api/quotes/NSE/3045')).json();
+    await (await request('/api/quotes/NFO/43210')).json();
+    await (await request('/nowhere/1')).text();
+
+    const matched = 'http_request_duration_seconds_count{method="GET",route="/api/quotes/:exchange/:symboltoken",status="200"}';
+    const rendered = await waitForSample(metrics, /route="unmatched"/);
+    assert.ok(rendered.includes(`${matched} 2`), rendered);
+    assert.ok(rendered.includes('http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1'), rendered);
+    assert.ok(!rendered.includes('3045'));
+});
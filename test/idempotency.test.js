@@ -0,0 +1,107 @@
+// test/idempotency.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIdempotencyStore } = require('../services/idempotency');
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'keys.json');
+};
+
+const REQUEST = { action: 'place', payload: { tradingsymbol: 'SBIN-EQ', quantity: '10' } };
+const PLACED = { status: 201, body: { status: true, data: { orderid: '1' } } };
+
+test('a repeated key replays the stored result without running again', async (t) => {
+    const store = createIdempotencyStore({ filePath: tempFile(t) });
+    let runs = 0;
+    const place = async () => {
+        runs++;
+        return PLACED;
+    };
+
+    assert.deepEqual(await store.execute('k1', REQUEST, place, 'u1'), { ...PLACED, replayed: false });
+    assert.deepEqual(await store.execute('k1', REQUEST, place, 'u1'), { ...PLACED, replayed: true });
+    assert.equal(runs, 1);
+
+    // Keys are per scope
+    assert.equal((await store.execute('k1', REQUEST, place, 'u2')).replayed, false);
+    assert.equal(runs, 2);
+});
+
+test('results survive a restart', async (t) => {
+    const filePath = tempFile(t);
+    await createIdempotencyStore({ filePath }).execute('k1', REQUEST, async () => PLACED, 'u1');
+    const restarted = createIdempotencyStore({ filePath });
+    assert.deepEqual(await restarted.execute('k1', REQUEST, async () => assert.fail('ran twice'), 'u1'), { ...PLACED, replayed: true });
+});
+
+test('a key reused with a different request is a 422', async (t) => {
+    const store = createIdempotencyStore({ filePath: tempFile(t) });
+    await store.execute('k1', REQUEST, async () => PLACED, 'u1');
+    await assert.rejects(store.execute('k1', { ...REQUEST, payload: { ...REQUEST.payload, quantity: '20' } }, async () => PLACED, 'u1'),
+        error => error.status === 422 && /different request/.test(error.message));
+});
+
+test('a key is a 409 while its request is still running', async (t) => {
+    const store = createIdempotencyStore({ filePath: tempFile(t) });
+    let finish;
+    const first = store.execute('k1', REQUEST, () => new Promise(resolve => { finish = resolve; }), 'u1');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await assert.rejects(store.execute('k1', REQUEST, async () => PLACED, 'u1'), { status: 409 });
+    finish(PLACED);
+    assert.equal((await first).status, 201);
+    assert.equal((await store.execute('k1', REQUEST, async () => PLACED, 'u1')).replayed, true);
+});
+
+test('a pending key left behind by a crash can be used again after pendingTtlMs', async (t) => {
+    const filePath = tempFile(t);
+    const stale = { 'u1:k1': { state: 'pending', requestHash: 'x', createdAt: Date.now() - 60 * 1000 } };
+    fs.writeFileSync(filePath, JSON.stringify(stale));
+
+    const strict = createIdempotencyStore({ filePath, pendingTtlMs: 5 * 60 * 1000 });
+    await assert.rejects(strict.execute('k1', REQUEST, async () => PLACED, 'u1'), { status: 422 });
+
+    const store = createIdempotencyStore({ filePath, pendingTtlMs: 30 * 1000 });
+    assert.deepEqual(await store.execute('k1', REQUEST, async () => PLACED, 'u1'), { ...PLACED, replayed: false });
+});
+
+test('definite rejections free the key, ambiguous failures keep it', async (t) => {
+    const store = createIdempotencyStore({ filePath: tempFile(t) });
+    const rateLimited = Object.assign(new Error('Angel One rate limit exceeded; try again shortly.'), { status: 429 });
+    const timedOut = Object.assign(new Error('Angel One did not respond in time.'), { status: 504 });
+
+    const rejected = await store.execute('k1', REQUEST, async () => { throw rateLimited; }, 'u1');
+    assert.deepEqual(rejected, { status: 429, body: { message: rateLimited.message }, replayed: false });
+    const risk = await store.execute('k1', REQUEST, async () => ({ status: 403, body: { status: false } }), 'u1');
+    assert.equal(risk.replayed, false);
+    assert.equal((await store.execute('k1', REQUEST, async () => PLACED, 'u1')).status, 201);
+
+    // The order may or may not have been placed, so retries see the timeout rather than placing it again
+    await store.execute('k2', REQUEST, async () => { throw timedOut; }, 'u1');
+    assert.deepEqual(await store.execute('k2', REQUEST, async () => PLACED, 'u1'), { status: 504, body: { message: timedOut.message }, replayed: true });
+    // Errors without a status are treated the same way
+    await store.execute('k3', REQUEST, async () => { throw new Error('socket hang up'); }, 'u1');
+    assert.equal((await store.execute('k3', REQUEST, async () => PLACED, 'u1')).status, 502);
+});
+
+test('a missing or oversized key is a 400', async (t) => {
+    const store = createIdempotencyStore({ filePath: tempFile(t) });
+    await assert.rejects(store.execute(undefined, REQUEST, async () => PLACED), { status: 400 });
+    await assert.rejects(store.execute('x'.repeat(129), REQUEST, async () => PLACED), { status: 400 });
+});
+
+test('a failed read is not remembered', async (t) => {
+    const filePath = tempFile(t);
+    fs.writeFileSync(filePath, '{"u1:k1": ');
+    const store = createIdempotencyStore({ filePath });
+    await assert.rejects(store.execute('k1', REQUEST, async () => PLACED, 'u1'), SyntaxError);
+
+    fs.writeFileSync(filePath, '{}');
+    assert.deepEqual(await store.execute('k1', REQUEST, async () => PLACED, 'u1'), { ...PLACED, replayed: false });
+});
@@ -0,0 +1,140 @@
+// test/instruments.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const { createInstrumentService, msUntilIstTime, normalizeExpiry, expiryToIsoDate } = require('../services/instruments');
+
+const row = (token, symbol, name, exch_seg = 'NSE', extra = {}) => ({ token, symbol, name, exch_seg, instrumenttype: '', expiry: '', ...extra });
+
+const MASTER = [
+    row('3045', 'SBIN-EQ', 'SBIN'),
+    row('5000', 'SBICARD-EQ', 'SBICARD'),
+    row('11915', 'YESBANK-EQ', 'YESBANK'),
+    row('1333', 'HDFCBANK-EQ', 'HDFCBANK'),
+    row('500112', 'SBIN', 'SBIN', 'BSE'),
+    row('2885', 'RELIANCE-EQ', 'RELIANCE'),
+    row('43210', 'SBIN25JUL24800CE', 'SBIN', 'NFO', { instrumenttype: 'OPTSTK', expiry: '25JUL2024' })
+];
+
+// A local scrip master download; `reply()` gives [status, rows] per request
+const startMaster = async (t, reply) => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        const [status, body] = reply(requests);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/master.json`, requests: () => requests };
+};
+
+const tempCache = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'instrument-master.json');
+};
+
+const loadedService = async (t, rows = MASTER) => {
+    const master = await startMaster(t, () => [200, rows]);
+    const instruments = createInstrumentService({ cachePath: tempCache(t), url: master.url });
+    await instruments.reload();
+    return instruments;
+};
+
+const symbols = (result) => result.results.map(instrument => `${instrument.exch_seg}:${instrument.symbol}`);
+
+test('search ranks exact symbols, then prefixes, then substrings, then fuzzy matches', async (t) => {
+    const instruments = await loadedService(t);
+
+    // Exact symbol first, then symbols and names starting with the query
+    assert.deepEqual(symbols(instruments.search({ q: 'sbin' })), ['BSE:SBIN', 'NSE:SBIN-EQ', 'NFO:SBIN25JUL24800CE']);
+    assert.deepEqual(symbols(instruments.search({ q: 'sbi' })), ['NSE:SBICARD-EQ', 'BSE:SBIN', 'NSE:SBIN-EQ', 'NFO:SBIN25JUL24800CE']);
+    // Substrings anywhere in the symbol or name come after prefixes
+    assert.deepEqual(symbols(instruments.search({ q: 'bank' })), ['NSE:YESBANK-EQ', 'NSE:HDFCBANK-EQ']);
+    // Fuzzy matches need at least three characters, in order
+    assert.deepEqual(symbols(instruments.search({ q: 'rlnc' })), ['NSE:RELIANCE-EQ']);
+    assert.equal(instruments.search({ q: 'rl' }).total, 0);
+});
+
+test('search filters by exchange, type and expiry and pages the results', async (t) => {
+    const instruments = await loadedService(t);
+
+    assert.deepEqual(symbols(instruments.search({ q: 'sbin', exchange: 'nse' })), ['NSE:SBIN-EQ']);
+    assert.deepEqual(symbols(instruments.search({ q: 'sbin', instrumenttype: 'optstk', expiry: '2024-07-25' })), ['NFO:SBIN25JUL24800CE']);
+    // An empty instrumenttype selects cash-segment rows
+    assert.equal(instruments.search({ q: 'sbin', instrumenttype: '' }).total, 2);
+
+    const page = instruments.search({ q: 'sbi', limit: 2, page: 2 });
+    assert.deepEqual({ total: page.total, page: page.page, limit: page.limit }, { total: 4, page: 2, limit: 2 });
+    assert.deepEqual(symbols(page), ['NSE:SBIN-EQ', 'NFO:SBIN25JUL24800CE']);
+    assert.equal(instruments.search({ limit: 1000 }).limit, 100);
+});
+
+test('lookups by token and symbol', async (t) => {
+    const instruments = await loadedService(t);
+    assert.equal(instruments.getByToken('nse', '3045').symbol, 'SBIN-EQ');
+    assert.equal(instruments.getByToken('NSE', '500112'), null);
+    assert.equal(instruments.getBySymbol('sbin').length, 1);
+    assert.deepEqual(instruments.getBySymbol('SBIN', 'NSE'), []);
+});
+
+test('a failed download keeps the loaded copy, and a cold start falls back to the disk cache', async (t) => {
+    const master = await startMaster(t, (count) => (count === 1 ? [200, MASTER] : [503, { message: 'unavailable' }]));
+    const cachePath = tempCache(t);
+    const instruments = createInstrumentService({ cachePath, url: master.url });
+    await instruments.reload();
+    assert.deepEqual({ ...instruments.getStatus(), loadedAt: null }, { loaded: true, count: MASTER.length, loadedAt: null, source: 'download' });
+
+    await instruments.reload();
+    assert.equal(instruments.getStatus().source, 'download');
+    assert.equal(instruments.getByToken('NSE', '3045').symbol, 'SBIN-EQ');
+
+    const restarted = createInstrumentService({ cachePath, url: master.url });
+    await restarted.reload();
+    assert.equal(restarted.getStatus().source, 'cache');
+    assert.equal(restarted.getStatus().count, MASTER.length);
+
+    const empty = createInstrumentService({ cachePath: tempCache(t), url: master.url });
+    await empty.reload();
+    assert.equal(empty.isLoaded(), false);
+});
+
+test('the master is downloaded again every day at the reload time (IST)', async (t) => {
+    // 2024-07-25 09:00 IST
+    const now = Date.parse('2024-07-25T03:30:00Z');
+    assert.equal(msUntilIstTime('08:45', now), (24 * 60 - 15) * 60 * 1000);
+    assert.equal(msUntilIstTime('09:30', now), 30 * 60 * 1000);
+
+    const reloaded = MASTER.concat(row('1594', 'INFY-EQ', 'INFY'));
+    const master = await startMaster(t, (count) => [200, count === 1 ? MASTER : reloaded]);
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now });
+    const cachePath = tempCache(t);
+    const instruments = createInstrumentService({ cachePath, url: master.url, reloadTime: '09:30' });
+    await instruments.start();
+    assert.equal(master.requests(), 1);
+    assert.equal(instruments.getBySymbol('INFY-EQ').length, 0);
+
+    // The reload has finished once it has rewritten the disk cache
+    const cachedCount = () => JSON.parse(fs.readFileSync(cachePath, 'utf8')).instruments.length;
+    t.mock.timers.tick(30 * 60 * 1000);
+    // Date and setTimeout are mocked, so the wait is bounded with the performance clock
+    const deadline = performance.now() + 5000;
+    while (cachedCount() < reloaded.length && performance.now() < deadline) await new Promise(resolve => setImmediate(resolve));
+    assert.equal(master.requests(), 2);
+    assert.equal(instruments.getBySymbol('INFY-EQ').length, 1);
+});
+
+test('expiries are read in either format', () => {
+    assert.equal(normalizeExpiry('2024-07-25'), '25JUL2024');
+    assert.equal(normalizeExpiry(' 25jul2024 '), '25JUL2024');
+    assert.equal(expiryToIsoDate('25JUL2024'), '2024-07-25');
+    assert.equal(expiryToIsoDate(''), null);
+});
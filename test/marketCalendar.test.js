@@ -0,0 +1,115 @@
+// test/marketCalendar.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMarketCalendar } = require('../services/marketCalendar');
+const { parseIstDate } = require('../services/candles');
+
+// Monday 24 June 2024
+const at = (time) => parseIstDate(`2024-06-24 ${time}`);
+
+test('currency derivatives trade 09:00 to 17:00 with no pre-open or post-close', () => {
+    const calendar = createMarketCalendar();
+    assert.equal(calendar.getPhase(at('08:59'), 'CDS'), 'closed');
+    assert.equal(calendar.getPhase(at('09:00'), 'CDS'), 'open');
+    assert.equal(calendar.getPhase(at('09:05'), 'NSE'), 'pre-open');
+    assert.equal(calendar.getPhase(at('16:00'), 'CDS'), 'open');
+    assert.equal(calendar.getPhase(at('16:00'), 'NSE'), 'closed');
+    assert.equal(calendar.getPhase(at('17:00'), 'CDS'), 'closed');
+    assert.equal(calendar.latestSessionDate(at('09:05'), 'CDS'), '2024-06-24');
+    assert.equal(calendar.latestSessionDate(at('09:05'), 'NSE'), '2024-06-21');
+});
+
+test('equity derivatives follow their parent exchange', () => {
+    const calendar = createMarketCalendar();
+    assert.equal(calendar.getPhase(at('15:35'), 'NFO'), 'closed');
+    assert.equal(calendar.getPhase(at('15:45'), 'NFO'), 'post-close');
+    assert.equal(calendar.getPhase(at('23:00'), 'NCDEX'), 'open');
+});
+
+test('currency derivatives close on NSE holidays unless CDS has its own list', () => {
+    const shared = createMarketCalendar({ holidays: { NSE: ['2024-06-24'] } });
+    assert.equal(shared.isOpen(at('10:00'), 'CDS'), false);
+    assert.equal(shared.nextOpen(at('10:00'), 'CDS'), parseIstDate('2024-06-25 09:00'));
+
+    const separate = createMarketCalendar({ holidays: { NSE: ['2024-06-24'], CDS: ['2024-06-25'] } });
+    assert.equal(separate.isOpen(at('10:00'), 'CDS'), true);
+    assert.equal(separate.isTradingDay('2024-06-25', 'CDS'), false);
+    assert.equal(separate.isTradingDay('2024-06-25', 'NSE'), true);
+});
+
+test('status reports the CDS sessions', () => {
+    const [status] = createMarketCalendar().getStatus(at('16:30'), ['CDS']).exchanges;
+    assert.equal(status.phase, 'open');
+    assert.deepEqual(status.sessions, { preOpen: null, normal: { start: '09:00', end: '17:00' }, postClose: null });
+    assert.equal(status.closesAt, new Date(at('17:00')).toISOString());
+});
+
+// Independence Day 2024 fell on a Thursday; 2 October on a Wednesday
+const HOLIDAYS = { NSE: [{ date: '2024-08-15', name: 'Independence Day' }, '2024-10-02'], MCX: ['2024-10-02'] };
+
+test('weekends and holidays are not trading days', () => {
+    const calendar = createMarketCalendar({ holidays: HOLIDAYS });
+    assert.equal(calendar.isTradingDay('2024-08-14'), true);
+    assert.equal(calendar.isTradingDay('2024-08-15'), false);
+    assert.equal(calendar.isTradingDay('2024-08-17'), false);
+    assert.equal(calendar.isTradingDay('2024-08-18'), false);
+    // Holidays only apply to the exchanges they are listed for (and the segments following them)
+    assert.equal(calendar.isTradingDay('2024-08-15', 'MCX'), true);
+    assert.equal(calendar.isTradingDay('2024-08-15', 'NFO'), false);
+    // A plain list applies to every exchange
+    assert.equal(createMarketCalendar({ holidays: ['2024-08-15'] }).isTradingDay('2024-08-15', 'MCX'), false);
+});
+
+test('previousTradingDay and nextTradingDay step over weekends and holidays', () => {
+    const calendar = createMarketCalendar({ holidays: HOLIDAYS });
+    assert.equal(calendar.previousTradingDay('2024-08-19'), '2024-08-16');
+    assert.equal(calendar.previousTradingDay('2024-08-16'), '2024-08-14');
+    assert.equal(calendar.previousTradingDay('2024-08-16', 'MCX'), '2024-08-15');
+    assert.equal(calendar.nextTradingDay('2024-08-14'), '2024-08-16');
+    assert.equal(calendar.nextTradingDay('2024-08-16'), '2024-08-19');
+    assert.equal(calendar.nextTradingDay('2024-10-01', 'MCX'), '2024-10-03');
+});
+
+test('latestSessionDate uses the IST date around midnight and the open', () => {
+    const calendar = createMarketCalendar({ holidays: HOLIDAYS });
+    // 00:30 IST on Monday is still Sunday in UTC, and Monday's session hasn't started
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-19 00:30')), '2024-08-16');
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-19 09:14')), '2024-08-16');
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-19 09:15')), '2024-08-19');
+    // Late in the evening it is still Monday's session, well after the close
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-19 23:59')), '2024-08-19');
+    // On a holiday the last session is the one before it
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-15 12:00')), '2024-08-14');
+    assert.equal(calendar.latestSessionDate(parseIstDate('2024-08-15 12:00'), 'MCX'), '2024-08-15');
+});
+
+test('live prices are only used while the normal session is open', () => {
+    const calendar = createMarketCalendar({ holidays: HOLIDAYS });
+    assert.equal(calendar.isOpen(parseIstDate('2024-08-14 09:14')), false);
+    assert.equal(calendar.isOpen(parseIstDate('2024-08-14 09:15')), true);
+    assert.equal(calendar.isOpen(parseIstDate('2024-08-14 15:29')), true);
+    assert.equal(calendar.isOpen(parseIstDate('2024-08-14 15:30')), false);
+    assert.equal(calendar.getPhase(parseIstDate('2024-08-15 11:00')), 'closed');
+    assert.equal(calendar.getPhase(parseIstDate('2024-08-17 11:00')), 'closed');
+    assert.equal(calendar.nextOpen(parseIstDate('2024-08-14 15:30')), parseIstDate('2024-08-16 09:15'));
+});
+
+test('MCX closes at 23:30 during US daylight saving time and at 23:55 otherwise', () => {
+    const calendar = createMarketCalendar();
+    // US clocks changed on 10 March and 3 November 2024
+    assert.equal(calendar.isOpen(parseIstDate('2024-03-08 23:40'), 'MCX'), true);
+    assert.equal(calendar.isOpen(parseIstDate('2024-03-11 23:40'), 'MCX'), false);
+    assert.equal(calendar.isOpen(parseIstDate('2024-03-11 23:29'), 'MCX'), true);
+    assert.equal(calendar.isOpen(parseIstDate('2024-11-01 23:40'), 'MCX'), false);
+    assert.equal(calendar.isOpen(parseIstDate('2024-11-04 23:40'), 'MCX'), true);
+    assert.equal(calendar.isOpen(parseIstDate('2024-11-04 23:55'), 'MCX'), false);
+    // Other exchanges keep their hours all year
+    assert.equal(calendar.isOpen(parseIstDate('2024-12-16 16:30'), 'CDS'), true);
+
+    const [winter] = calendar.getStatus(parseIstDate('2024-12-16 23:50'), ['MCX']).exchanges;
+    assert.deepEqual(winter.sessions.normal, { start: '09:00', end: '23:55' });
+    assert.equal(winter.closesAt, new Date(parseIstDate('2024-12-16 23:55')).toISOString());
+    const [summer] = calendar.getStatus(parseIstDate('2024-06-24 12:00'), ['MCX']).exchanges;
+    assert.deepEqual(summer.sessions.normal, { start: '09:00', end: '23:30' });
+});
@@ -0,0 +1,133 @@
+// test/newsSummary.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNewsSummaryService, parseSummary } = require('../services/newsSummary');
+const { createStubProvider } = require('../services/llm');
+
+const REPLY = {
+    bullets: ['Quarterly profit beat estimates.', 'New retail stores opened.'],
+    sentimentScore: 0.6,
+    keyRisks: ['Refining margins'],
+    newsFound: true
+};
+
+const RELIANCE = { exch_seg: 'NSE', token: '2885', symbol: 'RELIANCE-EQ', name: 'RELIANCE' };
+const instruments = {
+    isLoaded: () => true,
+    getByToken: (exchange, token) => (exchange === 'NSE' && token === '2885' ? RELIANCE : null)
+};
+
+// A year of daily candles climbing from 100, so the price context has every field filled in
+const candles = Array.from({ length: 260 }, (_, i) => ({
+    time: new Date(Date.UTC(2024, 0, 1) + i * 24 * 60 * 60 * 1000).toISOString(),
+    open: 100 + i, high: 101 + i, low: 99 + i, close: 100 + i, volume: 1000
+}));
+const stockAnalyzer = {
+    loadCandles: async () => candles,
+    analyze: async () => ({ currentPrice: 359, percentChange: 0.28, rsi: 71.2, dma20: 349.5, dma50: 334.5, dma200: 259.5 })
+};
+
+// The stub provider, counting calls and recording prompts; `replies` are used in turn, the last one repeating
+const createService = (replies, options = {}) => {
+    const calls = [];
+    const llm = createStubProvider({
+        respond: async (prompt) => {
+            calls.push(prompt);
+            if (options.delayMs) await new Promise(resolve => setTimeout(resolve, options.delayMs));
+            return replies[Math.min(calls.length, replies.length) - 1];
+        }
+    });
+    const service = createNewsSummaryService({ llm, instruments, stockAnalyzer, ttlMs: options.ttlMs });
+    return { service, calls };
+};
+
+const rejectsWith502 = (promise, pattern) => assert.rejects(promise, error => error.status === 502 && pattern.test(error.message) && error.details.provider === 'stub');
+
+test('parseSummary reads JSON wrapped in a code fence or prose', () => {
+    const fenced = `Here is the summary:\n\`\`\`json\n${JSON.stringify(REPLY, null, 2)}\n\`\`\``;
+    assert.deepEqual(parseSummary(fenced), REPLY);
+});
+
+test('parseSummary trims and caps the lists', () => {
+    const parsed = parseSummary(JSON.stringify({
+        ...REPLY,
+        bullets: [' one ', '', 'two', 'three', 'four', 'five', 'six'],
+        keyRisks: ['a', 'b', 'c', 'd'],
+        sentimentScore: 0.123456
+    }));
+    assert.deepEqual(parsed.bullets, ['one', 'two', 'three', 'four', 'five']);
+    assert.deepEqual(parsed.keyRisks, ['a', 'b', 'c']);
+    assert.equal(parsed.sentimentScore, 0.12);
+});
+
+test('parseSummary rejects replies that are not a valid summary', () => {
+    assert.throws(() => parseSummary('No news today.'), /no JSON object/);
+    assert.throws(() => parseSummary('{"bullets": [}'), /not valid JSON/);
+    assert.throws(() => parseSummary(JSON.stringify({ ...REPLY, bullets: [] })), /bullets/);
+    assert.throws(() => parseSummary(JSON.stringify({ ...REPLY, sentimentScore: 1.5 })), /sentimentScore/);
+    assert.throws(() => parseSummary(JSON.stringify({ ...REPLY, sentimentScore: '0.5' })), /sentimentScore/);
+    assert.throws(() => parseSummary(JSON.stringify({ ...REPLY, keyRisks: 'none' })), /keyRisks/);
+    assert.throws(() => parseSummary(JSON.stringify({ ...REPLY, newsFound: 'yes' })), /newsFound/);
+});
+
+test('summarizes a symbol with its price context and a sentiment label', async () => {
+    const { service, calls } = createService([REPLY]);
+    const summary = await service.summarize({ exchange: 'NSE', symboltoken: '2885' });
+
+    assert.equal(summary.symbol, 'RELIANCE-EQ');
+    assert.deepEqual(summary.bullets, REPLY.bullets);
+    assert.equal(summary.newsSummary, '* Quarterly profit beat estimates.\n* New retail stores opened.');
+    assert.deepEqual(summary.sentiment, { score: 0.6, label: 'bullish' });
+    assert.equal(summary.priceContext.currentPrice, 359);
+    assert.equal(summary.priceContext.weekChangePercent, 1.41);
+    assert.equal(summary.cached, false);
+    assert.match(calls[0], /RELIANCE \(RELIANCE-EQ on NSE\)/);
+    assert.match(calls[0], /Last price 359, 0.28% on the day/);
+});
+
+test('retries an unusable reply once, then answers 502', async () => {
+    const recovered = createService(['```json\n{"bullets": ["cut off', REPLY]);
+    assert.deepEqual((await recovered.service.summarize({ symboltoken: '2885' })).bullets, REPLY.bullets);
+    assert.equal(recovered.calls.length, 2);
+
+    const failing = createService(['Sorry, I cannot help with that.']);
+    await rejectsWith502(failing.service.summarize({ symboltoken: '2885' }), /no JSON object/);
+    assert.equal(failing.calls.length, 2);
+});
+
+test('an out-of-range sentimentScore is an unusable reply', async () => {
+    const { service, calls } = createService([{ ...REPLY, sentimentScore: -3 }]);
+    await rejectsWith502(service.summarize({ symboltoken: '2885' }), /sentimentScore must be a number between -1 and 1/);
+    assert.equal(calls.length, 2);
+});
+
+test('serves cached summaries until the TTL runs out', async () => {
+    const { service, calls } = createService([REPLY], { ttlMs: 50 });
+
+    assert.equal((await service.summarize({ symboltoken: '2885' })).cached, false);
+    assert.equal((await service.summarize({ symboltoken: '2885' })).cached, true);
+    assert.equal((await service.summarize({ symboltoken: '2885', refresh: true })).cached, false);
+    assert.deepEqual(service.getStats(), { hits: 1, misses: 2, entries: 1 });
+    assert.equal(calls.length, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepEqual(service.list(), []);
+    assert.equal((await service.summarize({ symboltoken: '2885' })).cached, false);
+    assert.equal(calls.length, 3);
+});
+
+test('concurrent requests for a symbol share one model call', async () => {
+    const { service, calls } = createService([REPLY], { delayMs: 20 });
+    const summaries = await Promise.all([1, 2, 3].map(() => service.summarize({ exchange: 'nse', symboltoken: '2885' })));
+
+    assert.equal(calls.length, 1);
+    assert.ok(summaries.every(summary => summary.cached === false && summary.generatedAt === summaries[0].generatedAt));
+});
+
+test('rejects unknown symbols and empty requests before calling the model', async () => {
+    const { service, calls } = createService([REPLY]);
+    await assert.rejects(service.summarize({ symboltoken: '9999' }), error => error.status === 404);
+    await assert.rejects(service.summarize({}), error => error.status === 400);
+    assert.equal(calls.length, 0);
+});
@@ -0,0 +1,121 @@
+// test/optionChain.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOptionChainService } = require('../services/optionChain');
+const { createMarketCalendar } = require('../services/marketCalendar');
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const future = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+const EXPIRY = `${String(future.getUTCDate()).padStart(2, '0')}${MONTHS[future.getUTCMonth()]}${future.getUTCFullYear()}`;
+
+// NIFTY strikes 100 to 200 with 100 contracts open on every leg, except heavy call writing at 110 and put writing
+// at 190, both outside the window around the 150 spot
+const STRIKES = [100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200];
+const OI = { '110CE': 5000, '190PE': 3000 };
+
+const contracts = STRIKES.flatMap(strike => ['CE', 'PE'].map(type => ({
+    token: `${strike}${type}`,
+    symbol: `NIFTY${EXPIRY}${strike}${type}`,
+    name: 'NIFTY',
+    expiry: EXPIRY,
+    strike: String(strike * 100),
+    lotsize: '75',
+    instrumenttype: 'OPTIDX',
+    exch_seg: 'NFO'
+})));
+const index = { token: '26000', symbol: 'Nifty 50', name: 'NIFTY', instrumenttype: 'AMXIDX', exch_seg: 'NSE' };
+
+const instruments = {
+    isLoaded: () => true,
+    filter: ({ exchange, instrumenttype }, predicate = () => true) => [...contracts, index]
+        .filter(row => row.exch_seg === exchange && (!instrumenttype || row.instrumenttype === instrumenttype) && predicate(row)),
+    getBySymbol: () => []
+};
+
+const createService = (t, options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'option-oi-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const requested = [];
+    const quoteService = {
+        calls: 0,
+        fail: false,
+        getQuotes: async (mode, exchangeTokens) => {
+            quoteService.calls++;
+            if (quoteService.fail) throw new Error('Angel One rate limit exceeded; try again shortly.');
+            requested.push(...exchangeTokens.NFO);
+            return exchangeTokens.NFO.map(token => ({
+                symbolToken: token,
+                ltp: 5,
+                opnInterest: OI[token] || 100,
+                tradeVolume: token.endsWith('CE') ? 20 : 10
+            }));
+        }
+    };
+    const service = createOptionChainService({
+        instruments,
+        quoteService,
+        priceService: { getPriceSnapshot: async () => ({ currentPrice: 150, isLive: true }) },
+        calendar: createMarketCalendar(),
+        filePath: path.join(dir, 'option-oi.json'),
+        ...options
+    });
+    return { service, requested, quoteService };
+};
+
+test('returns only the strikes around the ATM but quotes the whole expiry', async (t) => {
+    const { service, requested } = createService(t);
+    const chain = await service.getChain({ underlying: 'nifty', strikes: 1 });
+
+    assert.equal(chain.expiry, EXPIRY);
+    assert.equal(chain.atmStrike, 150);
+    assert.deepEqual(chain.strikes.map(row => row.strike), [140, 150, 160]);
+    assert.equal(chain.totalStrikes, STRIKES.length);
+    assert.equal(requested.length, STRIKES.length * 2);
+});
+
+test('PCR and max pain cover every strike of the expiry', async (t) => {
+    const { service } = createService(t);
+    const { summary } = await service.getChain({ underlying: 'NIFTY', strikes: 1 });
+
+    assert.equal(summary.callOi, 10 * 100 + 5000);
+    assert.equal(summary.putOi, 10 * 100 + 3000);
+    assert.equal(summary.pcr, 4000 / 6000);
+    assert.equal(summary.volumePcr, 0.5);
+    // Calls written at 110 outweigh puts written at 190, pulling max pain down to 110
+    assert.equal(summary.maxPain, 110);
+    assert.equal(summary.maxPainPayout, 278000);
+});
+
+test('the summary does not depend on how many strikes are returned', async (t) => {
+    const { service } = createService(t);
+    const narrow = await service.getChain({ underlying: 'NIFTY', strikes: 1 });
+    const wide = await service.getChain({ underlying: 'NIFTY', strikes: 5 });
+
+    assert.equal(wide.strikes.length, STRIKES.length);
+    assert.deepEqual(narrow.summary, wide.summary);
+});
+
+test('quotes are shared by requests for the same expiry until they go stale', async (t) => {
+    const { service, quoteService } = createService(t);
+    await Promise.all([service.getChain({ underlying: 'NIFTY', strikes: 1 }), service.getChain({ underlying: 'NIFTY', strikes: 5 })]);
+    await service.getChain({ underlying: 'NIFTY', riskFreeRate: 7 });
+    assert.equal(quoteService.calls, 1);
+
+    const { service: uncached, quoteService: uncachedQuotes } = createService(t, { quoteTtlMs: 0 });
+    await uncached.getChain({ underlying: 'NIFTY' });
+    await uncached.getChain({ underlying: 'NIFTY' });
+    assert.equal(uncachedQuotes.calls, 2);
+});
+
+test('a failed quote is not cached', async (t) => {
+    const { service, quoteService } = createService(t);
+    quoteService.fail = true;
+    await assert.rejects(service.getChain({ underlying: 'NIFTY' }), /rate limit/);
+    quoteService.fail = false;
+    assert.equal((await service.getChain({ underlying: 'NIFTY' })).summary.maxPain, 110);
+    assert.equal(quoteService.calls, 2);
+});
@@ -0,0 +1,66 @@
+// test/orders.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrderPayload } = require('../services/orders');
+
+// Scrip master rows: strikes and tick sizes are in paise
+const INSTRUMENTS = [
+    { token: '3045', symbol: 'SBIN-EQ', name: 'SBIN', exch_seg: 'NSE', lotsize: '1', tick_size: '5.000000' },
+    { token: '43210', symbol: 'NIFTY25JAN24000CE', name: 'NIFTY', exch_seg: 'NFO', lotsize: '75', tick_size: '5.000000' }
+];
+const instruments = {
+    isLoaded: () => true,
+    getByToken: (exchange, token) => INSTRUMENTS.find(row => row.exch_seg === exchange && row.token === String(token)) || null
+};
+
+const CASH_ORDER = { exchange: 'NSE', symboltoken: '3045', transactiontype: 'BUY', ordertype: 'LIMIT', producttype: 'DELIVERY', price: '812.35', quantity: '10' };
+const OPTION_ORDER = { exchange: 'NFO', symboltoken: '43210', transactiontype: 'SELL', ordertype: 'MARKET', producttype: 'CARRYFORWARD', quantity: '150' };
+
+const rejects = (body, pattern, options) => assert.throws(() => buildOrderPayload(instruments, body, options),
+    error => error.status === 400 && pattern.test(error.message));
+
+test('builds the payload Angel One expects from the instrument master', () => {
+    assert.deepEqual(buildOrderPayload(instruments, CASH_ORDER), {
+        variety: 'NORMAL',
+        tradingsymbol: 'SBIN-EQ',
+        symboltoken: '3045',
+        exchange: 'NSE',
+        ordertype: 'LIMIT',
+        producttype: 'DELIVERY',
+        duration: 'DAY',
+        price: '812.35',
+        triggerprice: '0',
+        quantity: '10',
+        transactiontype: 'BUY'
+    });
+    assert.equal(buildOrderPayload(instruments, OPTION_ORDER).tradingsymbol, 'NIFTY25JAN24000CE');
+});
+
+test('quantity must be a whole number of lots', () => {
+    rejects({ ...OPTION_ORDER, quantity: '100' }, /multiple of the lot size \(75\)/);
+    rejects({ ...CASH_ORDER, quantity: '2.5' }, /multiple of the lot size \(1\)/);
+    rejects({ ...CASH_ORDER, quantity: '0' }, /quantity must be greater than zero/);
+});
+
+test('prices must sit on the tick size', () => {
+    rejects({ ...CASH_ORDER, price: '812.32' }, /not a multiple of the tick size \(0.05\)/);
+    rejects({ ...CASH_ORDER, variety: 'STOPLOSS', ordertype: 'STOPLOSS_LIMIT', price: '812.35', triggerprice: '810.01' }, /triggerprice 810.01/);
+    assert.equal(buildOrderPayload(instruments, { ...CASH_ORDER, variety: 'STOPLOSS', ordertype: 'STOPLOSS_LIMIT', triggerprice: '810.05' }).triggerprice, '810.05');
+});
+
+test('product types are only accepted on their segments', () => {
+    rejects({ ...OPTION_ORDER, producttype: 'DELIVERY' }, /DELIVERY orders are only allowed on NSE\/BSE, not NFO/);
+    rejects({ ...CASH_ORDER, producttype: 'CARRYFORWARD' }, /CARRYFORWARD orders are only allowed on derivative segments, not NSE/);
+    assert.equal(buildOrderPayload(instruments, { ...CASH_ORDER, producttype: 'INTRADAY' }).producttype, 'INTRADAY');
+});
+
+test('the instrument, order type and symbol are checked', () => {
+    rejects({ ...CASH_ORDER, symboltoken: '999' }, /not found in the instrument master/);
+    rejects({ ...CASH_ORDER, tradingsymbol: 'SBI-EQ' }, /does not match token 3045/);
+    rejects({ ...CASH_ORDER, ordertype: 'MARKET' }, /MARKET orders must not carry a price/);
+    rejects({ ...CASH_ORDER, transactiontype: undefined }, /transactiontype must be one of/);
+    // Modifications don't repeat the side
+    assert.equal(buildOrderPayload(instruments, { ...CASH_ORDER, transactiontype: undefined }, { requireAll: false }).transactiontype, undefined);
+    assert.throws(() => buildOrderPayload({ isLoaded: () => false }, CASH_ORDER), { status: 503 });
+});
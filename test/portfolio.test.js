@@ -0,0 +1,65 @@
+// test/portfolio.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPortfolioService } = require('../services/portfolio');
+const POSITION_BOOK = require('./fixtures/positionBook.json');
+
+const HOLDINGS = [{ exchange: 'NSE', symboltoken: '11536', tradingsymbol: 'TCS-EQ', quantity: '5', t1quantity: '0', averageprice: '3000', ltp: '3400' }];
+const INSTRUMENTS = {
+    'NSE:3045': { name: 'SBIN', instrumenttype: '' },
+    'NSE:11536': { name: 'TCS', instrumenttype: '' },
+    'NFO:43210': { name: 'NIFTY', instrumenttype: 'OPTIDX' },
+    'CDS:1234': { name: 'USDINR', instrumenttype: 'FUTCUR' }
+};
+const LTP = { 'NSE:3045': 805, 'NSE:11536': 3500, 'NFO:43210': 110, 'CDS:1234': 83.45 };
+
+const createPortfolio = () => createPortfolioService({
+    angel: { call: async (name) => ({ getHolding: HOLDINGS, getRMS: { net: '250000', availablecash: '200000', utiliseddebits: '50000' } })[name] },
+    orders: { getPositions: async () => POSITION_BOOK },
+    priceService: {
+        getPriceSnapshots: async (list) => new Map(list.map(({ exchange, symboltoken }) => {
+            const key = `${exchange}:${symboltoken}`;
+            return [key, { currentPrice: LTP[key], netChange: 0, percentChange: 0 }];
+        }))
+    },
+    instruments: { getByToken: (exchange, token) => INSTRUMENTS[`${exchange}:${token}`] || null },
+    sectors: { TCS: 'IT', NIFTY: 'Index', 'NSE:3045': 'Financials' }
+});
+
+test('realized P&L includes quantities carried forward from earlier sessions', async () => {
+    const { positions, totals } = await createPortfolio().getSummary();
+    const [intraday, carriedLong, carriedShort] = positions;
+
+    // Bought 10 at 800 and sold them at 810 today
+    assert.equal(intraday.realizedPnl, 100);
+    assert.equal(intraday.quantity, 0);
+
+    // 150 carried in at 100 plus 75 bought today at 106 average 102; 75 sold at 120
+    assert.equal(carriedLong.realizedPnl, 1350);
+    assert.equal(carriedLong.averagePrice, 102);
+    assert.equal(carriedLong.unrealizedPnl, 1200);
+
+    // 2 lots shorted overnight at 83.50, one bought back today at 83.40, on a 1000 multiplier
+    assert.equal(carriedShort.realizedPnl, 100);
+    assert.equal(carriedShort.averagePrice, 83.5);
+    assert.equal(carriedShort.unrealizedPnl, 50);
+    assert.equal(carriedShort.marketValue, 83450);
+
+    assert.equal(totals.realizedPnl, 1550);
+    assert.equal(totals.unrealizedPnl, 2500 + 1200 + 50);
+});
+
+test('open holdings and positions are allocated by sector, instrument type and exchange', async () => {
+    const { allocation, funds } = await createPortfolio().getSummary();
+    const values = (groups) => Object.fromEntries(groups.map(({ key, value }) => [key, value]));
+
+    // The closed SBIN trade is left out; USDINR has no sector in the map
+    assert.deepEqual(values(allocation.bySector), { UNCLASSIFIED: 83450, IT: 17500, Index: 16500 });
+    assert.deepEqual(allocation.bySector.map(({ key }) => key), ['UNCLASSIFIED', 'IT', 'Index']);
+    assert.deepEqual(values(allocation.byInstrumentType), { FUTCUR: 83450, EQUITY: 17500, OPTIDX: 16500 });
+    assert.deepEqual(values(allocation.byExchange), { CDS: 83450, NSE: 17500, NFO: 16500 });
+    assert.ok(Math.abs(allocation.bySector.reduce((sum, { percent }) => sum + percent, 0) - 100) < 0.05);
+
+    assert.deepEqual(funds, { net: 250000, availableCash: 200000, utilisedDebits: 50000 });
+});
@@ -0,0 +1,64 @@
+// test/pricing.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPriceService } = require('../services/pricing');
+const { createMarketCalendar } = require('../services/marketCalendar');
+const { parseIstDate } = require('../services/candles');
+
+// Daily closes for Wednesday 14 and Friday 16 August 2024, around the Independence Day holiday
+const CANDLES = [
+    { time: '2024-08-14T00:00:00+05:30', open: 100, high: 100, low: 100, close: 100, volume: 10 },
+    { time: '2024-08-16T00:00:00+05:30', open: 102, high: 102, low: 102, close: 102, volume: 20 }
+];
+
+const createPricing = () => {
+    const quoted = [];
+    const candleRequests = [];
+    const priceService = createPriceService({
+        calendar: createMarketCalendar({ holidays: { NSE: ['2024-08-15'] } }),
+        quoteService: {
+            getQuotes: async (mode, exchangeTokens) => {
+                quoted.push(exchangeTokens);
+                return [{ exchange: 'NSE', symbolToken: '3045', ltp: 105 }];
+            }
+        },
+        candleStore: {
+            getCandles: async (request) => {
+                candleRequests.push(request);
+                return CANDLES.filter(candle => candle.time.slice(0, 10) <= request.todate);
+            }
+        }
+    });
+    return { priceService, quoted, candleRequests };
+};
+
+test('quotes the live LTP against the previous close while the exchange is open', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: parseIstDate('2024-08-16 15:29') });
+    const { priceService, quoted } = createPricing();
+    const snapshot = await priceService.getPriceSnapshot({ exchange: 'NSE', symboltoken: '3045' });
+    assert.equal(quoted.length, 1);
+    assert.deepEqual(snapshot, { currentPrice: 105, previousClose: 100, isLive: true, volume: 20, netChange: 5, percentChange: 5 });
+});
+
+test('uses the last two daily closes once the session has ended', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: parseIstDate('2024-08-16 15:30') });
+    const { priceService, quoted, candleRequests } = createPricing();
+    const snapshot = await priceService.getPriceSnapshot({ exchange: 'NSE', symboltoken: '3045' });
+    assert.equal(quoted.length, 0);
+    assert.equal(snapshot.isLive, false);
+    assert.equal(snapshot.currentPrice, 102);
+    assert.equal(snapshot.previousClose, 100);
+    // Two sessions before Friday, stepping over the holiday
+    assert.equal(candleRequests[0].fromdate, '2024-08-13');
+});
+
+test('just after midnight the previous session is the latest one', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: parseIstDate('2024-08-17 00:10') });
+    const { priceService, quoted, candleRequests } = createPricing();
+    const snapshot = await priceService.getPriceSnapshot({ exchange: 'NSE', symboltoken: '3045' });
+    assert.equal(quoted.length, 0);
+    assert.equal(snapshot.currentPrice, 102);
+    assert.equal(candleRequests[0].fromdate, '2024-08-13');
+    assert.equal(candleRequests[0].todate, '2024-08-17');
+});
@@ -0,0 +1,137 @@
+// test/risk.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRiskEngine } = require('../services/risk');
+
+const ORDER = {
+    variety: 'NORMAL',
+    tradingsymbol: 'SBIN-EQ',
+    symboltoken: '3045',
+    exchange: 'NSE',
+    transactiontype: 'BUY',
+    ordertype: 'LIMIT',
+    producttype: 'INTRADAY',
+    duration: 'DAY',
+    price: '100',
+    triggerprice: '0',
+    quantity: '10'
+};
+
+// A day down 60000 on one closed position, with the default 50000 loss limit
+const LOSING_DAY = [{ exchange: 'NSE', symboltoken: '2885', buyamount: '160000', sellamount: '100000', netqty: '0', ltp: '0' }];
+
+const createEngine = (t, { ltp = 100, positions = [], orderBook = [] } = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'risk.json');
+    const calls = { positions: 0, orderBook: 0 };
+    const orders = {
+        getPositions: async () => {
+            calls.positions++;
+            if (positions instanceof Error) throw positions;
+            return positions;
+        },
+        getOrderBook: async () => {
+            calls.orderBook++;
+            return orderBook;
+        }
+    };
+    const risk = createRiskEngine({
+        priceService: { getPriceSnapshot: async () => ({ currentPrice: ltp }) },
+        orders,
+        instruments: { getByToken: () => ({ name: 'SBIN' }) },
+        filePath
+    });
+    return { risk, calls, filePath };
+};
+
+const codes = (verdict) => verdict.reasons.map(reason => reason.code);
+
+test('an order within every limit is allowed', async (t) => {
+    const { risk, calls } = createEngine(t);
+    assert.deepEqual(await risk.evaluate(ORDER), { allowed: true, reasons: [] });
+    assert.equal(calls.positions, 1);
+});
+
+test('the kill switch rejects every order and is recorded', async (t) => {
+    const { risk } = createEngine(t);
+    await risk.setKillSwitch(true, 'desk review');
+    const verdict = await risk.evaluate(ORDER, { userId: 'u1' });
+    assert.equal(verdict.allowed, false);
+    assert.deepEqual(codes(verdict), ['KILL_SWITCH']);
+    assert.match(verdict.reasons[0].message, /desk review/);
+
+    const [rejection] = await risk.getRejections(10, 'u1');
+    assert.equal(rejection.action, 'place');
+    assert.deepEqual(rejection.reasons.map(reason => reason.code), ['KILL_SWITCH']);
+});
+
+test('orders worth more than maxNotionalPerOrder are rejected', async (t) => {
+    const { risk } = createEngine(t);
+    await risk.updateLimits({ maxNotionalPerOrder: 5000 });
+    const verdict = await risk.evaluate({ ...ORDER, quantity: '60' });
+    assert.deepEqual(codes(verdict), ['MAX_NOTIONAL']);
+    assert.equal(verdict.reasons[0].notional, 6000);
+    // A market order is valued at the LTP
+    assert.deepEqual(codes(await risk.evaluate({ ...ORDER, ordertype: 'MARKET', price: '0', quantity: '49' })), []);
+});
+
+test('prices outside the band around the LTP are rejected', async (t) => {
+    const { risk } = createEngine(t);
+    assert.deepEqual(codes(await risk.evaluate({ ...ORDER, price: '106' })), ['PRICE_BAND']);
+    assert.deepEqual(codes(await risk.evaluate({ ...ORDER, price: '95' })), []);
+    assert.deepEqual(codes(await risk.evaluate({ ...ORDER, ordertype: 'STOPLOSS_LIMIT', price: '100', triggerprice: '90' })), ['PRICE_BAND']);
+});
+
+test('the position checks fail closed when positions cannot be loaded', async (t) => {
+    const { risk } = createEngine(t, { positions: new Error('Angel One did not respond in time.') });
+    const verdict = await risk.evaluate(ORDER);
+    assert.deepEqual(codes(verdict), ['RISK_DATA_UNAVAILABLE']);
+    assert.match(verdict.reasons[0].message, /did not respond in time/);
+
+    // With both limits switched off there is nothing to load
+    await risk.updateLimits({ maxDailyLoss: null, maxOpenPositions: null });
+    assert.deepEqual(codes(await risk.evaluate(ORDER)), []);
+});
+
+test('new orders are refused once the daily loss limit is reached', async (t) => {
+    const { risk } = createEngine(t, { positions: LOSING_DAY });
+    const verdict = await risk.evaluate(ORDER);
+    assert.deepEqual(codes(verdict), ['MAX_DAILY_LOSS']);
+    assert.equal(verdict.reasons[0].dailyPnl, -60000);
+});
+
+test('a modification that raises the quantity is held to the loss limit', async (t) => {
+    const orderBook = [{ orderid: '240101000001', quantity: '10', price: '100', triggerprice: '0' }];
+    const { risk, calls } = createEngine(t, { positions: LOSING_DAY, orderBook });
+    const modify = { ...ORDER, orderid: '240101000001' };
+    delete modify.transactiontype;
+
+    const raised = await risk.evaluate({ ...modify, quantity: '20' }, { action: 'modify' });
+    assert.deepEqual(codes(raised), ['MAX_DAILY_LOSS']);
+
+    const repriced = await risk.evaluate({ ...modify, price: '101' }, { action: 'modify' });
+    assert.deepEqual(codes(repriced), ['MAX_DAILY_LOSS']);
+
+    // Cutting the order down only lowers exposure, so it goes through even on a losing day
+    const lowered = await risk.evaluate({ ...modify, quantity: '5' }, { action: 'modify' });
+    assert.deepEqual(codes(lowered), []);
+    assert.equal(calls.orderBook, 3);
+    assert.equal(calls.positions, 2);
+
+    const unknown = await risk.evaluate({ ...modify, orderid: '999' }, { action: 'modify' });
+    assert.deepEqual(codes(unknown), ['ORDER_NOT_FOUND']);
+});
+
+test('limits are read again after the file could not be parsed', async (t) => {
+    const { risk, filePath } = createEngine(t);
+    fs.writeFileSync(filePath, 'not json');
+    await assert.rejects(risk.evaluate(ORDER), SyntaxError);
+
+    fs.writeFileSync(filePath, JSON.stringify({ killSwitch: { enabled: true, reason: 'halted' } }));
+    assert.deepEqual(codes(await risk.evaluate(ORDER)), ['KILL_SWITCH']);
+});
@@ -0,0 +1,128 @@
+// test/screener.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScreener } = require('../services/screener');
+
+const ALICE = { id: 'u1', role: 'analyst' };
+const BOB = { id: 'u2', role: 'analyst' };
+
+// `count` NSE equities, SYM1-EQ... with tokens 1..count
+const universeOf = (count) => Array.from({ length: count }, (_, i) => ({
+    token: String(i + 1), symbol: `SYM${i + 1}-EQ`, name: `SYM${i + 1}`, exch_seg: 'NSE', instrumenttype: ''
+}));
+
+const instrumentsFor = (rows) => ({
+    isLoaded: () => true,
+    getByToken: (exchange, token) => rows.find(row => row.exch_seg === exchange && row.token === String(token)) || null,
+    getBySymbol: (symbol, exchange) => rows.filter(row => row.symbol === symbol && (!exchange || row.exch_seg === exchange)),
+    filter: ({ exchange }, predicate) => rows.filter(row => row.exch_seg === exchange && predicate(row))
+});
+
+// Each symbol's last close is its token; loads take a few milliseconds and the most at once is recorded
+const createCandleStore = ({ failFor = [] } = {}) => {
+    const store = { active: 0, maxActive: 0, calls: 0 };
+    store.getCandles = async ({ symboltoken }) => {
+        store.calls++;
+        store.active++;
+        store.maxActive = Math.max(store.maxActive, store.active);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        store.active--;
+        if (failFor.includes(symboltoken)) throw Object.assign(new Error('No data for this token.'), { status: 400, errorcode: 'AB1019' });
+        const close = Number(symboltoken);
+        return [{ time: '2024-07-25T00:00:00+05:30', open: close, high: close, low: close, close, volume: 100 }];
+    };
+    return store;
+};
+
+const ABOVE_TEN = { conditions: { left: 'close', op: '>', right: 10 } };
+
+const waitFor = async (predicate) => {
+    for (let i = 0; i < 500 && !predicate(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+test('small universes are screened inline', async () => {
+    const candleStore = createCandleStore();
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(50)), candleStore, watchlists: {} });
+    const { inline, job } = await screener.start({ ...ABOVE_TEN, universe: { exchange: 'NSE' }, sort: 'close', limit: 5 }, ALICE);
+
+    assert.equal(inline, true);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual({ total: job.total, processed: job.processed, matched: job.matched, progressPercent: job.progressPercent },
+        { total: 50, processed: 50, matched: 40, progressPercent: 100 });
+    // Sorted on the close, highest first, and paged
+    assert.deepEqual(job.results.items.map(row => row.symbol), ['SYM50-EQ', 'SYM49-EQ', 'SYM48-EQ', 'SYM47-EQ', 'SYM46-EQ']);
+});
+
+test('larger universes run in the background, a few symbols at a time', async () => {
+    const candleStore = createCandleStore();
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(51)), candleStore, watchlists: {}, concurrency: 2 });
+    const { inline, job } = await screener.start({ ...ABOVE_TEN, universe: { exchange: 'NSE' } }, ALICE);
+
+    assert.equal(inline, false);
+    assert.equal(job.status, 'running');
+    assert.ok(job.processed < job.total);
+    assert.equal(screener.listJobs(ALICE.id).length, 1);
+
+    await waitFor(() => screener.getJob(job.id, ALICE.id).status !== 'running');
+    const finished = screener.getJob(job.id, ALICE.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.matched, 41);
+    assert.equal(candleStore.maxActive, 2);
+
+    // Jobs belong to whoever started them
+    assert.throws(() => screener.getJob(job.id, BOB.id), { status: 404 });
+    assert.deepEqual(screener.listJobs(BOB.id), []);
+});
+
+test('a cancelled job stops fetching', async () => {
+    const candleStore = createCandleStore();
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(200)), candleStore, watchlists: {}, concurrency: 1 });
+    const { job } = await screener.start({ ...ABOVE_TEN, universe: { exchange: 'NSE' } }, ALICE);
+
+    assert.equal(screener.cancel(job.id, ALICE.id).status, 'cancelled');
+    await waitFor(() => screener.getJob(job.id, ALICE.id).finishedAt !== null);
+    const cancelled = screener.getJob(job.id, ALICE.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.ok(candleStore.calls < 200, `${candleStore.calls} symbols fetched`);
+});
+
+test('a symbol that fails is counted and the rest still run', async () => {
+    const candleStore = createCandleStore({ failFor: ['12'] });
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(20)), candleStore, watchlists: {} });
+    const { job } = await screener.start({ ...ABOVE_TEN, universe: { symbols: ['NSE:SYM12-EQ', 'SYM15-EQ', { exchange: 'nse', symboltoken: '3' }] } }, ALICE);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.failed, 1);
+    assert.deepEqual(job.errors, [{ symbol: 'SYM12-EQ', status: 400, errorcode: 'AB1019', message: 'No data for this token.' }]);
+    assert.deepEqual(job.results.items.map(row => row.symbol), ['SYM15-EQ']);
+});
+
+test('the universe is capped and has to match something', async () => {
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(5001)), candleStore: createCandleStore(), watchlists: {} });
+    await assert.rejects(screener.start({ ...ABOVE_TEN, universe: { exchange: 'NSE' } }, ALICE),
+        error => error.status === 400 && /has 5001 instruments; narrow it to at most 5000/.test(error.message));
+    // The cap applies after duplicates are dropped
+    const symbols = Array.from({ length: 5001 }, () => 'SYM1-EQ');
+    const { job } = await screener.start({ ...ABOVE_TEN, universe: { symbols } }, ALICE);
+    assert.equal(job.total, 1);
+
+    await assert.rejects(screener.start({ ...ABOVE_TEN, universe: { exchange: 'BSE' } }, ALICE), /matched no instruments/);
+    await assert.rejects(screener.start({ ...ABOVE_TEN, universe: { symbols: ['NOPE'] } }, ALICE), /Unknown symbol "NOPE"/);
+    await assert.rejects(screener.start({ ...ABOVE_TEN, timeframe: 'TWO_DAY' }, ALICE), /Unsupported timeframe/);
+});
+
+test('a watchlist universe is read as the requesting user', async () => {
+    const seen = [];
+    const watchlists = {
+        get: async (id, user) => {
+            seen.push([id, user.id]);
+            return { items: [{ exchange: 'NSE', symboltoken: '11' }, { exchange: 'NSE', symboltoken: '999' }] };
+        }
+    };
+    const screener = createScreener({ instruments: instrumentsFor(universeOf(20)), candleStore: createCandleStore(), watchlists });
+    const { job } = await screener.start({ ...ABOVE_TEN, universe: { watchlist: 'w1' } }, ALICE);
+    assert.deepEqual(seen, [['w1', 'u1']]);
+    // Items no longer in the instrument master are skipped
+    assert.equal(job.total, 1);
+});
@@ -0,0 +1,126 @@
+// test/session.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionManager } = require('../services/session');
+
+const CREDENTIALS = { clientId: 'A123', password: '1234', totpSecret: 'JBSWY3DPEHPK3PXP' };
+
+// Answers login and getProfile, recording the SmartAPI key each call would be sent with
+const createAngel = () => {
+    const calls = [];
+    const angel = {
+        call: async (name, { session }) => {
+            calls.push({ name, apiKey: session.getApiKey() });
+            if (name === 'login') return { jwtToken: 'jwt', feedToken: 'feed', refreshToken: 'refresh' };
+            if (name === 'getProfile') return { name: 'Test User' };
+            return null;
+        }
+    };
+    return { angel, calls };
+};
+
+test('logs in with the server key when the user has none', async () => {
+    const { angel, calls } = createAngel();
+    const session = createSessionManager({ angel, getCredentials: async () => CREDENTIALS, defaultApiKey: 'server-key' });
+
+    assert.deepEqual(await session.login(), { name: 'Test User' });
+    assert.equal(session.isLoggedIn(), true);
+    assert.deepEqual(calls.map(call => call.name), ['login', 'getProfile']);
+    await session.logout();
+});
+
+test('logs in with the user\'s own key when the server has none', async () => {
+    const { angel, calls } = createAngel();
+    const session = createSessionManager({ angel, getCredentials: async () => ({ ...CREDENTIALS, apiKey: 'user-key' }) });
+
+    await session.login();
+    assert.equal(session.isLoggedIn(), true);
+    assert.deepEqual(calls.map(call => call.apiKey), ['user-key', 'user-key']);
+    await session.logout();
+});
+
+test('refuses to log in without any SmartAPI key', async () => {
+    const { angel, calls } = createAngel();
+    const session = createSessionManager({ angel, getCredentials: async () => CREDENTIALS });
+
+    await assert.rejects(session.login(), error => error.status === 400 && /No SmartAPI key/.test(error.message));
+    assert.equal(calls.length, 0);
+    assert.equal(session.isLoggedIn(), false);
+});
+
+const jwtExpiringIn = (ms) => `h.${Buffer.from(JSON.stringify({ exp: Math.floor((Date.now() + ms) / 1000) })).toString('base64url')}.s`;
+
+// Lets the promise chains a fired timer started run to completion
+const settle = async () => {
+    for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+test('a failed background refresh is retried with backoff and the session expires with the JWT', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2024-01-01T03:30:00Z') });
+    const calls = [];
+    let loginsAllowed = 1;
+    const angel = {
+        call: async (name) => {
+            calls.push(name);
+            if (name === 'login') {
+                if (loginsAllowed-- <= 0) throw new Error('Angel One did not respond in time.');
+                return { jwtToken: jwtExpiringIn(10 * 60 * 1000), refreshToken: 'refresh' };
+            }
+            if (name === 'generateTokens') throw new Error('Angel One did not respond in time.');
+            return {};
+        }
+    };
+    const session = createSessionManager({ angel, getCredentials: async () => CREDENTIALS, defaultApiKey: 'server-key' });
+    await session.login();
+    const attempts = () => calls.filter(name => name === 'generateTokens').length;
+
+    // The refresh is due five minutes before the ten-minute JWT expires
+    t.mock.timers.tick(5 * 60 * 1000);
+    await settle();
+    assert.equal(attempts(), 1);
+    assert.equal(session.isLoggedIn(), true);
+
+    // Then 30s, 60s and 120s later; the next retry is cut short by the expiry
+    for (const [delay, expected] of [[30 * 1000, 2], [60 * 1000, 3], [120 * 1000, 4]]) {
+        t.mock.timers.tick(delay - 1);
+        await settle();
+        assert.equal(attempts(), expected - 1);
+        t.mock.timers.tick(1);
+        await settle();
+        assert.equal(attempts(), expected);
+    }
+    assert.equal(session.isLoggedIn(), true);
+
+    t.mock.timers.tick(90 * 1000);
+    await settle();
+    assert.equal(attempts(), 5);
+    assert.equal(session.isLoggedIn(), false);
+    assert.equal(session.getStatus().expiresAt, null);
+});
+
+test('a refresh that finishes after logout does not bring the session back', async () => {
+    let finishRefresh;
+    const calls = [];
+    const angel = {
+        call: async (name) => {
+            calls.push(name);
+            if (name === 'login') return { jwtToken: 'jwt', refreshToken: 'refresh' };
+            if (name === 'generateTokens') return new Promise(resolve => { finishRefresh = resolve; });
+            return {};
+        }
+    };
+    const session = createSessionManager({ angel, getCredentials: async () => CREDENTIALS, defaultApiKey: 'server-key' });
+    await session.login();
+
+    const renewing = session.refresh();
+    await settle();
+    await session.logout();
+    finishRefresh({ jwtToken: 'renewed', refreshToken: 'refresh-2' });
+
+    await assert.rejects(renewing, /Logged out/);
+    assert.equal(session.isLoggedIn(), false);
+    assert.equal(session.getJwtToken(), null);
+    // Nor does it fall back to a fresh login
+    assert.deepEqual(calls, ['login', 'getProfile', 'generateTokens', 'logout']);
+});
@@ -0,0 +1,221 @@
+// test/smartStream.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const WebSocket = require('ws');
+const { createSmartStream, parseTick } = require('../services/smartStream');
+const { createStreamHub } = require('../services/streamHub');
+const { createStreamRoutes } = require('../routes/stream');
+const hexFrames = require('./fixtures/smartStreamFrames.json');
+
+// SmartStream v2 binary ticks laid out as Angel One documents them: RELIANCE (NSE 2885) in LTP mode, a USDINR
+// future (CDS 1165) in LTP mode, INFY (NSE 1594) in QUOTE mode and an NFO option (43210) in SNAP_QUOTE mode
+const FRAMES = Object.fromEntries(Object.entries(hexFrames).map(([name, hex]) => [name, Buffer.from(hex, 'hex')]));
+
+const CREDENTIALS = { jwtToken: 'Bearer jwt', apiKey: 'key', clientCode: 'A123', feedToken: 'feed' };
+
+// A local stand-in for the SmartStream endpoint that records connections and the JSON requests on each
+const startFeed = async (t) => {
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    await once(server, 'listening');
+    const feed = { connections: [], requests: [] };
+    server.on('connection', (socket, req) => {
+        feed.connections.push({ socket, headers: req.headers });
+        socket.on('message', (data) => {
+            const text = data.toString();
+            if (text === 'ping') return socket.send('pong');
+            feed.requests.push({ connection: feed.connections.length, ...JSON.parse(text) });
+        });
+    });
+    feed.url = `ws://127.0.0.1:${server.address().port}`;
+    feed.latest = () => feed.connections[feed.connections.length - 1].socket;
+    feed.broadcast = (frame) => feed.latest().send(frame, { binary: true });
+    t.after(() => new Promise(resolve => {
+        for (const { socket } of feed.connections) socket.terminate();
+        server.close(resolve);
+    }));
+    return feed;
+};
+
+const createStream = (t, feed) => {
+    const stream = createSmartStream({ url: feed.url, getCredentials: () => CREDENTIALS });
+    stream.on('error', () => {});
+    t.after(() => stream.reset());
+    return stream;
+};
+
+// Resolves once `check` passes, polling briefly; reconnects wait a second before retrying
+const eventually = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            return check();
+        } catch (error) {
+            if (Date.now() > deadline) throw error;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+};
+
+test('parses LTP, QUOTE and SNAP_QUOTE frames', () => {
+    assert.deepEqual(parseTick(FRAMES.ltp), {
+        mode: 'LTP', exchange: 'NSE', token: '2885', sequence: 101, exchangeTime: '2024-06-28T04:00:00.000Z', ltp: 2950.5
+    });
+
+    const quote = parseTick(FRAMES.quote);
+    assert.equal(quote.mode, 'QUOTE');
+    assert.equal(quote.token, '1594');
+    assert.equal(quote.ltp, 1845.75);
+    assert.equal(quote.volume, 3456789);
+    assert.equal(quote.totalBuyQuantity, 512340);
+    assert.deepEqual([quote.open, quote.high, quote.low, quote.close], [1830, 1855, 1826.5, 1829]);
+    assert.equal(quote.bestFive, undefined);
+
+    const snap = parseTick(FRAMES.snapQuote);
+    assert.equal(snap.mode, 'SNAP_QUOTE');
+    assert.equal(snap.exchange, 'NFO');
+    assert.equal(snap.openInterest, 1250000);
+    assert.equal(snap.lastTradedTime, '2024-06-28T03:59:59.000Z');
+    assert.deepEqual(snap.bestFive.buy[0], { quantity: 100, price: 125.7, orders: 2 });
+    assert.deepEqual(snap.bestFive.sell[4], { quantity: 375, price: 126, orders: 6 });
+    assert.deepEqual([snap.upperCircuit, snap.lowerCircuit, snap.week52High, snap.week52Low], [250, 0.05, 410, 95]);
+});
+
+test('scales currency derivative prices by 1e7 and ignores short frames', () => {
+    assert.equal(parseTick(FRAMES.cdsLtp).ltp, 83.45125);
+    assert.equal(parseTick(FRAMES.ltp.subarray(0, 50)), null);
+    assert.equal(parseTick('not a buffer'), null);
+});
+
+test('connects with the session headers, subscribes and emits ticks', async (t) => {
+    const feed = await startFeed(t);
+    const stream = createStream(t, feed);
+
+    stream.subscribe([{ mode: 1, exchangeType: 1, token: '2885' }]);
+    await once(stream, 'connected');
+    const [{ headers }] = feed.connections;
+    assert.equal(headers.authorization, 'Bearer jwt');
+    assert.equal(headers['x-feed-token'], 'feed');
+    assert.equal(headers['x-client-code'], 'A123');
+
+    await eventually(() => assert.equal(feed.requests.length, 1));
+    assert.equal(feed.requests[0].action, 1);
+    assert.deepEqual(feed.requests[0].params, { mode: 1, tokenList: [{ exchangeType: 1, tokens: ['2885'] }] });
+
+    const ticked = once(stream, 'tick');
+    feed.broadcast(FRAMES.ltp);
+    const [tick] = await ticked;
+    assert.equal(tick.ltp, 2950.5);
+});
+
+test('reconnects after a drop and resubscribes everything', async (t) => {
+    const feed = await startFeed(t);
+    const stream = createStream(t, feed);
+
+    stream.subscribe([{ mode: 1, exchangeType: 1, token: '2885' }]);
+    await once(stream, 'connected');
+    stream.subscribe([{ mode: 2, exchangeType: 1, token: '1594' }]);
+    await eventually(() => assert.equal(feed.requests.length, 2));
+
+    feed.latest().terminate();
+    await once(stream, 'disconnected');
+    assert.equal(stream.getStatus().connected, false);
+    await once(stream, 'connected');
+
+    assert.equal(feed.connections.length, 2);
+    await eventually(() => assert.equal(feed.requests.filter(request => request.connection === 2).length, 2));
+    const resubscribed = feed.requests.filter(request => request.connection === 2)
+        .map(({ action, params }) => [action, params.mode, params.tokenList[0].tokens[0]]);
+    assert.deepEqual(resubscribed, [[1, 1, '2885'], [1, 2, '1594']]);
+
+    const ticked = once(stream, 'tick');
+    feed.broadcast(FRAMES.quote);
+    assert.equal((await ticked)[0].token, '1594');
+});
+
+test('fans ticks out to the clients subscribed to them and unsubscribes upstream with the last one', async (t) => {
+    const feed = await startFeed(t);
+    const hub = createStreamHub({ stream: createStream(t, feed) });
+    const received = { a: [], b: [] };
+    const a = hub.addClient((event, data) => received.a.push([event, data]));
+    const b = hub.addClient((event, data) => received.b.push([event, data]));
+    const ticks = (client) => received[client].filter(([event]) => event === 'tick').map(([, tick]) => `${tick.mode}:${tick.token}`);
+
+    hub.subscribe(a, { mode: 'LTP', tokens: [{ exchange: 'NSE', token: '2885' }] });
+    hub.subscribe(b, { mode: 'LTP', tokens: [{ exchange: 'NSE', token: '2885' }] });
+    hub.subscribe(b, { mode: 'QUOTE', tokens: [{ exchange: 'NSE', token: '1594' }] });
+    await eventually(() => assert.equal(feed.requests.length, 2));
+
+    feed.broadcast(FRAMES.ltp);
+    feed.broadcast(FRAMES.quote);
+    feed.broadcast(FRAMES.snapQuote);
+    await eventually(() => assert.deepEqual(ticks('b'), ['LTP:2885', 'QUOTE:1594']));
+    assert.deepEqual(ticks('a'), ['LTP:2885']);
+
+    // 2885 stays subscribed upstream while b still wants it
+    hub.removeClient(a);
+    hub.unsubscribe(b, { mode: 'QUOTE', tokens: [{ exchange: 'NSE', token: '1594' }] });
+    await eventually(() => assert.equal(feed.requests.length, 3));
+    assert.deepEqual(feed.requests[2].params, { mode: 2, tokenList: [{ exchangeType: 1, tokens: ['1594'] }] });
+    assert.equal(feed.requests[2].action, 0);
+
+    assert.throws(() => hub.subscribe(b, { mode: 'FULL', tokens: [{ exchange: 'NSE', token: '1' }] }), error => error.status === 400);
+    assert.throws(() => hub.subscribe(a, { mode: 'LTP', tokens: [{ exchange: 'NSE', token: '1' }] }), error => error.status === 404);
+});
+
+test('streams ticks to browsers over SSE', async (t) => {
+    const feed = await startFeed(t);
+    const hub = createStreamHub({ stream: createStream(t, feed) });
+    const app = express();
+    app.use(express.json());
+    const signedIn = (req, res, next) => {
+        req.user = { id: 'u1' };
+        next();
+    };
+    app.use(createStreamRoutes({ streamHubFor: () => hub, requireSession: signedIn, requireStreamSession: signedIn }));
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const events = [];
+    const response = await new Promise(resolve => http.get(`${base}/api/stream`, resolve));
+    t.after(() => response.destroy());
+    assert.match(response.headers['content-type'], /^text\/event-stream/);
+    let buffered = '';
+    response.on('data', (chunk) => {
+        buffered += chunk;
+        const blocks = buffered.split('\n\n');
+        buffered = blocks.pop();
+        for (const block of blocks) {
+            const event = block.match(/^event: (.*)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+    });
+
+    const ready = await eventually(() => {
+        const found = events.find(({ event }) => event === 'ready');
+        assert.ok(found);
+        return found;
+    });
+    const subscribed = await fetch(`${base}/api/stream/${ready.data.clientId}/subscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: 'LTP', tokens: [{ exchange: 'NSE', token: '2885' }] })
+    });
+    assert.deepEqual(await subscribed.json(), { status: true, subscriptions: 1 });
+
+    await eventually(() => assert.equal(feed.requests.length, 1));
+    feed.broadcast(FRAMES.ltp);
+    const tick = await eventually(() => {
+        const found = events.find(({ event }) => event === 'tick');
+        assert.ok(found);
+        return found.data;
+    });
+    assert.equal(tick.token, '2885');
+    assert.equal(tick.ltp, 2950.5);
+});
@@ -0,0 +1,49 @@
+// test/users.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserStore } = require('../services/users');
+
+const tempStore = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'users.json');
+    return { filePath, store: createUserStore({ filePath, encryptionKey: 'test passphrase' }) };
+};
+
+const storedUsernames = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8')).users.map(user => user.username);
+
+test('users created after a removal can authenticate and are persisted', async (t) => {
+    const { filePath, store } = tempStore(t);
+    await store.create({ username: 'alice', role: 'admin' });
+    const { user: bob, token: bobToken } = await store.create({ username: 'bob' });
+
+    await store.remove(bob.id);
+    assert.deepEqual((await store.list()).map(user => user.username), ['alice']);
+    assert.equal(await store.authenticate(bobToken.token), null);
+
+    const { user: carol, token: carolToken } = await store.create({ username: 'carol' });
+    assert.deepEqual((await store.list()).map(user => user.username), ['alice', 'carol']);
+    assert.deepEqual(await store.authenticate(carolToken.token), { id: carol.id, username: 'carol', role: 'analyst' });
+    assert.deepEqual(storedUsernames(filePath), ['alice', 'carol']);
+});
+
+test('a reloaded store sees the same users and tokens', async (t) => {
+    const { filePath, store } = tempStore(t);
+    const { token } = await store.create({ username: 'alice' });
+
+    const reloaded = createUserStore({ filePath, encryptionKey: 'test passphrase' });
+    assert.equal((await reloaded.authenticate(token.token)).username, 'alice');
+});
+
+test('credentials are encrypted at rest and decrypted for login', async (t) => {
+    const { filePath, store } = tempStore(t);
+    const { user } = await store.create({ username: 'alice' });
+    await store.setCredentials(user.id, { clientId: 'A123', password: 'hunter2', totpSecret: 'JBSWY3DPEHPK3PXP' });
+
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes('hunter2'));
+    assert.deepEqual(await store.getCredentials(user.id), { clientId: 'A123', password: 'hunter2', totpSecret: 'JBSWY3DPEHPK3PXP' });
+});
@@ -0,0 +1,91 @@
+// test/watchlists.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatchlistStore, DEFAULT_WATCHLIST } = require('../services/watchlists');
+
+const INSTRUMENTS = [
+    { token: '3045', symbol: 'SBIN-EQ', name: 'SBIN', exch_seg: 'NSE', instrumenttype: '' },
+    { token: '2885', symbol: 'RELIANCE-EQ', name: 'RELIANCE', exch_seg: 'NSE', instrumenttype: '' }
+];
+const instruments = {
+    isLoaded: () => true,
+    getByToken: (exchange, token) => INSTRUMENTS.find(row => row.exch_seg === exchange && row.token === String(token)) || null,
+    getBySymbol: (symbol, exchange) => INSTRUMENTS.filter(row => row.symbol === String(symbol).toUpperCase() && row.exch_seg === exchange)
+};
+
+const ALICE = { id: 'u1', role: 'analyst' };
+const BOB = { id: 'u2', role: 'analyst' };
+const ADMIN = { id: 'u3', role: 'admin' };
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'watchlists.json');
+};
+
+test('the default list is seeded on first run and shared with everyone', async (t) => {
+    const store = createWatchlistStore({ instruments, filePath: tempFile(t) });
+    for (const user of [ALICE, BOB]) {
+        const [seeded] = await store.list(user);
+        assert.equal(seeded.id, DEFAULT_WATCHLIST.id);
+        assert.equal(seeded.items.length, DEFAULT_WATCHLIST.items.length);
+    }
+    const sbin = (await store.get('default', ALICE)).items.find(item => item.symboltoken === '3045');
+    assert.deepEqual(sbin, { exchange: 'NSE', symboltoken: '3045', symbol: 'SBIN-EQ', name: 'SBIN', instrumenttype: '' });
+});
+
+test('a user only sees and changes their own lists', async (t) => {
+    const filePath = tempFile(t);
+    const store = createWatchlistStore({ instruments, filePath });
+    const mine = await store.create({ name: ' Banks ', items: [{ exchange: 'nse', symbol: 'sbin-eq' }, { exchange: 'NSE', symboltoken: '3045' }] }, ALICE);
+    assert.equal(mine.name, 'Banks');
+    assert.equal(mine.ownerId, ALICE.id);
+    assert.deepEqual(mine.items.map(item => item.symboltoken), ['3045']);
+
+    assert.deepEqual((await store.list(BOB)).map(w => w.id), ['default']);
+    await assert.rejects(store.get(mine.id, BOB), { status: 404 });
+    await assert.rejects(store.rename(mine.id, 'Mine now', BOB), { status: 404 });
+    await assert.rejects(store.addItems(mine.id, { exchange: 'NSE', symboltoken: '2885' }, BOB), { status: 404 });
+    await assert.rejects(store.remove(mine.id, BOB), { status: 404 });
+    // Admins have no special access to other users' lists
+    await assert.rejects(store.get(mine.id, ADMIN), { status: 404 });
+
+    await store.addItems(mine.id, { exchange: 'NSE', symboltoken: '2885' }, ALICE);
+    const updated = await store.removeItem(mine.id, 'nse', '3045', ALICE);
+    assert.deepEqual(updated.items.map(item => item.symbol), ['RELIANCE-EQ']);
+    await assert.rejects(store.removeItem(mine.id, 'NSE', '3045', ALICE), { status: 404 });
+
+    // Everything is kept on disk
+    const restarted = createWatchlistStore({ instruments, filePath });
+    assert.deepEqual((await restarted.list(ALICE)).map(w => w.name), ['NIFTY Top 10', 'Banks']);
+});
+
+test('only admins can change a shared list', async (t) => {
+    const store = createWatchlistStore({ instruments, filePath: tempFile(t) });
+    await assert.rejects(store.rename('default', 'Mine', ALICE), error => error.status === 403 && /only admins/.test(error.message));
+    await assert.rejects(store.addItems('default', { exchange: 'NSE', symboltoken: '2885' }, ALICE), { status: 403 });
+    await assert.rejects(store.removeItem('default', 'NSE', '3045', ALICE), { status: 403 });
+    await assert.rejects(store.remove('default', ALICE), { status: 403 });
+
+    assert.equal((await store.rename('default', 'Large caps', ADMIN)).name, 'Large caps');
+    await store.remove('default', ADMIN);
+    assert.deepEqual(await store.list(ALICE), []);
+});
+
+test('items must be in the instrument master', async (t) => {
+    const store = createWatchlistStore({ instruments, filePath: tempFile(t) });
+    await assert.rejects(store.create({ name: 'X', items: [{ exchange: 'NSE', symboltoken: '999' }] }, ALICE),
+        error => error.status === 400 && /not found in the instrument master/.test(error.message));
+    await assert.rejects(store.create({ name: 'X', items: [{ symboltoken: '3045' }] }, ALICE), { status: 400 });
+    await assert.rejects(store.create({ items: [] }, ALICE), { status: 400 });
+
+    // Before the master loads, items can still be added by token
+    const loading = createWatchlistStore({ instruments: { isLoaded: () => false, getByToken: () => null }, filePath: tempFile(t) });
+    const created = await loading.create({ name: 'Early', items: [{ exchange: 'NSE', symboltoken: '3045' }] }, ALICE);
+    assert.deepEqual(created.items, [{ exchange: 'NSE', symboltoken: '3045', symbol: null, name: null, instrumenttype: null }]);
+    await assert.rejects(loading.addItems(created.id, { exchange: 'NSE', symbol: 'SBIN-EQ' }, ALICE), { status: 503 });
+});
@@ -0,0 +1,51 @@
+// test/webhooks.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhookGuard, isBlockedAddress } = require('../services/webhooks');
+
+const rejectsWith400 = (promise, pattern) => assert.rejects(promise, error => error.status === 400 && pattern.test(error.message));
+
+test('blocks loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '224.0.0.1', '255.255.255.255', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::a00:1']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    // Documentation ranges (TEST-NET-1/2/3 and 2001:db8::/32)
+    for (const address of ['192.0.2.1', '198.51.100.1', '203.0.113.1', '2001:db8::1']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    // 6to4 and Teredo embed an IPv4 address, so they are blocked whatever it is
+    for (const address of ['2002:7f00:1::1', '2002:a00:1::1', '2002:808:808::1', '2001:0:4136:e378:8000:63bf:3fff:fdd2']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111']) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+test('rejects webhooks pointing at internal hosts', async () => {
+    const guard = createWebhookGuard();
+    await rejectsWith400(guard.validate('http://127.0.0.1:8080/hook'), /private or reserved/);
+    await rejectsWith400(guard.validate('http://localhost/hook'), /private or reserved/);
+    await rejectsWith400(guard.validate('http://[::1]/hook'), /private or reserved/);
+    await rejectsWith400(guard.validate('http://169.254.169.254/latest/meta-data'), /private or reserved/);
+    await rejectsWith400(guard.validate('http://2130706433/'), /private or reserved/);
+    await rejectsWith400(guard.validate('ftp://example.com/hook'), /must be http or https/);
+    await rejectsWith400(guard.validate('not a url'), /Invalid webhook URL/);
+});
+
+test('accepts public addresses and normalizes the URL', async () => {
+    assert.equal(await createWebhookGuard().validate('HTTPS://8.8.8.8/hook'), 'https://8.8.8.8/hook');
+});
+
+test('with an allowlist only its hosts pass, internal ones included', async () => {
+    const guard = createWebhookGuard({ allowedHosts: ['hooks.example.com', 'LOCALHOST'] });
+    assert.equal(await guard.validate('http://localhost:9000/alerts'), 'http://localhost:9000/alerts');
+    assert.equal(await guard.validate('https://hooks.example.com/x'), 'https://hooks.example.com/x');
+    await rejectsWith400(guard.validate('https://8.8.8.8/hook'), /not one of the allowed webhook hosts/);
+});
+
+test('delivery rechecks the target before posting', async () => {
+    await rejectsWith400(createWebhookGuard().post('http://127.0.0.1:9/hook', {}), /private or reserved/);
+});